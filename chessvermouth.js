@@ -663,7 +663,8 @@ async function startServer() {
   });
 }
 
-async function startClient() {
+// `query` is appended to the URL opened in the browser (e.g. 'vs=computer')
+async function startClient(query = '') {
   return new Promise(async (resolve, reject) => {
     try {
       const npmCmd = await findNpmCommand();
@@ -698,6 +699,7 @@ async function startClient() {
       let opened = false;
       let fallbackTimer = null;
       const lanIp = getLanIpRFC1918();
+      const withQuery = (url) => (query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url);
       const tryOpenFromOutput = (output) => {
         // Prefer "Network:" URL so share link matches what the frontend is actually using.
         let url = null;
@@ -719,9 +721,9 @@ async function startClient() {
           setTimeout(() => {
             if (lanIp && lanIp !== 'localhost') {
               const lanUrl = `http://${lanIp}:${portConfig.clientPort}?server=${lanIp}`;
-              openUrl(lanUrl);
+              openUrl(withQuery(lanUrl));
             } else {
-              openUrl(url);
+              openUrl(withQuery(url));
             }
             notify('ChessVermouth', `Game opened in browser on port ${portConfig.clientPort}!`);
           }, 500);
@@ -741,7 +743,7 @@ async function startClient() {
                 const url = (lanIp && lanIp !== 'localhost')
                   ? `http://${lanIp}:${portConfig.clientPort}?server=${lanIp}`
                   : `http://localhost:${portConfig.clientPort}`;
-                openUrl(url);
+                openUrl(withQuery(url));
                 notify('ChessVermouth', `Game opened in browser on port ${portConfig.clientPort}!`);
                 opened = true;
               }
@@ -927,7 +929,7 @@ async function startEngine(optional = true) {
   }
 }
 
-async function startFullGame() {
+async function startFullGame(query = '') {
   try {
     // Warn if Node < 18 as server proxy requires global fetch
     const nodeV = await checkNodeJS();
@@ -941,7 +943,7 @@ async function startFullGame() {
     // Start engine and let it settle concurrently while bringing up server/client
     const engineSettle = startEngine(true);
     await startServer();
-    await startClient();
+    await startClient(query);
     // Wait for engine to be ready or unavailable
     await engineSettle;
     // Clear transient logs and show a concise status summary
@@ -977,6 +979,26 @@ async function startFullGameDev() {
   }
 }
 
+// Whether client/dist is missing or older than anything it is built from
+function clientBuildStale() {
+  const clientDir = path.join(__dirname, 'client');
+  const built = path.join(clientDir, 'dist', 'index.html');
+  if (!fs.existsSync(built)) return true;
+  const builtAt = fs.statSync(built).mtimeMs;
+  const newerThanBuild = (file) => {
+    const stat = fs.statSync(file);
+    if (!stat.isDirectory()) return stat.mtimeMs > builtAt;
+    return fs.readdirSync(file).some((name) => newerThanBuild(path.join(file, name)));
+  };
+  const sources = ['src', 'public', 'index.html', 'package.json', 'vite.config.js', 'serviceWorkerPlugin.js',
+    'tailwind.config.js', 'postcss.config.js'];
+  try {
+    return sources.map((name) => path.join(clientDir, name)).some((file) => fs.existsSync(file) && newerThanBuild(file));
+  } catch (_) {
+    return true;
+  }
+}
+
 async function startHotSeatMode() {
   return new Promise(async (resolve, reject) => {
     try {
@@ -1007,7 +1029,16 @@ async function startHotSeatMode() {
         spawnOptions.env.VITE_PORT = portConfig.clientPort.toString();
       }
 
-      clientProcess = spawn(npmCmd, ['run', 'dev'], spawnOptions);
+      // Hot seat runs from the production build, the same files its service
+      // worker caches for playing offline, served by `vite preview`. It is
+      // only rebuilt when the sources changed since the last build.
+      if (clientBuildStale()) {
+        log('🔧 Building client (latest)...', 'blue');
+        execSync(`"${npmCmd}" run build`, { stdio: 'inherit', cwd: spawnOptions.cwd, env: spawnOptions.env });
+      } else {
+        log('✅ Client build is up to date', 'green');
+      }
+      clientProcess = spawn(npmCmd, ['run', 'preview'], spawnOptions);
       
       let opened = false;
       let fallbackTimer = null;
@@ -1019,7 +1050,9 @@ async function startHotSeatMode() {
           if (Number.isFinite(portFromUrl) && portFromUrl !== portConfig.clientPort) {
             portConfig.clientPort = portFromUrl;
           }
-          const url = `${baseUrl}?mode=hotseat`;
+          // localhost rather than the LAN address: browsers only run service
+          // workers on https:// or localhost
+          const url = `http://localhost:${portConfig.clientPort}/?mode=hotseat`;
           opened = true;
           if (fallbackTimer) clearTimeout(fallbackTimer);
           setTimeout(() => {
@@ -1098,10 +1131,11 @@ async function showMenu() {
   console.log('5️⃣  Check System Status');
   console.log('6️⃣  Install Dependencies');
   console.log('7️⃣  Play Chess Now (Developer Mode)');
-  console.log('8️⃣  Exit');
+  console.log('8️⃣  Play vs Computer');
+  console.log('9️⃣  Exit');
   console.log('');
   
-  const choice = await askQuestion('Choose an option (1-8): ');
+  const choice = await askQuestion('Choose an option (1-9): ');
   
   switch (choice) {
     case '1':
@@ -1145,6 +1179,13 @@ async function showMenu() {
       await startFullGameDev();
       break;
     case '8':
+      // Same stack as option 1; the lobby opens with the computer opponent preselected
+      await startFullGame('vs=computer');
+      if (engineStatus !== 'ready') {
+        log('⚠️  Engine is not running; the computer cannot move until it is', 'yellow');
+      }
+      break;
+    case '9':
       log('👋 Goodbye! Thanks for using ChessVermouth.', 'cyan');
       process.exit(0);
       break;
@@ -0,0 +1,49 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const SOURCE = fileURLToPath(new URL('./src/serviceWorker.js', import.meta.url))
+
+// Files under `dir`, as paths relative to it with forward slashes
+const listFiles = (dir) => {
+  try {
+    return readdirSync(dir, { recursive: true })
+      .filter((file) => statSync(path.join(dir, file)).isFile())
+      .map((file) => file.split(path.sep).join('/'))
+  } catch (_) {
+    return []
+  }
+}
+
+// Writes sw.js next to the built app: src/serviceWorker.js with the list of
+// every file of the build (bundle and public/) to precache. A hash of the
+// list (bundle names carry a hash of their content already) and of the public
+// files names the cache, so each new build replaces the last one on the device.
+export default function serviceWorker() {
+  let config = null
+  return {
+    name: 'chessvermouth-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      const publicFiles = listFiles(config.publicDir)
+      const files = [...new Set(['index.html', ...publicFiles, ...Object.keys(bundle)])]
+        .filter((file) => file !== 'sw.js' && !file.endsWith('.map'))
+        .sort()
+      const urls = files.map((file) => encodeURI(config.base + file))
+      const hash = createHash('sha256').update(urls.join('\n'))
+      for (const file of publicFiles) hash.update(readFileSync(path.join(config.publicDir, file)))
+      const version = hash.digest('hex').slice(0, 12)
+      const source = readFileSync(SOURCE, 'utf8')
+        .replace(/^\/\* global .*\*\/\n/, '')
+        .replace('__PRECACHE__', JSON.stringify(urls))
+        .replace('__CACHE_NAME__', JSON.stringify(`chessvermouth-${version}`))
+        .replace('__INDEX__', JSON.stringify(encodeURI(`${config.base}index.html`)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
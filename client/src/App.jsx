@@ -1,13 +1,18 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
 import useSound from 'use-sound'
 
 import { Chess } from 'chess.js'
 import QRCode from 'qrcode'
 
-import { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr, move, check, capture, castle, gameOver } from './assets'
+import { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr, move, check, capture, castle, gameOver, tenSeconds } from './assets'
 import PromotionDialog from './components/PromotionDialog'
 import ConfirmDialog from './components/ConfirmDialog'
+import PositionPreview from './components/PositionPreview'
+import ChatView from './components/ChatView'
+import TournamentView from './components/TournamentView'
+import ProfileView from './components/ProfileView'
 import GVImage from './assets/images/G&V.webp'
 import BoyImage from './assets/images/boy.webp'
 import GirlImage from './assets/images/girl.webp'
@@ -20,7 +25,7 @@ import IconReset from './assets/icons/Reset.png'
 import IconLeave from './assets/icons/Leave.png'
 
 const icons = { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr }
-const sounds = { move, check, capture, castle, gameOver }
+const sounds = { move, check, capture, castle, gameOver, tenSeconds }
 
 // Detect hot seat mode from URL parameter
 const urlParams = new URLSearchParams(window.location.search);
@@ -31,6 +36,176 @@ const inferredHost = (typeof window !== 'undefined' && window.location && window
   : 'localhost';
 const serverIp = urlParams.get('server') || import.meta.env.VITE_SERVER_IP || inferredHost;
 
+// Seat token for the network game this browser is playing, so a dropped
+// connection or a page reload can reclaim the same seat via 'rejoin'
+const SEAT_KEY = 'chessvermouth:seat'
+const readSeat = () => {
+  try {
+    const raw = window.localStorage.getItem(SEAT_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch (_) {
+    return null
+  }
+}
+const writeSeat = (value) => {
+  try {
+    if (value) window.localStorage.setItem(SEAT_KEY, JSON.stringify(value))
+    else window.localStorage.removeItem(SEAT_KEY)
+  } catch (_) {
+    // Storage is off (private browsing): the seat just is not remembered
+  }
+}
+
+// A link from "Continue on another device" carries a seat (?game=&seat=):
+// take it over, then drop it from the address so a reload does not rejoin
+if (urlParams.get('game') && urlParams.get('seat')) {
+  writeSeat({ gameId: urlParams.get('game'), token: urlParams.get('seat') })
+  const rest = new URLSearchParams(window.location.search)
+  rest.delete('game')
+  rest.delete('seat')
+  window.history.replaceState(null, '', `${window.location.pathname}${rest.toString() ? `?${rest}` : ''}`)
+}
+
+// Seats in correspondence games ([{ gameId, token }]), kept after leaving the
+// board so the lobby can list them under "Your games"
+const CORRESPONDENCE_KEY = 'chessvermouth:correspondence'
+const readCorrespondenceSeats = () => {
+  try {
+    const raw = window.localStorage.getItem(CORRESPONDENCE_KEY)
+    const list = raw ? JSON.parse(raw) : []
+    return Array.isArray(list) ? list : []
+  } catch (_) {
+    return []
+  }
+}
+const writeCorrespondenceSeats = (list) => {
+  try {
+    window.localStorage.setItem(CORRESPONDENCE_KEY, JSON.stringify(list))
+  } catch (_) {
+    // Private browsing: the profile (if any) still finds the games
+  }
+}
+
+// Profile this browser plays under ({ id, key, name, avatar }); the key is what
+// the server checks, the rest is for showing it in the lobby
+const PROFILE_KEY = 'chessvermouth:profile'
+const readProfile = () => {
+  try {
+    const raw = window.localStorage.getItem(PROFILE_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch (_) {
+    return null
+  }
+}
+const writeProfile = (value) => {
+  try {
+    if (value) window.localStorage.setItem(PROFILE_KEY, JSON.stringify(value))
+    else window.localStorage.removeItem(PROFILE_KEY)
+  } catch (_) {
+    // Private browsing: the profile lasts for this visit only
+  }
+}
+
+// Why the server ended our seat, when an admin did it
+const SEAT_END_NOTICES = {
+  aborted: 'An admin closed this game',
+  kicked: 'An admin removed you from the server',
+  correspondence: 'The game waits for you under Your games'
+}
+
+// Time controls offered when creating a network room (see server/clock.js)
+const TIME_CONTROLS = [
+  { id: '', label: 'Untimed' },
+  { id: '3+2', label: '3+2 Blitz' },
+  { id: '5+3', label: '5+3 Blitz' },
+  { id: '10+5', label: '10+5 Rapid' },
+  { id: '15+10', label: '15+10 Rapid' },
+  { id: '30+0', label: '30+0 Classical' },
+  { id: '5d3', label: '5 min, 3s delay' },
+  { id: '5b3', label: '5 min, 3s Bronstein' },
+  { id: '1d', label: '1 day per move' },
+  { id: '3d', label: '3 days per move' },
+  { id: '7d', label: '7 days per move' }
+]
+
+// Computer strengths for vs Computer rooms and hot seat: Stockfish's Skill
+// Level for the gentler settings, UCI_Elo for the rest
+const BOT_LEVELS = [
+  { id: 'skill-1', label: 'Beginner (skill 1)', strength: { skill: 1 } },
+  { id: 'skill-5', label: 'Casual (skill 5)', strength: { skill: 5 } },
+  { id: 'skill-10', label: 'Club (skill 10)', strength: { skill: 10 } },
+  { id: 'elo-1500', label: 'Elo 1500', strength: { elo: 1500 } },
+  { id: 'elo-2000', label: 'Elo 2000', strength: { elo: 2000 } },
+  { id: 'elo-2500', label: 'Elo 2500', strength: { elo: 2500 } },
+  { id: 'skill-20', label: 'Full strength', strength: { skill: 20 } }
+]
+const botLevel = (id) => BOT_LEVELS.find((level) => level.id === id) || BOT_LEVELS[1]
+
+// Bundled reaction images. The id (file name without extension) is what travels
+// over the socket; the server relays it to the rest of the room.
+const EMOJIS = (() => {
+  try {
+    const modules = import.meta.glob('./assets/emojis/*', { eager: true })
+    const list = Object.keys(modules).map((k) => {
+      const mod = modules[k]
+      const src = mod && (mod.default || mod)
+      const name = k.split('/').pop()
+      return { id: name.replace(/\.[^.]+$/, ''), src, name }
+    }).filter((e) => !!e.src)
+    // Stable sort by name
+    list.sort((a, b) => a.name.localeCompare(b.name))
+    return list
+  } catch (_) {
+    return []
+  }
+})()
+
+const timeControlLabel = (id) => {
+  const known = TIME_CONTROLS.find((tc) => tc.id === (id || ''))
+  return known ? known.label : id
+}
+
+// Correspondence time left, too long for minutes and seconds: '2d 5h',
+// '5h 12m', then '12m' in the last hour
+const formatDaysLeft = (ms) => {
+  const minutes = Math.max(0, Math.ceil(ms / 60000))
+  const d = Math.floor(minutes / 1440)
+  const h = Math.floor((minutes % 1440) / 60)
+  if (d > 0) return `${d}d ${h}h`
+  if (h > 0) return `${h}h ${minutes % 60}m`
+  return `${minutes}m`
+}
+
+// Hot seat history in the same shape the server sends with each position
+// (no timestamps: nobody is keeping time for a local game)
+const historyEntries = (chess) => {
+  const moves = chess.history({ verbose: true })
+  return moves.map((move, i) => {
+    let type = 'move'
+    if (move.san.includes('+') || move.san.includes('#')) type = 'check'
+    else if (move.flags.includes('e') || move.flags.includes('c')) type = 'capture'
+    else if (move.flags.includes('k') || move.flags.includes('q')) type = 'castle'
+    if (i === moves.length - 1 && chess.isGameOver()) type = 'gameOver'
+    return {
+      ply: i + 1,
+      color: move.color,
+      piece: move.piece,
+      from: move.from,
+      to: move.to,
+      san: move.san,
+      uci: `${move.from}${move.to}${move.promotion || ''}`,
+      promotion: move.promotion || null,
+      flags: move.flags,
+      captured: move.captured || null,
+      check: move.san.includes('+') || move.san.includes('#'),
+      mate: move.san.includes('#'),
+      fen: move.after,
+      at: null,
+      type
+    }
+  })
+}
+
 function App() {
   const tableEnd = useRef(null)
   let dragged = ""
@@ -75,6 +250,9 @@ function App() {
   // Hot seat mode game state
   const [hotSeatGame, setHotSeatGame] = useState(null)
   const [hotSeatCurrentPlayer, setHotSeatCurrentPlayer] = useState('w')
+  // Hot seat against the engine: { color: 'w' | 'b', level } or null for two humans
+  const [hotSeatEngine, setHotSeatEngine] = useState(null)
+  const [engineReachable, setEngineReachable] = useState(false)
 
   // Initialize hot seat game on mount if in hot seat mode
   useEffect(() => {
@@ -101,7 +279,11 @@ function App() {
     isDraw: false,
     isStalemate: false
   }])
+  // Server clock snapshot (network games with a time control), stamped on receipt
+  const [clock, setClock] = useState(null)
   const [history, setHistory] = useState([])
+  // Position a network room started from, when not the standard one
+  const [startFen, setStartFen] = useState(null)
   const [color, setColor] = useState('')
   const [gameId, setGameId] = useState('')
   const [status, setStatus] = useState(isHotSeatMode ? 'ready' : 'lobby')
@@ -122,9 +304,46 @@ function App() {
   // Optional player names (for labels)
   const [playerName, setPlayerName] = useState('')
   const [opponentName, setOpponentName] = useState('')
+  // Avatar and rating of the players who joined with a profile ('profiles' event)
+  const [seatProfiles, setSeatProfiles] = useState(null)
+  const [profile, setProfile] = useState(readProfile)
+  // Set while the opponent's connection has dropped and their seat is held
+  const [opponentAway, setOpponentAway] = useState(null)
+  // Spectators watch a full room read-only; players see how many are watching
+  const [isSpectator, setIsSpectator] = useState(false)
+  const [spectatorCount, setSpectatorCount] = useState(0)
+  // Standing draw offer ('w' | 'b' | null) and which draw claims the server would accept
+  const [drawOffer, setDrawOffer] = useState(null)
+  const [canClaimDraw, setCanClaimDraw] = useState(null)
+  const [resignConfirmOpen, setResignConfirmOpen] = useState(false)
+  // Open takeback/reset request { kind: 'undo' | 'reset', from: 'w' | 'b', plies } and room setting
+  const [pendingRequest, setPendingRequest] = useState(null)
+  const [takebacksAllowed, setTakebacksAllowed] = useState(true)
+  // Archive id of the finished network game, for the PGN download
+  const [archiveId, setArchiveId] = useState(null)
+  // { gameId, code } while we sit in a private room
+  const [invite, setInvite] = useState(null)
+  // Room chat ({ id, from, name, text, at }, oldest first) and whether the room allows it
+  const [chatMessages, setChatMessages] = useState([])
+  const [chatEnabled, setChatEnabled] = useState(true)
+  // Short-lived message for rejected actions (e.g. a draw claim that does not apply)
+  const [notice, setNotice] = useState(null)
+  const noticeTimerRef = useRef(null)
+  // Latest announcement from the server admin ({ text, at, gameId }), until dismissed
+  const [announcement, setAnnouncement] = useState(null)
+  // Socket handlers are bound once; they read the current seat color through this ref
+  const colorRef = useRef(color)
+  useEffect(() => {
+    colorRef.current = color
+  }, [color])
+  const showNotice = useCallback((text) => {
+    setNotice(text)
+    clearTimeout(noticeTimerRef.current)
+    noticeTimerRef.current = setTimeout(() => setNotice(null), 3000)
+  }, [])
   // Emoji overlay bursts on/near the board
   const [emojiBursts, setEmojiBursts] = useState([])
-  const sendEmoji = useCallback((src, label) => {
+  const showEmojiBurst = useCallback((src, label) => {
     // Add a transient emoji overlay inside the board area
     const id = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`
     // Random position within the board (10%..90%) to avoid edges
@@ -136,18 +355,37 @@ function App() {
       setEmojiBursts((prev) => prev.filter((e) => e.id !== id))
     }, 2500)
   }, [])
+  // Reactions we no longer want to see, by sender: the opponent and/or spectators
+  const [mutedReactions, setMutedReactions] = useState({ opponent: false, spectators: false })
+  const mutedReactionsRef = useRef(mutedReactions)
+  useEffect(() => {
+    mutedReactionsRef.current = mutedReactions
+  }, [mutedReactions])
+  const sendEmoji = useCallback((emojiId) => {
+    const emoji = EMOJIS.find((e) => e.id === emojiId)
+    if (!emoji) return
+    showEmojiBurst(emoji.src, emoji.id)
+    // Network games: let the rest of the room see it too
+    if (!isHotSeatMode && socket && gameId) {
+      socket.emit('emoji', { gameId, id: emoji.id })
+    }
+  }, [showEmojiBurst, socket, gameId])
+  const sendChat = useCallback((text) => {
+    if (socket && gameId) socket.emit('chat', { gameId, text })
+  }, [socket, gameId])
   // When a confirmation dialog opens, collapse the floating control panel
   useEffect(() => {
-    if (resetConfirmOpen || leaveConfirmOpen) {
+    if (resetConfirmOpen || leaveConfirmOpen || resignConfirmOpen) {
       setIsPanelOpen(false)
     }
-  }, [resetConfirmOpen, leaveConfirmOpen])
+  }, [resetConfirmOpen, leaveConfirmOpen, resignConfirmOpen])
   const performReset = () => {
     if (isHotSeatMode && hotSeatGame) {
       hotSeatGame.reset()
       updateHotSeatPosition()
     } else if (socket) {
-      socket.emit('reset', gameId)
+      // The opponent has to agree before the board is reset
+      socket.emit('requestReset', gameId)
     }
     setClockResetNonce((n) => n + 1)
     setResetConfirmOpen(false)
@@ -160,15 +398,35 @@ function App() {
       }
     } else if (socket) {
       socket.emit('leave', gameId)
+      writeSeat(null)
     }
     setClockResetNonce((n) => n + 1)
     setLeaveConfirmOpen(false)
   }
+  const performResign = () => {
+    if (socket) socket.emit('resign', gameId)
+    setResignConfirmOpen(false)
+  }
+  // One draw button: accept a pending offer, else claim if a claim applies, else offer
+  const myColor = color === 'white' ? 'w' : (color === 'black' ? 'b' : null)
+  const opponentOffersDraw = !!(drawOffer && myColor && drawOffer !== myColor)
+  const drawClaimable = !!(canClaimDraw && (canClaimDraw.threefoldRepetition || canClaimDraw.fiftyMoveRule))
+  const handleDrawAction = () => {
+    if (!socket || !myColor) return
+    if (opponentOffersDraw) socket.emit('acceptDraw', gameId)
+    else if (drawClaimable) socket.emit('claimDraw', gameId)
+    else if (!drawOffer) socket.emit('offerDraw', gameId)
+  }
+  const drawActionLabel = opponentOffersDraw
+    ? 'Accept draw'
+    : (drawClaimable ? 'Claim draw' : (drawOffer === myColor ? 'Draw offered' : 'Offer draw'))
+  // Leaving a correspondence game before it ends keeps the seat
+  const correspondenceInProgress = !!(clock && clock.mode === 'correspondence' && myColor && status === 'ready' && !isGameOver[0])
 
   const getMoves = async (square) => {
     if (isHotSeatMode) {
       // Hot seat mode: use local chess.js for move validation
-      if (hotSeatGame && hotSeatGame.turn() === hotSeatCurrentPlayer[0]) {
+      if (hotSeatGame && hotSeatGame.turn() === hotSeatCurrentPlayer[0] && hotSeatGame.turn() !== (hotSeatEngine && hotSeatEngine.color)) {
         let moves = hotSeatGame.moves({square: square, verbose: true})
         setAvailableMoves(moves.map(move => move.to))
       }
@@ -233,6 +491,9 @@ function App() {
 
       if (!connectedSocket) return
       const newSocket = connectedSocket
+      // Probing used reconnection: false; once a server answers, keep reconnecting to it
+      // so a restarted server brings the lobby back without a page reload
+      newSocket.io.reconnection(true)
       setSocket(newSocket)
 
       const handlePosition = (data) => {
@@ -242,9 +503,42 @@ function App() {
         setIsGameOver([data.isGameOver, {
           isCheckmate: data.isCheckmate,
           isDraw: data.isDraw,
-          isStalemate: data.isStalemate
+          isStalemate: data.isStalemate,
+          result: data.result || null
         }])
         setHistory(data.history)
+        setStartFen(data.startFen || null)
+        handleClock(data.clock)
+        setDrawOffer(data.drawOffer || null)
+        setCanClaimDraw(data.canClaimDraw || null)
+        setPendingRequest(data.pendingRequest || null)
+        setTakebacksAllowed(data.takebacks !== false)
+        setChatEnabled(data.chatEnabled !== false)
+        setArchiveId(data.archiveId || null)
+      }
+
+      const handleTakebackRequest = (data) => {
+        setPendingRequest(data && data.request ? data.request : null)
+        if (data && data.declinedBy && data.declinedBy !== colorRef.current[0]) {
+          showNotice(data.kind === 'reset' ? 'Reset declined' : 'Takeback declined')
+        }
+      }
+
+      const handleDrawOffer = (data) => {
+        setDrawOffer(data && data.from ? data.from : null)
+      }
+
+      const handleActionFailed = (data) => {
+        if (data && data.error) showNotice(data.error)
+      }
+
+      // Moves the server refused (out of turn, not our game, illegal, ...)
+      const handleInvalidMove = (data) => {
+        showNotice((data && data.error) || 'Move rejected')
+      }
+
+      const handleClock = (data) => {
+        setClock(data ? { ...data, receivedAt: Date.now() } : null)
       }
 
       const handleTerminate = () => {
@@ -261,12 +555,113 @@ function App() {
           isStalemate: false
         }])
         setHistory([])
+        setStartFen(null)
+        setClock(null)
+        setDrawOffer(null)
+        setCanClaimDraw(null)
+        setPendingRequest(null)
         setColor('')
         setPromotionRequired(false)
         setPromotionData(null)
+        setOpponentAway(null)
+        setIsSpectator(false)
+        setSpectatorCount(0)
+        setOpponentName('')
+        setInvite(null)
+        setArchiveId(null)
+        setChatMessages([])
+        setChatEnabled(true)
         setClockResetNonce((n) => n + 1)
       }
 
+      // A reaction from someone else in the room, unless we muted them
+      const handleEmoji = (data) => {
+        const emoji = data && EMOJIS.find((e) => e.id === data.id)
+        if (!emoji) return
+        const muted = mutedReactionsRef.current
+        if (data.from === 'spectator' ? muted.spectators : muted.opponent) return
+        showEmojiBurst(emoji.src, emoji.id)
+      }
+
+      // The room's recent messages arrive on (re)join, then one at a time
+      const handleChatHistory = (data) => {
+        setChatMessages(data && Array.isArray(data.messages) ? data.messages : [])
+      }
+
+      const handleChatMessage = (message) => {
+        if (message) setChatMessages((prev) => [...prev, message])
+      }
+
+      // Keep the ref in step right away: 'players' follows in the same burst
+      const handleColor = (value) => {
+        colorRef.current = value
+        setColor(value)
+      }
+
+      // Names by color; spectators see white at the bottom
+      const handlePlayers = (names) => {
+        if (!names) return
+        const mine = colorRef.current
+        if (mine === 'white' || mine === 'black') {
+          setOpponentName(names[mine === 'white' ? 'black' : 'white'] || '')
+        } else {
+          setPlayerName(names.white || '')
+          setOpponentName(names.black || '')
+        }
+      }
+
+      const handleSpectating = () => {
+        setIsSpectator(true)
+        colorRef.current = ''
+        setColor('')
+      }
+
+      const handleSpectators = (data) => {
+        setSpectatorCount(data && Number.isFinite(data.count) ? data.count : 0)
+      }
+
+      // The server ended our seat (host left, grace expired); a 'replaced' seat
+      // was taken over by another tab that still needs the stored token
+      const handleSeatEnded = (data) => {
+        if (!data || data.reason !== 'replaced') writeSeat(null)
+        if (data && SEAT_END_NOTICES[data.reason]) showNotice(SEAT_END_NOTICES[data.reason])
+        handleTerminate()
+      }
+
+      // Correspondence seats also go on the lobby's "Your games" list
+      const handleSeat = (seat) => {
+        writeSeat(seat)
+        if (seat && seat.correspondence) {
+          const others = readCorrespondenceSeats().filter((s) => s.gameId !== seat.gameId)
+          writeCorrespondenceSeats([...others, { gameId: seat.gameId, token: seat.token }])
+        }
+      }
+
+      const rejoinStoredSeat = () => {
+        const seat = readSeat()
+        if (seat && seat.gameId && seat.token) {
+          newSocket.emit('rejoin', { gameId: seat.gameId, token: seat.token })
+        }
+      }
+
+      const handleRejoinFailed = () => {
+        writeSeat(null)
+        handleTerminate()
+      }
+
+      const handleOpponentStatus = (data) => {
+        setOpponentAway(data && !data.connected ? data : null)
+      }
+
+      const handleDisconnect = () => {
+        // Keep the board up while we try to get our seat back
+        if (readSeat()) {
+          setStatus('reconnecting')
+        } else {
+          handleTerminate()
+        }
+      }
+
       const handlePromotionRequired = (data) => {
         setPromotionRequired(true)
         setPromotionData(data)
@@ -280,24 +675,62 @@ function App() {
     }
 
       newSocket.on('position', handlePosition)
-      newSocket.on('color', setColor)
+      newSocket.on('color', handleColor)
       newSocket.on('status', setStatus)
-      newSocket.on('terminate', handleTerminate)
+      newSocket.on('terminate', handleSeatEnded)
       newSocket.on('gameId', setGameId)
+      newSocket.on('seat', handleSeat)
+      newSocket.on('rejoinFailed', handleRejoinFailed)
+      newSocket.on('opponentStatus', handleOpponentStatus)
+      newSocket.on('spectating', handleSpectating)
+      newSocket.on('spectators', handleSpectators)
+      newSocket.on('clock', handleClock)
+      newSocket.on('drawOffer', handleDrawOffer)
+      newSocket.on('takebackRequest', handleTakebackRequest)
+      newSocket.on('players', handlePlayers)
+      newSocket.on('announcement', setAnnouncement)
+      newSocket.on('profiles', setSeatProfiles)
+      newSocket.on('invite', setInvite)
+      newSocket.on('emoji', handleEmoji)
+      newSocket.on('chatHistory', handleChatHistory)
+      newSocket.on('chatMessage', handleChatMessage)
+      newSocket.on('actionFailed', handleActionFailed)
+      newSocket.on('invalidMove', handleInvalidMove)
+      newSocket.on('invalidPromotion', handleInvalidMove)
       newSocket.on('promotionRequired', handlePromotionRequired)
       newSocket.on('promotionComplete', handlePromotionComplete)
-      newSocket.on('disconnect', () => {
-        handleTerminate()
-      })
+      newSocket.on('connect', rejoinStoredSeat)
+      newSocket.on('disconnect', handleDisconnect)
+      // Already connected while probing ports, so try the stored seat right away
+      rejoinStoredSeat()
 
       return () => {
         newSocket.off('position', handlePosition)
-        newSocket.off('color', setColor)
+        newSocket.off('color', handleColor)
         newSocket.off('status', setStatus)
-        newSocket.off('terminate', handleTerminate)
+        newSocket.off('terminate', handleSeatEnded)
+        newSocket.off('seat', handleSeat)
+        newSocket.off('rejoinFailed', handleRejoinFailed)
+        newSocket.off('opponentStatus', handleOpponentStatus)
+        newSocket.off('spectating', handleSpectating)
+        newSocket.off('spectators', handleSpectators)
+        newSocket.off('clock', handleClock)
+        newSocket.off('drawOffer', handleDrawOffer)
+        newSocket.off('takebackRequest', handleTakebackRequest)
+        newSocket.off('players', handlePlayers)
+        newSocket.off('announcement', setAnnouncement)
+        newSocket.off('profiles', setSeatProfiles)
+        newSocket.off('invite', setInvite)
+        newSocket.off('emoji', handleEmoji)
+        newSocket.off('chatHistory', handleChatHistory)
+        newSocket.off('chatMessage', handleChatMessage)
+        newSocket.off('actionFailed', handleActionFailed)
+        newSocket.off('invalidMove', handleInvalidMove)
+        newSocket.off('invalidPromotion', handleInvalidMove)
         newSocket.off('promotionRequired', handlePromotionRequired)
         newSocket.off('promotionComplete', handlePromotionComplete)
-        newSocket.off('disconnect')
+        newSocket.off('connect', rejoinStoredSeat)
+        newSocket.off('disconnect', handleDisconnect)
         newSocket.disconnect()
       }
     }
@@ -316,6 +749,38 @@ function App() {
     setAvailableMoves([])
   }, [history, soundboard])
 
+  // The lobby overlay also stays up while the host of a private room waits, so
+  // the invite code, link and QR code remain at hand
+  const lobbyOpen = !isHotSeatMode && (status === 'lobby' || status === 'fail' || (status === 'waiting' && !!invite))
+  // What the lobby overlay shows: the lobby itself, the tournament view or the
+  // profile page; ?view=tournaments or ?view=profile opens those directly
+  const [lobbyView, setLobbyView] = useState(['tournaments', 'profile'].includes(urlParams.get('view')) ? urlParams.get('view') : 'lobby')
+
+  const changeProfile = (value) => {
+    writeProfile(value)
+    setProfile(value)
+  }
+
+  // Sit down at a tournament board (or watch it, without a name)
+  // `seatToken` is the registered player's, to take their seat; without one
+  // the board is watched
+  const joinTournamentGame = (roomId, name, seatToken) => {
+    if (!socket) return
+    setPlayerName(name)
+    const options = seatToken ? { name, tournamentToken: seatToken } : { name }
+    // The profile comes along when it is the one registered for this board
+    const mine = profile && name && profile.name.toLowerCase() === name.toLowerCase()
+    socket.emit('join', roomId, mine ? { ...options, profileKey: profile.key } : options)
+  }
+
+  // A name in the game with the avatar and rating of the profile behind it
+  const ratedName = (name, side) => {
+    const seated = seatProfiles && seatProfiles.gameId === gameId ? seatProfiles[side] : null
+    if (!seated) return name
+    return `${seated.avatar ? `${seated.avatar} ` : ''}${name || seated.name} (${seated.rating})`
+  }
+  const bottomSide = color === 'black' ? 'black' : 'white'
+
   // Keep control panel collapsed by default and whenever lobby overlay is shown
   useEffect(() => {
     if (isHotSeatMode) return
@@ -327,8 +792,7 @@ function App() {
 
   // Lock page scroll when lobby overlay is open (prevents iOS bounce showing content)
   useEffect(() => {
-    const overlayOpen = !isHotSeatMode && (status === 'lobby' || status === 'fail')
-    if (!overlayOpen) return
+    if (!lobbyOpen) return
     const html = document.documentElement
     const body = document.body
     const prevHtmlOverflow = html.style.overflow
@@ -345,7 +809,7 @@ function App() {
       html.style.overscrollBehavior = prevHtmlOverscroll
       body.style.overscrollBehavior = prevBodyOverscroll
     }
-  }, [status, isHotSeatMode])
+  }, [lobbyOpen])
 
   // Fetch server info (LAN IP) for display in lobby
   useEffect(() => {
@@ -368,7 +832,7 @@ function App() {
   const movePiece = (move) => {
     if (isHotSeatMode) {
       // Hot seat mode: handle moves locally
-      if (hotSeatGame && hotSeatGame.turn() === hotSeatCurrentPlayer[0]) {
+      if (hotSeatGame && hotSeatGame.turn() === hotSeatCurrentPlayer[0] && hotSeatGame.turn() !== (hotSeatEngine && hotSeatEngine.color)) {
         try {
           let result = hotSeatGame.move(move)
           if (result) {
@@ -407,25 +871,6 @@ function App() {
     console.log('updateHotSeatPosition called')
     console.log('Current board state:', hotSeatGame.board())
     
-    let moveType = 'move'
-    const history = hotSeatGame.history({verbose: true})
-    
-    if (history.length > 0) {
-      let lastMove = history[history.length - 1]
-      if (lastMove.flags.includes('k') || lastMove.flags.includes('q')) {
-        moveType = 'castle'
-      }
-      if (lastMove.flags.includes('e') || lastMove.flags.includes('c')) {
-        moveType = 'capture'
-      }
-      if (hotSeatGame.inCheck()) {
-        moveType = 'check'
-      }
-      if (hotSeatGame.isGameOver()) {
-        moveType = 'gameOver'
-      }
-    }
-
     const newBoard = hotSeatGame.board()
     const newTurn = hotSeatGame.turn()
     
@@ -440,12 +885,7 @@ function App() {
       isDraw: hotSeatGame.isDraw(),
       isStalemate: hotSeatGame.isStalemate()
     }])
-    setHistory(hotSeatGame.history({verbose: true}).map(move => ({
-      from: move.from,
-      to: move.to,
-      type: moveType,
-      san: move.san
-    })))
+    setHistory(historyEntries(hotSeatGame))
     
     // Switch current player
     setHotSeatCurrentPlayer(hotSeatGame.turn())
@@ -453,6 +893,41 @@ function App() {
     console.log('Board state updated successfully')
   }, [hotSeatGame])
 
+  // Hot seat can hand one side to the engine server when it answers
+  useEffect(() => {
+    if (!isHotSeatMode) return
+    const controller = new AbortController()
+    fetch(`http://${serverIp}:${enginePort}/health`, { signal: controller.signal })
+      .then((r) => setEngineReachable(r.ok))
+      .catch(() => setEngineReachable(false))
+    return () => controller.abort()
+  }, [enginePort])
+
+  // The engine's turn in hot seat: ask for a move and play it, unless the
+  // position changed (undo, reset) while it was thinking
+  useEffect(() => {
+    if (!hotSeatGame || !hotSeatEngine || hotSeatGame.isGameOver()) return
+    if (hotSeatGame.turn() !== hotSeatEngine.color) return
+    const controller = new AbortController()
+    const ply = hotSeatGame.history().length
+    fetch(`http://${serverIp}:${enginePort}/play`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ moves: history.map((m) => m.uci), movetime: 1000, ...botLevel(hotSeatEngine.level).strength }),
+      signal: controller.signal
+    })
+      .then((r) => r.json())
+      .then((data) => {
+        if (!data.bestmove || hotSeatGame.history().length !== ply) return
+        hotSeatGame.move({ from: data.bestmove.slice(0, 2), to: data.bestmove.slice(2, 4), promotion: data.bestmove[4] })
+        updateHotSeatPosition()
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') showNotice('The engine did not answer')
+      })
+    return () => controller.abort()
+  }, [history, hotSeatEngine, hotSeatGame, updateHotSeatPosition, enginePort, showNotice])
+
   // Hot seat mode: handle promotion
   const handlePromote = (piece) => {
     if (isHotSeatMode && promotionData) {
@@ -532,6 +1007,13 @@ function App() {
             <span className='text-lg font-semibold tracking-tight'>Vermouth's Gambit</span>
             <span className='badge'>{isHotSeatMode ? 'Hot Seat' : 'Online'}</span>
             {status === 'waiting' && <span className='badge-warn'>Waiting</span>}
+            {status === 'reconnecting' && <span className='badge-warn'>Reconnecting…</span>}
+            {!isHotSeatMode && opponentAway && status !== 'reconnecting' && <span className='badge-warn'>{opponentAway.expiresAt ? 'Opponent reconnecting…' : 'Opponent offline'}</span>}
+            {!isHotSeatMode && isSpectator && <span className='badge'>Spectating</span>}
+            {!isHotSeatMode && pendingRequest && pendingRequest.from === myColor && (
+              <span className='badge'>{pendingRequest.kind === 'reset' ? 'Reset requested…' : 'Takeback requested…'}</span>
+            )}
+            {notice && <span className='badge-warn' role='status'>{notice}</span>}
           </div>
           <div className='flex items-center gap-3 text-xs text-zinc-400'>
             {turn && <span>Turn: <span className='text-emerald-400 font-medium'>{turn === 'w' ? 'White' : 'Black'}</span></span>}
@@ -542,33 +1024,66 @@ function App() {
         </div>
       </header>
 
+      {announcement && (
+        <div className='mx-auto max-w-5xl px-4 pt-3'>
+          <div className='card px-3 py-2 flex items-center justify-between gap-2 text-sm' role='alert'>
+            <span className='min-w-0'>📣 {announcement.text}</span>
+            <button type='button' className='btn-secondary px-2 py-0.5 text-xs' onClick={() => setAnnouncement(null)}>Dismiss</button>
+          </div>
+        </div>
+      )}
+
       {/* Main Content */}
       <main className='mx-auto max-w-3xl p-4 grid grid-cols-1 gap-4 items-start justify-items-center'>
         <div className='flex items-center justify-center'>
-          {chessBoard({ board: board, handleSquareClick: handleSquareClick, handleDragStart: handleDragStart, handleDrop: handleDrop, availableMoves: availableMoves, history: history, isCheck: isCheck, isGameOver: isGameOver, turn: turn, selectedSquare: selectedSquare, color: isHotSeatMode ? (hotSeatCurrentPlayer === 'w' ? 'white' : 'black') : color, emojiBursts })}
+          {chessBoard({ board: board, handleSquareClick: handleSquareClick, handleDragStart: handleDragStart, handleDrop: handleDrop, availableMoves: availableMoves, history: history, isCheck: isCheck, isGameOver: isGameOver, turn: turn, selectedSquare: selectedSquare, color: isHotSeatMode ? (hotSeatCurrentPlayer === 'w' ? 'white' : 'black') : (isSpectator ? 'white' : color), emojiBursts, readOnly: !isHotSeatMode && isSpectator, pgnUrl: !isHotSeatMode && archiveId ? `http://${serverIp}:${serverPort}/games/${encodeURIComponent(archiveId)}.pgn` : null })}
         </div>
 
         {/* Game Lobby overlay (does not affect ControlPanel) */}
-        {((status === 'lobby' || status === 'fail') && !isHotSeatMode) && (
+        {lobbyOpen && (
           <div className='fixed inset-x-0 top-0 z-[1200] w-screen h-[100dvh] flex items-center justify-center'>
             <div className='absolute inset-0 bg-black/60 backdrop-blur-sm' aria-hidden='true'></div>
-            <div className='relative z-10 w-full max-w-sm mx-4' role='dialog' aria-modal='true' aria-label='Game Lobby'>
-              <GameJoinPanel
-                socket={socket}
-                status={status}
-                color={color}
-                gameId={gameId}
-                serverIp={serverIp}
-                serverInfo={serverInfo}
-                clientPort={clientPort}
-                isQrOpen={isQrOpen}
-                setIsQrOpen={setIsQrOpen}
-                qrDataUrl={qrDataUrl}
-                setQrDataUrl={setQrDataUrl}
-                qrLoading={qrLoading}
-                setQrLoading={setQrLoading}
-                setPlayerName={setPlayerName}
-              />
+            <div className={`relative z-10 w-full mx-4 ${lobbyView === 'lobby' ? 'max-w-sm' : 'max-w-xl'}`} role='dialog' aria-modal='true' aria-label={{ lobby: 'Game Lobby', tournaments: 'Tournaments', profile: 'Profile' }[lobbyView]}>
+              {lobbyView === 'tournaments' && (
+                <TournamentView
+                  socket={socket}
+                  serverUrl={`http://${serverIp}:${serverPort}`}
+                  timeControls={TIME_CONTROLS}
+                  onPlay={joinTournamentGame}
+                  onClose={() => setLobbyView('lobby')}
+                />
+              )}
+              {lobbyView === 'profile' && (
+                <ProfileView
+                  serverUrl={`http://${serverIp}:${serverPort}`}
+                  profile={profile}
+                  onProfileChange={changeProfile}
+                  onClose={() => setLobbyView('lobby')}
+                />
+              )}
+              {lobbyView === 'lobby' && (
+                <GameJoinPanel
+                  socket={socket}
+                  status={status}
+                  color={color}
+                  gameId={gameId}
+                  serverIp={serverIp}
+                  serverInfo={serverInfo}
+                  clientPort={clientPort}
+                  isQrOpen={isQrOpen}
+                  setIsQrOpen={setIsQrOpen}
+                  qrDataUrl={qrDataUrl}
+                  setQrDataUrl={setQrDataUrl}
+                  qrLoading={qrLoading}
+                  setQrLoading={setQrLoading}
+                  setPlayerName={setPlayerName}
+                  invite={status === 'waiting' ? invite : null}
+                  onCancel={performLeave}
+                  profile={profile}
+                  onOpenTournaments={() => setLobbyView('tournaments')}
+                  onOpenProfile={() => setLobbyView('profile')}
+                />
+              )}
             </div>
           </div>
         )}
@@ -597,6 +1112,7 @@ function App() {
         >
           <Panel
             history={history}
+            startFen={isHotSeatMode ? null : startFen}
             tableEnd={tableEnd}
             socket={socket}
             status={status}
@@ -605,26 +1121,35 @@ function App() {
             isGameOver={isGameOver}
             gameId={gameId}
             clockResetNonce={clockResetNonce}
-            playerName={playerName}
-            opponentName={opponentName}
+            playerName={ratedName(playerName, bottomSide)}
+            opponentName={ratedName(opponentName, bottomSide === 'white' ? 'black' : 'white')}
             isHotSeatMode={isHotSeatMode}
             hotSeatCurrentPlayer={hotSeatCurrentPlayer}
             hotSeatGame={hotSeatGame}
             updateHotSeatPosition={updateHotSeatPosition}
             serverIp={serverIp}
             serverPort={serverPort}
-            serverInfo={serverInfo}
-            clientPort={clientPort}
             enginePort={enginePort}
-            isQrOpen={isQrOpen}
-            setIsQrOpen={setIsQrOpen}
-            qrDataUrl={qrDataUrl}
-            setQrDataUrl={setQrDataUrl}
-            qrLoading={qrLoading}
-            setQrLoading={setQrLoading}
             onRequestReset={() => setResetConfirmOpen(true)}
             onRequestLeave={() => setLeaveConfirmOpen(true)}
+            onRequestResign={() => setResignConfirmOpen(true)}
+            onDrawAction={handleDrawAction}
+            drawActionLabel={drawActionLabel}
+            drawActionDisabled={drawOffer === myColor && !opponentOffersDraw && !drawClaimable}
+            requestPending={!!pendingRequest}
+            takebacksAllowed={takebacksAllowed}
             onSendEmoji={sendEmoji}
+            mutedReactions={mutedReactions}
+            onToggleMute={(who) => setMutedReactions((prev) => ({ ...prev, [who]: !prev[who] }))}
+            chatMessages={chatMessages}
+            chatEnabled={chatEnabled}
+            onSendChat={sendChat}
+            hotSeatEngine={hotSeatEngine}
+            onHotSeatEngineChange={setHotSeatEngine}
+            engineReachable={engineReachable}
+            isSpectator={isSpectator}
+            spectatorCount={spectatorCount}
+            clock={clock}
           />
         </div>
       </main>
@@ -645,21 +1170,65 @@ function App() {
           title="Reset Game"
           message={isHotSeatMode
             ? 'Reset the current game? All progress will be lost.'
-            : 'Reset the current game for both players? All progress will be lost.'}
-          confirmText="Reset"
+            : 'Ask your opponent to reset the game? All progress will be lost if they agree.'}
+          confirmText={isHotSeatMode ? 'Reset' : 'Ask'}
           cancelText="Cancel"
           onConfirm={performReset}
           onCancel={() => setResetConfirmOpen(false)}
         />
       )}
 
+      {/* Resign Confirmation Dialog */}
+      {resignConfirmOpen && (
+        <ConfirmDialog
+          title="Resign"
+          message="Resign this game? Your opponent will be awarded the win."
+          confirmText="Resign"
+          cancelText="Cancel"
+          onConfirm={performResign}
+          onCancel={() => setResignConfirmOpen(false)}
+        />
+      )}
+
+      {/* Incoming takeback/reset request */}
+      {!isHotSeatMode && pendingRequest && myColor && pendingRequest.from !== myColor && (
+        <ConfirmDialog
+          title={pendingRequest.kind === 'reset' ? 'Reset Requested' : 'Takeback Requested'}
+          message={pendingRequest.kind === 'reset'
+            ? 'Your opponent asks to reset the game. All progress will be lost.'
+            : (pendingRequest.plies === 2
+              ? 'Your opponent asks to take back their last move and your reply.'
+              : 'Your opponent asks to take back their last move.')}
+          confirmText="Accept"
+          cancelText="Decline"
+          onConfirm={() => socket && socket.emit('acceptRequest', gameId)}
+          onCancel={() => socket && socket.emit('declineRequest', gameId)}
+        />
+      )}
+
+      {/* Incoming draw offer */}
+      {!isHotSeatMode && opponentOffersDraw && !isGameOver[0] && (
+        <ConfirmDialog
+          title="Draw Offered"
+          message="Your opponent offers a draw."
+          confirmText="Accept"
+          cancelText="Decline"
+          onConfirm={() => socket && socket.emit('acceptDraw', gameId)}
+          onCancel={() => socket && socket.emit('declineDraw', gameId)}
+        />
+      )}
+
       {/* Leave/New Game Confirmation Dialog */}
       {leaveConfirmOpen && (
         <ConfirmDialog
           title={isHotSeatMode ? 'New Game' : 'Leave Game'}
           message={isHotSeatMode
             ? 'Start a new game? Current progress will be lost.'
-            : 'Leave the current session and end this game?'}
+            : (isSpectator
+              ? 'Stop watching this game?'
+              : (correspondenceInProgress
+                ? 'Back to the lobby? Your seat is kept; open the game again from Your games, here or on another device.'
+                : 'Leave the current session and end this game?'))}
           confirmText={isHotSeatMode ? 'New Game' : 'Leave'}
           cancelText="Cancel"
           onConfirm={performLeave}
@@ -670,7 +1239,8 @@ function App() {
   )
 }
 
-function chessBoard({board, handleSquareClick, handleDragStart, handleDrop, availableMoves, history, isCheck, isGameOver, turn, selectedSquare, color, emojiBursts}) {
+// readOnly renders the position without move handlers (spectators)
+function chessBoard({board, handleSquareClick, handleDragStart, handleDrop, availableMoves, history, isCheck, isGameOver, turn, selectedSquare, color, emojiBursts, readOnly, pgnUrl}) {
   let numToLetter = ["a", "b", "c", "d", "e", "f", "g", "h"]
 
   let boardArr = []
@@ -687,7 +1257,7 @@ function chessBoard({board, handleSquareClick, handleDragStart, handleDrop, avai
       let textColor = (rowInd + boardInd) % 2 === 0 ? 'text-[#739552]' : 'text-[#EBECD0]'
       let coord = `${numToLetter[rowInd]}${8 - boardInd}`
       boardArr.push(
-        <div key={coord} onDrop={handleDrop} onDragOver={(e) => { e.preventDefault(); }} className={`relative square flex flex-col ${bgColor} ${textColor}`} data-square={coord} onClick={handleSquareClick}>
+        <div key={coord} onDrop={readOnly ? undefined : handleDrop} onDragOver={(e) => { e.preventDefault(); }} className={`relative square flex flex-col ${bgColor} ${textColor}`} data-square={coord} onClick={readOnly ? undefined : handleSquareClick}>
           {rowInd === (color === 'white' ? 0 : 7) && <div data-square={coord} className='absolute text-xs font-semibold left-[3%]'>{8 - boardInd}</div>}
           {boardInd === (color === 'white' ? 7 : 0) && <div data-square={coord} className='absolute text-xs font-semibold self-end right-[5%] top-[69%]'>{numToLetter[rowInd]}</div>}
           {square != null ?
@@ -695,8 +1265,8 @@ function chessBoard({board, handleSquareClick, handleDragStart, handleDrop, avai
               src={icons[`${square.color}${square.type}`]}
               data-square={coord}
               className='m-auto z-20 h-[90%] w-[90%]'
-              onDragStart={handleDragStart}
-              draggable="true"
+              onDragStart={readOnly ? undefined : handleDragStart}
+              draggable={readOnly ? 'false' : 'true'}
             /> : ""
           }
           {squareUnderlay({ square: square, coord: coord, history: history, availableMoves: availableMoves, isCheck: isCheck, turn: turn, selectedSquare: selectedSquare })}
@@ -729,7 +1299,12 @@ function chessBoard({board, handleSquareClick, handleDragStart, handleDrop, avai
       {isGameOver[0] && <div className='absolute bg-zinc-800 bg-opacity-80 h-full w-full flex items-center justify-center z-40'>
         <div className='font-light text-white text-center text-4xl'>
           Game Over: <br/>
-          {isGameOver[1].isCheckmate ? 'Checkmate' : isGameOver[1].isDraw ? 'Draw' : isGameOver[1].isStalemate ? 'Stalemate' : ''}
+          {isGameOver[1].result ? describeResult(isGameOver[1].result) : isGameOver[1].isCheckmate ? 'Checkmate' : isGameOver[1].isDraw ? 'Draw' : isGameOver[1].isStalemate ? 'Stalemate' : ''}
+          {pgnUrl && (
+            <div className='mt-6'>
+              <a href={pgnUrl} download className='btn-primary text-base'>Download PGN</a>
+            </div>
+          )}
         </div>
       </div>}
     </div>
@@ -865,7 +1440,24 @@ function useChessClock({
   return { whiteMs, blackMs, clickSwitchTo }
 }
 
-function TimerDisplay({ label, minutes, seconds, active, onClick, easterEgg }) {
+// Server clock hook: counts the running side down locally between server updates
+function useServerClock(clock) {
+  const [now, setNow] = useState(() => Date.now())
+  useEffect(() => {
+    if (!clock || !clock.running) return
+    const id = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(id)
+  }, [clock])
+  if (!clock) return null
+  const elapsed = clock.running ? Math.max(0, now - clock.receivedAt - (clock.delayLeft || 0)) : 0
+  return {
+    whiteMs: Math.max(0, clock.white - (clock.running === 'w' ? elapsed : 0)),
+    blackMs: Math.max(0, clock.black - (clock.running === 'b' ? elapsed : 0)),
+    running: clock.running
+  }
+}
+
+function TimerDisplay({ label, minutes, seconds, text, active, onClick, easterEgg, low }) {
   return (
     <button
       type='button'
@@ -875,9 +1467,11 @@ function TimerDisplay({ label, minutes, seconds, active, onClick, easterEgg }) {
     >
       <div className='flex items-center justify-between'>
         <span className={`text-[11px] uppercase tracking-wide ${active ? 'text-emerald-300' : 'text-zinc-300'}`}>{label}</span>
-        <div style={{ fontVariantNumeric: 'tabular-nums' }} className='font-semibold'>
+        <div style={{ fontVariantNumeric: 'tabular-nums' }} className={`font-semibold ${low ? 'text-red-400' : ''}`}>
           {easterEgg ? (
             <span className='text-emerald-300'>長考之王</span>
+          ) : text ? (
+            <span>{text}</span>
           ) : (
             // Fixed-width grid: 2ch for minutes, 1ch for colon, 2ch for seconds (no zero-pad)
             <span className='inline-grid' style={{ gridTemplateColumns: '2ch 1ch 2ch' }}>
@@ -892,8 +1486,19 @@ function TimerDisplay({ label, minutes, seconds, active, onClick, easterEgg }) {
   )
 }
 
-function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNonce, isHotSeatMode, hotSeatCurrentPlayer, hotSeatGame, updateHotSeatPosition, onRequestReset, onRequestLeave, turn, color, isGameOver, playerName, opponentName, serverIp, serverPort, enginePort, onSendEmoji }) {
-  // ViewWindow: versatile middle panel (MoveListView | AnalysisView | EmojiView)
+TimerDisplay.propTypes = {
+  label: PropTypes.string,
+  minutes: PropTypes.number,
+  seconds: PropTypes.number,
+  text: PropTypes.string,
+  active: PropTypes.bool,
+  onClick: PropTypes.func,
+  easterEgg: PropTypes.bool,
+  low: PropTypes.bool
+}
+
+function ControlPanel({ history, startFen, tableEnd, socket, status, gameId, clockResetNonce, isHotSeatMode, hotSeatCurrentPlayer, hotSeatGame, updateHotSeatPosition, onRequestReset, onRequestLeave, turn, color, isGameOver, playerName, opponentName, serverIp, serverPort, enginePort, onSendEmoji, isSpectator, spectatorCount, clock, onRequestResign, onDrawAction, drawActionLabel, drawActionDisabled, requestPending, takebacksAllowed, mutedReactions, onToggleMute, chatMessages, chatEnabled, onSendChat, hotSeatEngine, onHotSeatEngineChange, engineReachable }) {
+  // ViewWindow: versatile middle panel (MoveListView | AnalysisView | EmojiView | ChatView)
   const [panelView, setPanelView] = useState('MoveListView')
   // Auto-scroll the move list to the latest move
   useEffect(() => {
@@ -906,9 +1511,14 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
   const handleUndo = () => {
     if (isHotSeatMode && hotSeatGame) {
       hotSeatGame.undo()
+      // Against the engine, go back to the human's move rather than the engine's
+      if (hotSeatEngine && hotSeatGame.turn() === hotSeatEngine.color && hotSeatGame.history().length > 0) {
+        hotSeatGame.undo()
+      }
       updateHotSeatPosition()
     } else if (socket) {
-      socket.emit('undo', gameId)
+      // Takebacks go to the opponent for approval
+      socket.emit('requestUndo', gameId)
     }
   }
 
@@ -935,29 +1545,73 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
     resetKey,
   })
 
-  const msToParts = useCallback((ms) => {
-    const total = Math.max(0, Math.floor(ms / 1000))
+  // Network games with a time control count down from the server's clock instead
+  const serverClock = useServerClock(isHotSeatMode ? null : clock)
+  const countdown = !!serverClock
+  const correspondence = countdown && clock.mode === 'correspondence'
+  const shownWhiteMs = countdown ? serverClock.whiteMs : whiteMs
+  const shownBlackMs = countdown ? serverClock.blackMs : blackMs
+
+  // Correspondence: a link holding our seat token opens this game on another
+  // device (or browser), where it carries on as if played here
+  const [deviceLinkCopied, setDeviceLinkCopied] = useState(false)
+  const copyDeviceLink = async () => {
+    const seat = readSeat()
+    if (!seat || seat.gameId !== gameId) return
+    const params = new URLSearchParams(window.location.search)
+    params.set('game', seat.gameId)
+    params.set('seat', seat.token)
+    const link = `${window.location.origin}${window.location.pathname}?${params}`
+    try {
+      await navigator.clipboard.writeText(link)
+      setDeviceLinkCopied(true)
+    } catch (_) {
+      // No clipboard outside secure contexts (plain http on the LAN)
+      window.prompt('Open this link on your other device', link)
+    }
+  }
+
+  // Countdowns round up so 0:00 only shows once time has really run out
+  const msToParts = useCallback((ms, roundUp) => {
+    const total = Math.max(0, roundUp ? Math.ceil(ms / 1000) : Math.floor(ms / 1000))
     const m = Math.floor(total / 60)
     const s = total % 60
     return { m, s }
   }, [])
 
+  // Low-time warning: play the ten-seconds cue once each time our clock dips under 10s
+  const [lowTimeSound] = useSound(sounds.tenSeconds)
+  const myColor = color === 'white' ? 'w' : (color === 'black' ? 'b' : null)
+  const myMs = countdown && myColor ? (myColor === 'w' ? shownWhiteMs : shownBlackMs) : null
+  const myClockRunning = countdown && serverClock.running === myColor
+  const lowTimeWarnedRef = useRef(false)
+  useEffect(() => {
+    if (myMs == null) return
+    if (myMs >= 10000) {
+      lowTimeWarnedRef.current = false
+      return
+    }
+    if (!lowTimeWarnedRef.current && myClockRunning && myMs > 0) {
+      lowTimeWarnedRef.current = true
+      lowTimeSound()
+    }
+  }, [myMs, myClockRunning, lowTimeSound])
+
   // Determine which color is bottom (player) and top (opponent)
   const bottomColor = isHotSeatMode
     ? (hotSeatCurrentPlayer === 'w' ? 'white' : 'black')
     : (color || 'white')
   const topColor = bottomColor === 'white' ? 'black' : 'white'
 
-  const whiteParts = msToParts(whiteMs)
-  const blackParts = msToParts(blackMs)
+  const whiteParts = msToParts(shownWhiteMs, countdown)
+  const blackParts = msToParts(shownBlackMs, countdown)
   const limitExceeded = (p) => (p.m > 99 || (p.m === 99 && p.s > 59))
   const whiteEgg = limitExceeded(whiteParts)
   const blackEgg = limitExceeded(blackParts)
 
-  // Active highlighting by current turn if playing
-  const activeColor = playing
-    ? ((activeTurn === 'w') ? 'white' : (activeTurn === 'b' ? 'black' : null))
-    : null
+  // Active highlighting by current turn if playing (server clocks say which side runs)
+  const activeTurnForClock = countdown ? serverClock.running : (playing ? activeTurn : null)
+  const activeColor = (activeTurnForClock === 'w') ? 'white' : (activeTurnForClock === 'b' ? 'black' : null)
 
   // Click handlers to allow manual switching (dev/testing)
   const handleClickTop = () => {
@@ -978,9 +1632,11 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
         label={which === topColor ? topLabel : bottomLabel}
         minutes={parts.m}
         seconds={parts.s}
+        text={correspondence ? formatDaysLeft(isWhite ? shownWhiteMs : shownBlackMs) : null}
         active={activeColor === which}
-        onClick={which === topColor ? handleClickTop : handleClickBottom}
-        easterEgg={egg}
+        onClick={countdown ? undefined : (which === topColor ? handleClickTop : handleClickBottom)}
+        easterEgg={!countdown && egg}
+        low={countdown && (isWhite ? shownWhiteMs : shownBlackMs) < 10000}
       />
     )
   }
@@ -993,37 +1649,10 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
   const aiWsRef = useRef(null)
 
   // --- Emoji assets (thumbnails) ---
-  const emojiImages = useMemo(() => {
-    try {
-      const modules = import.meta.glob('./assets/emojis/*', { eager: true })
-      const list = Object.keys(modules).map((k) => {
-        const mod = modules[k]
-        const src = mod && (mod.default || mod)
-        const name = k.split('/').pop()
-        return { src, name }
-      }).filter((e) => !!e.src)
-      // Stable sort by name
-      list.sort((a, b) => a.name.localeCompare(b.name))
-      return list
-    } catch (_) {
-      return []
-    }
-  }, [])
-
-  const uciFromHistory = useCallback((hist) => {
-    if (!Array.isArray(hist)) return []
-    return hist.map((m) => {
-      let promo = ''
-      if (m && typeof m.san === 'string') {
-        const mm = m.san.match(/=([QRBN])/)
-        if (mm && mm[1]) promo = mm[1].toLowerCase()
-      }
-      return `${m.from}${m.to}${promo}`
-    })
-  }, [])
+  const emojiImages = EMOJIS
 
   const closeAiWs = useCallback(() => {
-    try { if (aiWsRef.current) aiWsRef.current.close() } catch (_) {}
+    try { if (aiWsRef.current) aiWsRef.current.close() } catch (_) { /* already closed */ }
     aiWsRef.current = null
   }, [])
 
@@ -1033,7 +1662,8 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
     setAiBest(null)
     setAiLines([])
     setAiBusy(true)
-    const movesArr = uciFromHistory(history)
+    // The moves only make sense from the position the room started from
+    const movesArr = history.map((m) => m.uci)
     const wsProto = (typeof window !== 'undefined' && window.location && window.location.protocol === 'https:') ? 'wss' : 'ws'
     const host = serverIp
     const port = (enginePort && Number.isFinite(enginePort)) ? enginePort : 8080
@@ -1042,6 +1672,7 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
       movetime: '300',
       moves: movesArr.join(' '),
     })
+    if (startFen) q.set('fen', startFen)
     const url = `${wsProto}://${host}:${port}/ws/analyze?${q.toString()}`
     try {
       const ws = new WebSocket(url)
@@ -1078,7 +1709,7 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
                   await fetch(`${proxyBase}/game/start`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ gameId: engineGameId })
+                    body: JSON.stringify(startFen ? { gameId: engineGameId, initialFen: startFen } : { gameId: engineGameId })
                   })
                   for (const mv of movesArr) {
                     await fetch(`${proxyBase}/game/move`, {
@@ -1088,7 +1719,7 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
                     })
                   }
                   // Switch to stateful stream
-                  try { ws.close() } catch (_) {}
+                  try { ws.close() } catch (_) { /* already closed */ }
                   const q2 = new URLSearchParams({ multipv: '2', movetime: '300', gameId: engineGameId })
                   const url2 = `${wsProto}://${host}:${port}/ws/analyze?${q2.toString()}`
                   const ws2 = new WebSocket(url2)
@@ -1121,7 +1752,7 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
       setAiError('Failed to connect')
       setAiBusy(false)
     }
-  }, [aiBusy, history, serverIp, enginePort, uciFromHistory])
+  }, [aiBusy, history, startFen, serverIp, enginePort])
 
   const toggleAi = () => {
     // ViewWindow: toggle between MoveListView and AnalysisView
@@ -1155,6 +1786,18 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
     }
   }
 
+  const toggleChat = () => {
+    if (panelView !== 'ChatView') {
+      if (aiBusy) {
+        closeAiWs()
+        setAiBusy(false)
+      }
+      setPanelView('ChatView')
+    } else {
+      setPanelView('MoveListView')
+    }
+  }
+
   useEffect(() => () => closeAiWs(), [closeAiWs])
 
   return (
@@ -1188,6 +1831,28 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
             >Emoji</span>
           </div>
 
+          {/* Chat (ViewWindow toggle); network games only */}
+          {!isHotSeatMode && (
+            <div className='relative group'>
+              <button
+                type='button'
+                aria-label='Chat'
+                className={`neo-btn neo-btn-toggle ${panelView === 'ChatView' ? 'emoji-active' : ''}`}
+                aria-pressed={panelView === 'ChatView'}
+                onClick={toggleChat}
+              >
+                <svg width='18' height='18' viewBox='0 0 24 24' fill='none' stroke='currentColor' strokeWidth='2' strokeLinecap='round' strokeLinejoin='round' aria-hidden='true'>
+                  <path d='M21 12a8 8 0 0 1-11.6 7.1L4 20l1-4.6A8 8 0 1 1 21 12z' />
+                </svg>
+              </button>
+              <span
+                role='tooltip'
+                aria-hidden='true'
+                className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30'
+              >Chat</span>
+            </div>
+          )}
+
           {/* AI (ViewWindow toggle) - moved above Undo for prominence */}
           <div className='relative group'>
             <button
@@ -1211,38 +1876,44 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
           </div>
 
           {/* Undo */}
-          <div className='relative group'>
-            <button
-              type='button'
-              aria-label='Undo'
-              className='neo-btn'
-              onClick={handleUndo}
-            >
-              <img src={IconUndo} alt='' aria-hidden='true' className='h-5 w-auto brightness-0 invert object-contain' />
-            </button>
-            <span
-              role='tooltip'
-              aria-hidden='true'
-              className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30'
-            >Undo</span>
-          </div>
+          {!isSpectator && (
+            <div className='relative group'>
+              <button
+                type='button'
+                aria-label='Undo'
+                className='neo-btn'
+                disabled={!isHotSeatMode && (requestPending || !takebacksAllowed)}
+                onClick={handleUndo}
+              >
+                <img src={IconUndo} alt='' aria-hidden='true' className='h-5 w-auto brightness-0 invert object-contain' />
+              </button>
+              <span
+                role='tooltip'
+                aria-hidden='true'
+                className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30'
+              >{!isHotSeatMode && !takebacksAllowed ? 'Takebacks disabled' : 'Undo'}</span>
+            </div>
+          )}
 
           {/* Reset */}
-          <div className='relative group'>
-            <button
-              type='button'
-              aria-label='Reset Game'
-              className='neo-btn neo-btn-danger'
-              onClick={handleReset}
-            >
-              <img src={IconReset} alt='' aria-hidden='true' className='h-5 w-auto brightness-0 invert object-contain' />
-            </button>
-            <span
-              role='tooltip'
-              aria-hidden='true'
-              className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30'
-            >Reset</span>
-          </div>
+          {!isSpectator && (
+            <div className='relative group'>
+              <button
+                type='button'
+                aria-label='Reset Game'
+                className='neo-btn neo-btn-danger'
+                disabled={!isHotSeatMode && requestPending}
+                onClick={handleReset}
+              >
+                <img src={IconReset} alt='' aria-hidden='true' className='h-5 w-auto brightness-0 invert object-contain' />
+              </button>
+              <span
+                role='tooltip'
+                aria-hidden='true'
+                className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30'
+              >Reset</span>
+            </div>
+          )}
 
           {/* Leave/New Game */}
           <div className='relative group'>
@@ -1261,8 +1932,49 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
             >{isHotSeatMode ? 'New Game' : 'Leave'}</span>
           </div>
 
-          {/* Reserve space for ~3 future buttons */}
-          <div className='h-16 md:h-24' aria-hidden='true'></div>
+          {/* Resign / Draw (network players only) */}
+          {!isHotSeatMode && !isSpectator ? (
+            <>
+              <div className='relative group'>
+                <button
+                  type='button'
+                  aria-label='Resign'
+                  className='neo-btn neo-btn-danger'
+                  disabled={status !== 'ready' || (isGameOver && isGameOver[0])}
+                  onClick={() => onRequestResign && onRequestResign()}
+                >
+                  <svg width='18' height='18' viewBox='0 0 24 24' fill='none' stroke='currentColor' strokeWidth='2' strokeLinecap='round' strokeLinejoin='round' aria-hidden='true'>
+                    <path d='M5 21V4' />
+                    <path d='M5 4h11l-2 4 2 4H5' />
+                  </svg>
+                </button>
+                <span
+                  role='tooltip'
+                  aria-hidden='true'
+                  className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30'
+                >Resign</span>
+              </div>
+              <div className='relative group'>
+                <button
+                  type='button'
+                  aria-label={drawActionLabel}
+                  className='neo-btn'
+                  disabled={status !== 'ready' || (isGameOver && isGameOver[0]) || drawActionDisabled}
+                  onClick={() => onDrawAction && onDrawAction()}
+                >
+                  <span className='text-sm font-semibold' aria-hidden='true'>½</span>
+                </button>
+                <span
+                  role='tooltip'
+                  aria-hidden='true'
+                  className='pointer-events-none absolute left-12 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 -translate-x-1 group-hover:translate-x-0 transition text-xs px-2 py-1 rounded-md border border-white/10 bg-zinc-900/90 text-white/90 shadow-lg shadow-black/30 whitespace-nowrap'
+                >{drawActionLabel}</span>
+              </div>
+            </>
+          ) : (
+            // Reserve space for ~3 future buttons
+            <div className='h-16 md:h-24' aria-hidden='true'></div>
+          )}
         </div>
 
         {/* Middle: versatile panel (ViewWindow) */}
@@ -1270,7 +1982,7 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
           <div
             ref={tableEnd}
             role='region'
-            aria-label={panelView === 'AnalysisView' ? 'AI Analysis' : (panelView === 'EmojiView' ? 'Emoji' : 'Move List')}
+            aria-label={{ AnalysisView: 'AI Analysis', EmojiView: 'Emoji', ChatView: 'Chat' }[panelView] || 'Move List'}
             className='relative h-44 overflow-auto rounded-lg border border-white/10 bg-white/5 p-2 select-text'
           >
             {/* MoveListView */}
@@ -1336,6 +2048,20 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
             {/* EmojiView (placeholder) */}
             {panelView === 'EmojiView' && (
               <div className='h-full'>
+                {!isHotSeatMode && mutedReactions && (
+                  <div className='flex flex-wrap gap-3 pb-2 text-xs text-zinc-300'>
+                    {!isSpectator && (
+                      <label className='flex items-center gap-1'>
+                        <input type='checkbox' checked={mutedReactions.opponent} onChange={() => onToggleMute && onToggleMute('opponent')} />
+                        Mute opponent
+                      </label>
+                    )}
+                    <label className='flex items-center gap-1'>
+                      <input type='checkbox' checked={mutedReactions.spectators} onChange={() => onToggleMute && onToggleMute('spectators')} />
+                      Mute spectators
+                    </label>
+                  </div>
+                )}
                 {emojiImages.length === 0 ? (
                   <div className='text-xs text-zinc-400'>No emojis found.</div>
                 ) : (
@@ -1346,7 +2072,7 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
                         type='button'
                         className='relative m-0 p-0 w-full aspect-square rounded-none border-0 bg-transparent'
                         title={e.name}
-                        onClick={() => onSendEmoji && onSendEmoji(e.src, e.name)}
+                        onClick={() => onSendEmoji && onSendEmoji(e.id)}
                       >
                         <img src={e.src} alt={e.name} className='absolute inset-0 h-full w-full object-contain' />
                       </button>
@@ -1355,10 +2081,53 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
                 )}
               </div>
             )}
+
+            {/* ChatView */}
+            {panelView === 'ChatView' && (
+              <ChatView
+                messages={chatMessages || []}
+                enabled={chatEnabled !== false}
+                ownColor={isSpectator ? '' : color}
+                onSend={(text) => onSendChat && onSendChat(text)}
+              />
+            )}
           </div>
+        {isHotSeatMode && engineReachable && (
+          <div className='flex flex-wrap items-center gap-2 text-xs text-zinc-300'>
+            <label className='flex items-center gap-1'>
+              Computer
+              <select
+                className='input w-auto py-1'
+                value={hotSeatEngine ? hotSeatEngine.color : ''}
+                onChange={(e) => onHotSeatEngineChange && onHotSeatEngineChange(e.target.value
+                  ? { color: e.target.value, level: hotSeatEngine ? hotSeatEngine.level : 'skill-5' }
+                  : null)}
+              >
+                <option value=''>Off</option>
+                <option value='b'>plays Black</option>
+                <option value='w'>plays White</option>
+              </select>
+            </label>
+            {hotSeatEngine && (
+              <select
+                className='input w-auto py-1'
+                aria-label='Computer strength'
+                value={hotSeatEngine.level}
+                onChange={(e) => onHotSeatEngineChange && onHotSeatEngineChange({ ...hotSeatEngine, level: e.target.value })}
+              >
+                {BOT_LEVELS.map((level) => (
+                  <option key={level.id} value={level.id}>{level.label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
         {status === 'ready' && !isHotSeatMode && (
           <div className='text-xs text-zinc-400'>
-            <p>Connected to Session: <span className='text-emerald-400 font-mono'>{gameId}</span></p>
+            <p>{isSpectator ? 'Spectating' : 'Connected to'} Session: <span className='text-emerald-400 font-mono'>{gameId}</span></p>
+            {spectatorCount > 0 && (
+              <p>{spectatorCount} {spectatorCount === 1 ? 'spectator' : 'spectators'} watching</p>
+            )}
           </div>
         )}
         {isHotSeatMode && (
@@ -1373,6 +2142,14 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
         <div className='flex flex-col gap-3 w-44 md:w-56 shrink-0'>
           {renderTimer(topColor)}
           {renderTimer(bottomColor)}
+          {countdown && (
+            <p className='text-center text-[11px] text-zinc-400'>Time control: <span className='font-mono'>{clock.control}</span></p>
+          )}
+          {correspondence && color && (
+            <button type='button' className='btn-secondary px-2 py-1 text-[11px]' onClick={copyDeviceLink}>
+              {deviceLinkCopied ? 'Link copied' : 'Continue on another device'}
+            </button>
+          )}
         </div>
 
         
@@ -1390,6 +2167,86 @@ function ControlPanel({ history, tableEnd, socket, status, gameId, clockResetNon
   )
 }
 
+ControlPanel.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.object).isRequired,
+  startFen: PropTypes.string,
+  tableEnd: PropTypes.shape({ current: PropTypes.object }),
+  socket: PropTypes.object,
+  status: PropTypes.string,
+  gameId: PropTypes.string,
+  clockResetNonce: PropTypes.number,
+  isHotSeatMode: PropTypes.bool,
+  hotSeatCurrentPlayer: PropTypes.oneOf(['w', 'b']),
+  hotSeatGame: PropTypes.instanceOf(Chess),
+  updateHotSeatPosition: PropTypes.func,
+  onRequestReset: PropTypes.func,
+  onRequestLeave: PropTypes.func,
+  turn: PropTypes.string,
+  color: PropTypes.string,
+  isGameOver: PropTypes.array,
+  playerName: PropTypes.string,
+  opponentName: PropTypes.string,
+  serverIp: PropTypes.string,
+  serverPort: PropTypes.number,
+  enginePort: PropTypes.number,
+  onSendEmoji: PropTypes.func,
+  isSpectator: PropTypes.bool,
+  spectatorCount: PropTypes.number,
+  clock: PropTypes.shape({
+    mode: PropTypes.string,
+    control: PropTypes.string
+  }),
+  onRequestResign: PropTypes.func,
+  onDrawAction: PropTypes.func,
+  drawActionLabel: PropTypes.string,
+  drawActionDisabled: PropTypes.bool,
+  requestPending: PropTypes.bool,
+  takebacksAllowed: PropTypes.bool,
+  mutedReactions: PropTypes.shape({
+    opponent: PropTypes.bool,
+    spectators: PropTypes.bool
+  }),
+  onToggleMute: PropTypes.func,
+  chatMessages: PropTypes.array,
+  chatEnabled: PropTypes.bool,
+  onSendChat: PropTypes.func,
+  hotSeatEngine: PropTypes.shape({
+    color: PropTypes.oneOf(['w', 'b']),
+    level: PropTypes.string
+  }),
+  onHotSeatEngineChange: PropTypes.func,
+  engineReachable: PropTypes.bool
+}
+
+// Human-readable summary of a server game result ({ result, reason, winner })
+function describeResult(result) {
+  const winner = result.winner === 'w' ? 'White' : (result.winner === 'b' ? 'Black' : null)
+  switch (result.reason) {
+    case 'checkmate':
+      return `Checkmate — ${winner} wins`
+    case 'resignation':
+      return `${winner === 'White' ? 'Black' : 'White'} resigns — ${winner} wins`
+    case 'abandoned':
+      return `${winner === 'White' ? 'Black' : 'White'} left the game — ${winner} wins`
+    case 'timeout':
+      return `${winner} wins on time`
+    case 'timeoutVsInsufficientMaterial':
+      return 'Draw (time out vs. insufficient material)'
+    case 'agreement':
+      return 'Draw by agreement'
+    case 'stalemate':
+      return 'Draw by stalemate'
+    case 'insufficientMaterial':
+      return 'Draw (insufficient material)'
+    case 'threefoldRepetition':
+      return 'Draw by threefold repetition'
+    case 'fiftyMoveRule':
+      return 'Draw by the fifty-move rule'
+    default:
+      return winner ? `${winner} wins` : 'Draw'
+  }
+}
+
 function formatScore(score) {
   if (!score || typeof score !== 'object') return '-'
   if (score.type === 'mate') return `#${score.value}`
@@ -1397,15 +2254,39 @@ function formatScore(score) {
   return '-'
 }
 
-function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, clientPort, isQrOpen, setIsQrOpen, qrDataUrl, setQrDataUrl, qrLoading, setQrLoading, setPlayerName }) {
+function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, clientPort, isQrOpen, setIsQrOpen, qrDataUrl, setQrDataUrl, qrLoading, setQrLoading, setPlayerName, invite, onCancel, profile, onOpenTournaments, onOpenProfile }) {
   const ip = (serverInfo && serverInfo.lanIp) ? serverInfo.lanIp : serverIp
   const protocol = (typeof window !== 'undefined' && window.location && window.location.protocol) || 'http:'
   const networkName = serverInfo && serverInfo.networkName ? serverInfo.networkName : null
-  const url = ip ? `${protocol}//${ip}:${clientPort}` : null
+  // While hosting a private room the link carries its invite code
+  const url = ip
+    ? (invite ? `${protocol}//${ip}:${clientPort}/?code=${invite.code}` : `${protocol}//${ip}:${clientPort}`)
+    : null
   const qrAnchorRef = useRef(null)
   const [qrPos, setQrPos] = useState({ top: 0, left: 0 })
   const isHome = ((import.meta.env.VITE_HOME || '').trim() === 'G&V')
-  const [claimed, setClaimed] = useState({ Gallant: false, Vermouth: false })
+  // Open rooms from the server ('lobby' event), oldest first
+  const [rooms, setRooms] = useState([])
+  // Bot accounts online on the server, and our challenge to one awaiting its answer
+  const [bots, setBots] = useState([])
+  const [challenge, setChallenge] = useState(null)
+  // Correspondence games we have a seat in, the ones waiting on us first
+  const [myGames, setMyGames] = useState([])
+  // Quick-join names are per room; grey out the ones taken in the room a quick
+  // join would enter. Like the server, quick join skips correspondence rooms,
+  // and rated ones for players without a profile.
+  const quickJoinRoom = rooms.find((r) => !r.correspondence && (profile || !r.rated))
+  const claimed = (quickJoinRoom && quickJoinRoom.claimedNames) || { Gallant: false, Vermouth: false }
+  const [nameInput, setNameInput] = useState('')
+  const [colorChoice, setColorChoice] = useState('white')
+  const [isPrivate, setIsPrivate] = useState(false)
+  // Opened from an invite link: prefill its code
+  const [codeInput, setCodeInput] = useState(urlParams.get('code') || '')
+  const [joinError, setJoinError] = useState(null)
+  // Custom start for a room we create: a FEN or a PGN to continue from
+  const [setupText, setSetupText] = useState('')
+  // Room with a custom start the server asked us to look at before sitting down
+  const [setupOffer, setSetupOffer] = useState(null)
   const containerRef = useRef(null)
   const baseImgRef = useRef(null)
   const boyOverlayRef = useRef(null)
@@ -1416,38 +2297,161 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
   const [boyLoaded, setBoyLoaded] = useState(false)
   const [girlLoaded, setGirlLoaded] = useState(false)
   const [hovered, setHovered] = useState(null) // 'Gallant' | 'Vermouth' | null
+  // Time control for a room this player creates (ignored when joining an existing one)
+  const [timeControl, setTimeControl] = useState('')
+  const [takebacks, setTakebacks] = useState(true)
+  const [chat, setChat] = useState(true)
+  // Rated rooms need a profile and have no takebacks
+  const [rated, setRated] = useState(false)
+  const ratedRoom = rated && !!profile
+  // Strength for a vs Computer room; the launcher's "Play vs Computer" opens with ?vs=computer
+  const [botLevelId, setBotLevelId] = useState('skill-5')
+  const vsComputer = urlParams.get('vs') === 'computer'
   const [pressed, setPressed] = useState(null)
 
-  // Listen for name claim updates from server to disable taken quick-join buttons
+  // Keep the list of open rooms current while the lobby is showing
   useEffect(() => {
     if (!socket) return
-    const onClaims = (payload) => {
-      try {
-        if (payload && payload.claimed) {
-          setClaimed((prev) => ({ ...prev, ...payload.claimed }))
-        }
-      } catch (_) {}
+    const onLobby = (payload) => {
+      if (payload && Array.isArray(payload.rooms)) setRooms(payload.rooms)
+      if (payload && Array.isArray(payload.bots)) setBots(payload.bots)
+    }
+    const onJoinFailed = (payload) => {
+      setJoinError((payload && payload.error) || 'Could not join')
+    }
+    // An accepted challenge seats us like a join; anything else ends it here
+    const onChallenge = (payload) => {
+      if (!payload) return
+      if (payload.status === 'pending') {
+        setChallenge({ id: payload.id, botName: payload.botName })
+        return
+      }
+      setChallenge(null)
+      if (payload.status === 'declined') setJoinError(`The bot declined (${payload.reason || 'generic'})`)
+      else if (payload.status === 'expired') setJoinError('The bot did not answer')
     }
-    socket.on('nameClaims', onClaims)
+    socket.on('lobby', onLobby)
+    socket.on('joinFailed', onJoinFailed)
+    socket.on('setupOffer', setSetupOffer)
+    socket.on('challenge', onChallenge)
+    socket.emit('listRooms')
     return () => {
-      socket.off('nameClaims', onClaims)
+      socket.off('lobby', onLobby)
+      socket.off('joinFailed', onJoinFailed)
+      socket.off('setupOffer', setSetupOffer)
+      socket.off('challenge', onChallenge)
     }
   }, [socket])
 
+  // Our correspondence games, found by the seats this browser kept and by our
+  // profile (which is how they show up on another device)
+  useEffect(() => {
+    if (!socket) return
+    const requestMyGames = () => {
+      socket.emit('myGames', { seats: readCorrespondenceSeats(), profileKey: profile ? profile.key : undefined })
+    }
+    const onMyGames = (payload) => {
+      const list = payload && Array.isArray(payload.games) ? payload.games : []
+      setMyGames(list)
+      // Rooms that are gone drop off; seats found through the profile stay
+      writeCorrespondenceSeats(list.map((entry) => ({ gameId: entry.gameId, token: entry.token })))
+    }
+    socket.on('myGames', onMyGames)
+    socket.on('myGamesChanged', requestMyGames)
+    requestMyGames()
+    return () => {
+      socket.off('myGames', onMyGames)
+      socket.off('myGamesChanged', requestMyGames)
+    }
+  }, [socket, profile])
+
+  // The QR code is cached by the parent; drop it when the link changes
+  useEffect(() => {
+    setQrDataUrl(null)
+  }, [url, setQrDataUrl])
+
+  // Name options for a join; with a profile the server uses the profile's name
+  const player = (name) => {
+    const shown = profile ? profile.name : name
+    if (shown && setPlayerName) setPlayerName(shown)
+    return profile ? { name: shown, profileKey: profile.key } : { name }
+  }
+
+  // Quick join: the server seats us in the oldest room where this name is free
   const quickJoin = (name) => {
     if (!socket) return
     try {
-      if (setPlayerName) setPlayerName(name)
-      // Optimistically mark as claimed locally
-      setClaimed((prev) => ({ ...prev, [name]: true }))
-      // Wait for server to assign a game and then claim the name server-side
-      const onceGameId = (gid) => {
-        try { socket.emit('claimName', name) } catch (_) {}
-        socket.off('gameId', onceGameId)
-      }
-      socket.on('gameId', onceGameId)
-      socket.emit('join')
-    } catch (_) {}
+      socket.emit('join', null, { ...player(name), timeControl, takebacks, chat })
+    } catch (_) {
+      // Only a socket already torn down throws; there is no room to join then
+    }
+  }
+
+  const joinRoom = (roomId) => {
+    if (!socket) return
+    setJoinError(null)
+    socket.emit('join', roomId, player(nameInput.trim()))
+  }
+
+  // Back to a correspondence game with its seat token, like after a reload
+  const openMyGame = (entry) => {
+    if (!socket) return
+    setJoinError(null)
+    writeSeat({ gameId: entry.gameId, token: entry.token })
+    socket.emit('rejoin', { gameId: entry.gameId, token: entry.token })
+  }
+
+  const joinWithCode = () => {
+    const code = codeInput.trim()
+    if (!socket || !code) return
+    setJoinError(null)
+    socket.emit('join', null, { ...player(nameInput.trim()), code })
+  }
+
+  const acceptSetup = () => {
+    if (!socket || !setupOffer) return
+    socket.emit('join', setupOffer.gameId, { ...player(nameInput.trim()), code: setupOffer.code || undefined, acceptSetup: true })
+    setSetupOffer(null)
+  }
+
+  // The bot picks the game up over its API; the room settings above apply
+  const challengeBot = (botId) => {
+    if (!socket) return
+    setJoinError(null)
+    socket.emit('challengeBot', {
+      botId,
+      ...player(nameInput.trim()),
+      timeControl,
+      color: colorChoice,
+      rated: ratedRoom
+    })
+  }
+
+  const cancelChallenge = () => {
+    if (socket) socket.emit('cancelChallenge')
+    setChallenge(null)
+  }
+
+  // `bot` is a computer strength for a vs Computer room
+  const createRoom = (bot) => {
+    if (!socket) return
+    setJoinError(null)
+    const text = setupText.trim()
+    // A FEN starts with piece placement and the side to move; anything else is taken as PGN
+    const isFen = /^[1-8pnbrqkPNBRQK]+(\/[1-8pnbrqkPNBRQK]+){7}\s+[wb]\b/.test(text)
+    socket.emit('join', null, {
+      create: true,
+      private: !bot && isPrivate,
+      ...player(nameInput.trim()),
+      color: colorChoice,
+      timeControl,
+      takebacks: takebacks && !ratedRoom,
+      chat,
+      rated: !bot && ratedRoom,
+      fen: isFen ? text : undefined,
+      pgn: text && !isFen ? text : undefined,
+      bot
+    })
   }
 
   // Close QR on outside click or Escape
@@ -1491,7 +2495,9 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
           toast.style.opacity = '0'
           setTimeout(() => toast.remove(), 300)
         }, 1300)
-      } catch (_) {}
+      } catch (_) {
+        // The button is gone: no toast
+      }
     }
     try {
       if (navigator.share) {
@@ -1503,14 +2509,18 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
         showToast('Shared!')
         return
       }
-    } catch (_) {}
+    } catch (_) {
+      // Share sheet dismissed or unavailable: fall back to copying
+    }
     try {
       if (navigator.clipboard && window.isSecureContext) {
         await navigator.clipboard.writeText(url)
         showToast('Copied!')
         return
       }
-    } catch (_) {}
+    } catch (_) {
+      // Clipboard denied: fall back to the textarea copy below
+    }
     try {
       const textarea = document.createElement('textarea')
       textarea.value = url
@@ -1522,7 +2532,9 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
       document.execCommand('copy')
       document.body.removeChild(textarea)
       showToast('Copied!')
-    } catch (_) {}
+    } catch (_) {
+      // Nothing left to try; the link is still shown on screen
+    }
   }
 
   const handleQrToggle = async (e) => {
@@ -1602,7 +2614,9 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
         // Draw overlays scaled to fit exactly the displayed area
         bctx.drawImage(boyOverlayRef.current, 0, 0, w, h)
         gctx.drawImage(girlOverlayRef.current, 0, 0, w, h)
-      } catch (_) {}
+      } catch (_) {
+        // Keep the previous canvases; the next resize redraws them
+      }
     }
     if (baseLoaded && boyLoaded && girlLoaded) {
       redraw()
@@ -1657,7 +2671,7 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
   }
 
   return (
-    <div className='card p-4 flex flex-col gap-4 md:h-[500px]'>
+    <div className='card p-4 flex flex-col gap-4 md:min-h-[500px]'>
       <div className='text-center'>
         <p className='text-white text-xl font-semibold'>Game Lobby</p>
       </div>
@@ -1666,7 +2680,7 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
         <p>Network: <span className='font-mono text-emerald-400'>{networkName}</span></p>
         )}
         <p className='flex items-center justify-center gap-2'>
-          <span>Connect:</span>
+          <span>{invite ? 'Invite:' : 'Connect:'}</span>
           {url ? (
             <button
               type='button'
@@ -1722,7 +2736,180 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
           )}
         </p>
       </div>
-      <div className='flex flex-col gap-2 text-sm'>
+      {invite ? (
+        <div className='flex flex-col items-center gap-3 text-sm text-center'>
+          <p className='text-zinc-300'>Private game. Share the link or QR code above, or tell your opponent this code:</p>
+          <p className='font-mono text-3xl tracking-[0.3em] text-emerald-400'>{invite.code}</p>
+          <p className='text-xs text-zinc-400'>Waiting for your opponent…</p>
+          <button type='button' className='btn-danger' onClick={() => onCancel && onCancel()}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+      <div className='flex flex-col gap-2 text-sm min-h-0'>
+        {joinError && <p className='text-xs text-red-300' role='alert'>{joinError}</p>}
+        <div className='flex gap-2'>
+          <input
+            className='input font-mono uppercase'
+            type='text'
+            maxLength={6}
+            placeholder='Invite code'
+            aria-label='Invite code'
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value)}
+          />
+          <button type='button' className='btn-primary px-3' disabled={!codeInput.trim()} onClick={joinWithCode}>Join</button>
+        </div>
+        {!isHome && (profile ? (
+          <div className='flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1'>
+            <span className='text-white truncate'>{profile.avatar} {profile.name}</span>
+            <button type='button' className='btn-secondary px-3 py-1' onClick={() => onOpenProfile && onOpenProfile()}>Profile</button>
+          </div>
+        ) : (
+          <input className='input' type='text' inputMode='text' maxLength={24} placeholder="Player name (optional)" value={nameInput} onChange={(e) => setNameInput(e.target.value)} />
+        ))}
+        <div className='flex flex-col gap-1'>
+          <p className='text-xs text-zinc-400'>Open games</p>
+          {rooms.length === 0 ? (
+            <p className='text-xs text-zinc-500'>No open games yet. Create one below.</p>
+          ) : (
+            <ul className='max-h-32 overflow-y-auto flex flex-col gap-1 pr-1'>
+              {rooms.map((room) => (
+                <li key={room.id} className='flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1'>
+                  <span className='flex flex-col min-w-0'>
+                    <span className='text-white truncate'>
+                      {room.hostName || 'Anonymous'}
+                      {room.hostRating != null && <span className='text-zinc-400'> ({room.hostRating})</span>}
+                    </span>
+                    <span className='text-xs text-zinc-400'>
+                      {timeControlLabel(room.timeControl)} · {room.colorPreference === 'random' ? 'random colors' : `host plays ${room.colorPreference}`}
+                      {room.rated && ' · rated'}
+                      {room.setup && ' · custom position'}
+                    </span>
+                  </span>
+                  <button type='button' className='btn-primary px-3 py-1' onClick={() => joinRoom(room.id)}>Join</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        {myGames.length > 0 && (
+          <div className='flex flex-col gap-1'>
+            <p className='text-xs text-zinc-400'>Your games</p>
+            <ul className='max-h-32 overflow-y-auto flex flex-col gap-1 pr-1'>
+              {myGames.map((entry) => (
+                <li key={entry.gameId} className='flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1'>
+                  <span className='flex flex-col min-w-0'>
+                    <span className='text-white truncate'>
+                      {entry.yourTurn && <span className='badge-ok mr-1'>Your turn</span>}
+                      vs {entry.opponentName || (entry.status === 'waiting' ? 'nobody yet' : 'Anonymous')}
+                    </span>
+                    <span className='text-xs text-zinc-400'>
+                      {entry.color} · {timeControlLabel(entry.timeControl)}
+                      {entry.result
+                        ? ` · ${entry.result.result}`
+                        : (entry.deadline ? ` · ${formatDaysLeft(entry.deadline - Date.now())} left to move` : '')}
+                    </span>
+                  </span>
+                  <button type='button' className={entry.yourTurn ? 'btn-primary px-3 py-1' : 'btn-secondary px-3 py-1'} onClick={() => openMyGame(entry)}>Open</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {(bots.length > 0 || challenge) && (
+          <div className='flex flex-col gap-1'>
+            <p className='text-xs text-zinc-400'>Bots (using the settings below)</p>
+            {challenge ? (
+              <div className='flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1'>
+                <span className='text-zinc-300 truncate'>Waiting for {challenge.botName} to answer…</span>
+                <button type='button' className='btn-secondary px-3 py-1' onClick={cancelChallenge}>Cancel</button>
+              </div>
+            ) : (
+              <ul className='max-h-32 overflow-y-auto flex flex-col gap-1 pr-1'>
+                {bots.map((bot) => (
+                  <li key={bot.id} className='flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1'>
+                    <span className='text-white truncate'>
+                      {bot.avatar} {bot.name} <span className='text-zinc-400'>({bot.rating}{bot.provisional ? '?' : ''})</span>
+                    </span>
+                    <button type='button' className='btn-primary px-3 py-1' onClick={() => challengeBot(bot.id)}>Challenge</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+          <span>Time control</span>
+          <select
+            className='input w-auto py-1'
+            value={timeControl}
+            onChange={(e) => setTimeControl(e.target.value)}
+          >
+            {TIME_CONTROLS.map((tc) => (
+              <option key={tc.id || 'untimed'} value={tc.id}>{tc.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+          <span>Allow takebacks</span>
+          <input
+            type='checkbox'
+            checked={takebacks && !ratedRoom}
+            disabled={ratedRoom}
+            onChange={(e) => setTakebacks(e.target.checked)}
+          />
+        </label>
+        <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+          <span>{profile ? 'Rated game' : 'Rated game (needs a profile)'}</span>
+          <input
+            type='checkbox'
+            checked={ratedRoom}
+            disabled={!profile}
+            onChange={(e) => setRated(e.target.checked)}
+          />
+        </label>
+        <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+          <span>Allow chat</span>
+          <input
+            type='checkbox'
+            checked={chat}
+            onChange={(e) => setChat(e.target.checked)}
+          />
+        </label>
+        {!isHome && (
+          <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+            <span>Play as</span>
+            <select
+              className='input w-auto py-1'
+              value={colorChoice}
+              onChange={(e) => setColorChoice(e.target.value)}
+            >
+              <option value='white'>White</option>
+              <option value='black'>Black</option>
+              <option value='random'>Random</option>
+            </select>
+          </label>
+        )}
+        {!isHome && (
+          <textarea
+            className='input h-16 resize-none font-mono text-xs'
+            placeholder='Start from FEN or PGN (optional)'
+            aria-label='Start position (FEN or PGN)'
+            value={setupText}
+            onChange={(e) => setSetupText(e.target.value)}
+          />
+        )}
+        {!isHome && (
+          <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+            <span>Private (invite code only)</span>
+            <input
+              type='checkbox'
+              checked={isPrivate}
+              onChange={(e) => setIsPrivate(e.target.checked)}
+            />
+          </label>
+        )}
         {isHome ? (
           <div
             ref={containerRef}
@@ -1792,20 +2979,28 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
           </div>
         ) : (
           <>
-            <input id="playerNameInput" className='input' type='text' inputMode='text' placeholder="Player name (optional)" />
+            <label className='flex items-center justify-between gap-2 text-xs text-zinc-300'>
+              <span>Computer strength</span>
+              <select
+                className='input w-auto py-1'
+                value={botLevelId}
+                onChange={(e) => setBotLevelId(e.target.value)}
+              >
+                {BOT_LEVELS.map((level) => (
+                  <option key={level.id} value={level.id}>{level.label}</option>
+                ))}
+              </select>
+            </label>
             <div className='flex gap-2'>
               <button
-                className='btn-primary grow'
-                onClick={() => {
-                  if (!socket) return
-                  try {
-                    const nameEl = document.getElementById('playerNameInput')
-                    const val = nameEl && typeof nameEl.value === 'string' ? nameEl.value.trim() : ''
-                    if (val && setPlayerName) setPlayerName(val)
-                  } catch (_) {}
-                  socket.emit('join')
-                }}>
-                Join
+                className={vsComputer ? 'btn-secondary grow' : 'btn-primary grow'}
+                onClick={() => createRoom()}>
+                Create game
+              </button>
+              <button
+                className={vsComputer ? 'btn-primary grow' : 'btn-secondary grow'}
+                onClick={() => createRoom(botLevel(botLevelId).strength)}>
+                Play vs Computer
               </button>
               <button
                 className='btn-danger hidden'
@@ -1817,7 +3012,36 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
             </div>
           </>
         )}
+        <div className='flex gap-2'>
+          <button type='button' className='btn-secondary grow' onClick={() => onOpenTournaments && onOpenTournaments()}>
+            Tournaments
+          </button>
+          <button type='button' className='btn-secondary grow' onClick={() => onOpenProfile && onOpenProfile()}>
+            {profile ? 'Profile & Ratings' : 'Create Profile'}
+          </button>
+        </div>
       </div>
+      )}
+      {setupOffer && (
+        <ConfirmDialog
+          title='Custom Starting Position'
+          message={(
+            <div className='flex flex-col gap-2'>
+              <p>
+                {setupOffer.hostName || 'The host'} set up this game
+                {setupOffer.setup.importedPlies ? ` from a PGN (${setupOffer.setup.importedPlies} half-moves already played)` : ' from a FEN'}.
+                You would play {setupOffer.color}{setupOffer.timeControl ? ` (${timeControlLabel(setupOffer.timeControl)})` : ''}.
+              </p>
+              <PositionPreview fen={setupOffer.setup.fen} orientation={setupOffer.color} />
+              <p className='text-xs text-zinc-400'>{new Chess(setupOffer.setup.fen).turn() === 'w' ? 'White' : 'Black'} to move</p>
+            </div>
+          )}
+          confirmText='Accept'
+          cancelText='Decline'
+          onConfirm={acceptSetup}
+          onCancel={() => setSetupOffer(null)}
+        />
+      )}
       <div className='hidden text-xs text-zinc-400'>
         <p>Color: {color}</p>
         <p>Status: {status}</p>
@@ -1827,12 +3051,39 @@ function GameJoinPanel({ socket, status, color, gameId, serverIp, serverInfo, cl
   )
 }
 
+GameJoinPanel.propTypes = {
+  socket: PropTypes.object,
+  status: PropTypes.string,
+  color: PropTypes.string,
+  gameId: PropTypes.string,
+  serverIp: PropTypes.string,
+  serverInfo: PropTypes.object,
+  clientPort: PropTypes.number,
+  isQrOpen: PropTypes.bool,
+  setIsQrOpen: PropTypes.func,
+  qrDataUrl: PropTypes.string,
+  setQrDataUrl: PropTypes.func,
+  qrLoading: PropTypes.bool,
+  setQrLoading: PropTypes.func,
+  setPlayerName: PropTypes.func,
+  invite: PropTypes.shape({ code: PropTypes.string }),
+  onCancel: PropTypes.func,
+  profile: PropTypes.shape({
+    key: PropTypes.string,
+    name: PropTypes.string,
+    avatar: PropTypes.string
+  }),
+  onOpenTournaments: PropTypes.func,
+  onOpenProfile: PropTypes.func
+}
+
 //render the correct panel based on the game status
-function Panel({ history, tableEnd, socket, status, color, turn, isGameOver, gameId, clockResetNonce, playerName, opponentName, isHotSeatMode, hotSeatCurrentPlayer, hotSeatGame, updateHotSeatPosition, serverIp, serverPort, serverInfo, clientPort, enginePort, isQrOpen, setIsQrOpen, qrDataUrl, setQrDataUrl, qrLoading, setQrLoading, onRequestReset, onRequestLeave, onSendEmoji }) {
+function Panel({ history, startFen, tableEnd, socket, status, color, turn, isGameOver, gameId, clockResetNonce, playerName, opponentName, isHotSeatMode, hotSeatCurrentPlayer, hotSeatGame, updateHotSeatPosition, serverIp, serverPort, enginePort, onRequestReset, onRequestLeave, onSendEmoji, isSpectator, spectatorCount, clock, onRequestResign, onDrawAction, drawActionLabel, drawActionDisabled, requestPending, takebacksAllowed, mutedReactions, onToggleMute, chatMessages, chatEnabled, onSendChat, hotSeatEngine, onHotSeatEngineChange, engineReachable }) {
   // Always render ControlPanel here; GameJoinPanel is now an overlay above the board
   return (
     <ControlPanel
       history={history}
+      startFen={startFen}
       tableEnd={tableEnd}
       socket={socket}
       status={status}
@@ -1853,8 +3104,28 @@ function Panel({ history, tableEnd, socket, status, color, turn, isGameOver, gam
       serverPort={serverPort}
       enginePort={enginePort}
       onSendEmoji={onSendEmoji}
+      mutedReactions={mutedReactions}
+      onToggleMute={onToggleMute}
+      chatMessages={chatMessages}
+      chatEnabled={chatEnabled}
+      onSendChat={onSendChat}
+      hotSeatEngine={hotSeatEngine}
+      onHotSeatEngineChange={onHotSeatEngineChange}
+      engineReachable={engineReachable}
+      isSpectator={isSpectator}
+      spectatorCount={spectatorCount}
+      clock={clock}
+      onRequestResign={onRequestResign}
+      onDrawAction={onDrawAction}
+      drawActionLabel={drawActionLabel}
+      drawActionDisabled={drawActionDisabled}
+      requestPending={requestPending}
+      takebacksAllowed={takebacksAllowed}
     />
   )
 }
 
+// Panel hands every prop on to ControlPanel
+Panel.propTypes = ControlPanel.propTypes
+
 export default App
@@ -15,6 +15,7 @@ import check from './sounds/check.mp3'
 import capture from './sounds/capture.mp3'
 import castle from './sounds/castle.mp3'
 import gameOver from './sounds/game-end.mp3'
+import tenSeconds from './sounds/tenseconds.mp3'
 import background from './images/parchment-bg.jpg'
 
-export { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr, move, check, capture, castle, gameOver, background}
\ No newline at end of file
+export { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr, move, check, capture, castle, gameOver, tenSeconds, background}
\ No newline at end of file
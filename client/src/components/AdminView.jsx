@@ -0,0 +1,245 @@
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import ConfirmDialog from './ConfirmDialog'
+
+// How often the dashboard refreshes the room list
+const POLL_MS = 5000
+
+// Admin token for this tab. The server also accepts requests from its own
+// machine without one.
+const TOKEN_KEY = 'chessvermouth:adminToken'
+const readToken = () => {
+  try {
+    return sessionStorage.getItem(TOKEN_KEY) || ''
+  } catch (_) {
+    return ''
+  }
+}
+
+const formatIdle = (ms) => {
+  const s = Math.floor(ms / 1000)
+  if (s < 60) return `${s}s`
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`
+}
+
+const roomFlags = (room) => [
+  room.timeControl || 'untimed',
+  room.private && 'private',
+  room.rated && 'rated',
+  room.bot && 'vs computer',
+  room.tournament && `tournament round ${room.tournament.round}, board ${room.tournament.board}`,
+  room.result && room.result.result
+].filter(Boolean).join(' · ')
+
+// Dashboard for whoever runs the game server at an event: every room with its
+// players, move count and idle time, with buttons to abort a room, kick a
+// connection or send an announcement. Opened with ?view=admin.
+const AdminView = ({ serverUrl }) => {
+  const [token, setToken] = useState(readToken)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [announcement, setAnnouncement] = useState({ text: '', gameId: '' })
+  const [sentAt, setSentAt] = useState(null)
+  const [abortId, setAbortId] = useState(null)
+
+  const request = useCallback(async (method, path, body) => {
+    setError(null)
+    try {
+      const headers = {}
+      if (body) headers['Content-Type'] = 'application/json'
+      if (token) headers.Authorization = `Bearer ${token}`
+      const res = await fetch(`${serverUrl}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined })
+      const payload = await res.json()
+      if (!res.ok) throw new Error(payload.error || `Server responded ${res.status}`)
+      return payload
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }, [serverUrl, token])
+
+  const refresh = useCallback(async () => {
+    const payload = await request('GET', '/admin/rooms')
+    if (payload) setData(payload)
+  }, [request])
+
+  useEffect(() => {
+    refresh()
+    const timer = setInterval(refresh, POLL_MS)
+    return () => clearInterval(timer)
+  }, [refresh])
+
+  const saveToken = (value) => {
+    setToken(value)
+    try {
+      sessionStorage.setItem(TOKEN_KEY, value)
+    } catch (_) {
+      // Private browsing: keep the token for this page only
+    }
+  }
+
+  const kick = async (socketId) => {
+    if (await request('POST', `/admin/sockets/${encodeURIComponent(socketId)}/kick`)) refresh()
+  }
+
+  const abort = async () => {
+    const gameId = abortId
+    setAbortId(null)
+    if (await request('DELETE', `/admin/rooms/${encodeURIComponent(gameId)}`)) refresh()
+  }
+
+  const announce = async () => {
+    const sent = await request('POST', '/admin/announcements', {
+      text: announcement.text,
+      gameId: announcement.gameId || undefined
+    })
+    if (sent) {
+      setAnnouncement({ ...announcement, text: '' })
+      setSentAt(sent.at)
+    }
+  }
+
+  const rooms = data ? data.rooms : []
+  // Connections that are not in any room (lobby, tournament view, ...)
+  const idleSockets = data ? data.sockets.filter((s) => !s.gameId) : []
+
+  return (
+    <div className="min-h-screen w-full text-zinc-100 p-4">
+      <div className="mx-auto max-w-4xl flex flex-col gap-4 text-sm">
+        <header className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <p className="text-white text-xl font-semibold">Game Server Admin</p>
+            <p className="text-xs text-zinc-400">
+              {data
+                ? `${rooms.length} rooms · ${data.sockets.length} connections · up ${formatIdle(data.uptime * 1000)}`
+                : 'Loading…'}
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-xs text-zinc-300">
+            <span>Admin token</span>
+            <input
+              className="input w-48 py-1"
+              type="password"
+              placeholder="Not needed on the server"
+              value={token}
+              onChange={(e) => saveToken(e.target.value)}
+            />
+          </label>
+        </header>
+        {error && <p className="text-xs text-red-300" role="alert">{error}</p>}
+
+        <section className="card p-4 flex flex-col gap-2">
+          <p className="text-xs text-zinc-400">Announcement</p>
+          <form
+            className="flex flex-wrap gap-2"
+            onSubmit={(e) => {
+              e.preventDefault()
+              announce()
+            }}
+          >
+            <input
+              className="input grow"
+              maxLength={200}
+              placeholder="e.g. Round 3 starts in five minutes"
+              aria-label="Announcement"
+              value={announcement.text}
+              onChange={(e) => setAnnouncement({ ...announcement, text: e.target.value })}
+            />
+            <select
+              className="input w-auto py-1"
+              aria-label="Send to"
+              value={announcement.gameId}
+              onChange={(e) => setAnnouncement({ ...announcement, gameId: e.target.value })}
+            >
+              <option value="">Everyone</option>
+              {rooms.map((room) => <option key={room.id} value={room.id}>Room {room.id}</option>)}
+            </select>
+            <button type="submit" className="btn-primary px-3" disabled={!announcement.text.trim()}>Send</button>
+          </form>
+          {sentAt && <p className="text-xs text-emerald-400">Sent at {new Date(sentAt).toLocaleTimeString()}</p>}
+        </section>
+
+        <section className="card p-4 flex flex-col gap-2">
+          <p className="text-xs text-zinc-400">Rooms, most recently active first</p>
+          {rooms.length === 0 ? (
+            <p className="text-xs text-zinc-500">No rooms.</p>
+          ) : (
+            <ul className="flex flex-col gap-2">
+              {rooms.map((room) => (
+                <li key={room.id} className="rounded-md border border-white/10 bg-white/5 p-2 flex flex-col gap-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="min-w-0">
+                      <span className="font-mono text-emerald-400">{room.id}</span>
+                      <span className="text-zinc-300"> · {room.status} · {room.moves} moves · idle {formatIdle(room.idleMs)}</span>
+                      <span className="block text-xs text-zinc-400 truncate">{roomFlags(room)}</span>
+                    </span>
+                    <button type="button" className="btn-danger px-3 py-1" onClick={() => setAbortId(room.id)}>Abort</button>
+                  </div>
+                  <ul className="flex flex-col gap-1 text-xs">
+                    {room.players.map((p) => (
+                      <li key={p.seat} className="flex items-center justify-between gap-2">
+                        <span className="truncate">
+                          <span className="text-zinc-400">{p.color}:</span> {p.name || (p.taken ? 'Anonymous' : 'empty seat')}
+                          {p.awayUntil && <span className="text-amber-300"> (reconnecting)</span>}
+                          {p.socketId && <span className="font-mono text-zinc-500"> {p.socketId}</span>}
+                        </span>
+                        {p.socketId && (
+                          <button type="button" className="btn-secondary px-2 py-0.5" onClick={() => kick(p.socketId)}>Kick</button>
+                        )}
+                      </li>
+                    ))}
+                    {room.spectators.map((id) => (
+                      <li key={id} className="flex items-center justify-between gap-2">
+                        <span className="truncate">
+                          <span className="text-zinc-400">spectator:</span> <span className="font-mono text-zinc-500">{id}</span>
+                        </span>
+                        <button type="button" className="btn-secondary px-2 py-0.5" onClick={() => kick(id)}>Kick</button>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section className="card p-4 flex flex-col gap-2">
+          <p className="text-xs text-zinc-400">Connections outside rooms</p>
+          {idleSockets.length === 0 ? (
+            <p className="text-xs text-zinc-500">None.</p>
+          ) : (
+            <ul className="flex flex-col gap-1 text-xs">
+              {idleSockets.map((s) => (
+                <li key={s.id} className="flex items-center justify-between gap-2">
+                  <span className="truncate">
+                    <span className="font-mono text-zinc-300">{s.id}</span>
+                    <span className="text-zinc-400"> · {s.address} · connected {formatIdle(Date.now() - s.connectedAt)} ago</span>
+                  </span>
+                  <button type="button" className="btn-secondary px-2 py-0.5" onClick={() => kick(s.id)}>Kick</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+
+      {abortId && (
+        <ConfirmDialog
+          title="Abort Game"
+          message={`Close room ${abortId}? Everyone in it goes back to the lobby and the game is dropped without a result.`}
+          confirmText="Abort"
+          cancelText="Cancel"
+          onConfirm={abort}
+          onCancel={() => setAbortId(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+AdminView.propTypes = {
+  serverUrl: PropTypes.string.isRequired
+}
+
+export default AdminView
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+
+// One-click messages for the usual pleasantries
+const CANNED_PHRASES = ['Good luck', 'Well played', 'Rematch?']
+
+// Matches the server's limit; longer messages are refused there anyway
+const MAX_LENGTH = 200
+
+const senderLabel = (message) => {
+  if (message.from === 'spectator') return 'Spectator'
+  return message.name || (message.from === 'white' ? 'White' : 'Black')
+}
+
+// Room chat for the ControlPanel's ViewWindow
+const ChatView = ({ messages, enabled = true, ownColor = '', onSend }) => {
+  const [draft, setDraft] = useState('')
+  const listRef = useRef(null)
+
+  // Keep the newest message in view
+  useEffect(() => {
+    const el = listRef.current
+    if (el) el.scrollTop = el.scrollHeight
+  }, [messages])
+
+  if (!enabled) {
+    return <div className="text-xs text-zinc-400">Chat is turned off for this game.</div>
+  }
+
+  const send = (text) => {
+    const value = text.trim()
+    if (!value) return
+    onSend(value)
+    setDraft('')
+  }
+
+  return (
+    <div className="flex h-full flex-col gap-1">
+      <div ref={listRef} className="grow min-h-0 overflow-auto space-y-0.5 text-sm">
+        {messages.length === 0 ? (
+          <div className="text-xs text-zinc-400">No messages yet</div>
+        ) : messages.map((m) => (
+          <p key={m.id} className="break-words">
+            <span className={m.from === ownColor ? 'font-semibold text-emerald-400' : 'font-semibold text-amber-300'}>{senderLabel(m)}:</span>{' '}
+            <span className="text-white/90">{m.text}</span>
+          </p>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {CANNED_PHRASES.map((phrase) => (
+          <button
+            key={phrase}
+            type="button"
+            className="rounded-md border border-white/10 bg-zinc-900/80 px-2 py-0.5 text-xs text-white/90 hover:bg-zinc-800/80"
+            onClick={() => send(phrase)}
+          >{phrase}</button>
+        ))}
+      </div>
+      <form
+        className="flex gap-1"
+        onSubmit={(e) => {
+          e.preventDefault()
+          send(draft)
+        }}
+      >
+        <input
+          className="input grow min-w-0 py-1 text-sm"
+          value={draft}
+          maxLength={MAX_LENGTH}
+          placeholder="Message"
+          aria-label="Chat message"
+          onChange={(e) => setDraft(e.target.value)}
+        />
+        <button type="submit" className="btn-primary px-3 py-1 text-sm" disabled={!draft.trim()}>Send</button>
+      </form>
+    </div>
+  )
+}
+
+ChatView.propTypes = {
+  messages: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    from: PropTypes.oneOf(['white', 'black', 'spectator']).isRequired,
+    name: PropTypes.string,
+    text: PropTypes.string.isRequired
+  })).isRequired,
+  enabled: PropTypes.bool,
+  ownColor: PropTypes.string,
+  onSend: PropTypes.func.isRequired
+}
+
+export default ChatView
@@ -0,0 +1,33 @@
+import PropTypes from 'prop-types'
+import { Chess } from 'chess.js'
+import { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr } from '../assets'
+
+const icons = { bb, bk, bn, bp, bq, br, wb, wk, wn, wp, wq, wr }
+
+// Small read-only diagram of a FEN, drawn from `orientation`'s side
+const PositionPreview = ({ fen, orientation = 'white' }) => {
+  let board = null
+  try {
+    board = new Chess(fen).board()
+  } catch (_) {
+    return <p className="text-xs text-zinc-400 font-mono break-all">{fen}</p>
+  }
+  const rows = orientation === 'black' ? [...board].reverse().map((row) => [...row].reverse()) : board
+
+  return (
+    <div className="grid grid-cols-8 w-48 h-48 mx-auto rounded overflow-hidden border border-white/10" aria-label={`Position: ${fen}`} role="img">
+      {rows.map((row, r) => row.map((piece, c) => (
+        <div key={`${r}-${c}`} className={(r + c) % 2 === 0 ? 'bg-amber-100/80' : 'bg-amber-800/70'}>
+          {piece && <img src={icons[piece.color + piece.type]} alt="" className="w-full h-full" draggable="false" />}
+        </div>
+      )))}
+    </div>
+  )
+}
+
+PositionPreview.propTypes = {
+  fen: PropTypes.string.isRequired,
+  orientation: PropTypes.oneOf(['white', 'black'])
+}
+
+export default PositionPreview
@@ -0,0 +1,256 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+
+const AVATARS = ['♞', '🦊', '🐢', '🦉', '🐙', '🐻', '🐧', '🦁', '🐸', '🐝', '🦄', '🐲']
+const OUTCOMES = { 1: 'Won', 0.5: 'Draw', 0: 'Lost' }
+
+const formatDate = (at) => new Date(at).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+
+const formatChange = (entry) => {
+  if (!entry.rated) return 'casual'
+  const change = entry.ratingAfter - entry.ratingBefore
+  return `${change > 0 ? '+' : ''}${change} → ${entry.ratingAfter}`
+}
+
+// Provisional ratings (too few rated games to trust yet) get a question mark
+const formatRating = (p) => `${p.rating}${p.provisional ? '?' : ''}`
+
+const AvatarPicker = ({ value, onChange }) => (
+  <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Avatar">
+    {AVATARS.map((avatar) => (
+      <button
+        key={avatar}
+        type="button"
+        role="radio"
+        aria-checked={avatar === value}
+        className={`w-9 h-9 rounded-md text-xl ${avatar === value ? 'bg-emerald-600/40 ring-2 ring-emerald-400' : 'bg-white/5 hover:bg-white/10'}`}
+        onClick={() => onChange(avatar)}
+      >{avatar}</button>
+    ))}
+  </div>
+)
+
+AvatarPicker.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired
+}
+
+// Player profiles: make one for this device, see anyone's games with their
+// results and rating changes, and the leaderboard.
+const ProfileView = ({ serverUrl, profile, onProfileChange, onClose }) => {
+  const [leaderboard, setLeaderboard] = useState([])
+  // Whose history is showing; our own unless a leaderboard row was picked
+  const [viewedId, setViewedId] = useState(profile ? profile.id : null)
+  // null while loading, false when the server does not know the profile
+  const [viewed, setViewed] = useState(null)
+  const [error, setError] = useState(null)
+  const [form, setForm] = useState({ name: '', avatar: AVATARS[0] })
+  const [confirmForget, setConfirmForget] = useState(false)
+
+  const request = async (method, path, body) => {
+    setError(null)
+    try {
+      const res = await fetch(`${serverUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `Server responded ${res.status}`)
+      return data
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${serverUrl}/profiles`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (!cancelled && data && Array.isArray(data.profiles)) setLeaderboard(data.profiles)
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load profiles')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [serverUrl, profile])
+
+  useEffect(() => {
+    if (!viewedId) {
+      setViewed(null)
+      return
+    }
+    let cancelled = false
+    fetch(`${serverUrl}/profiles/${encodeURIComponent(viewedId)}`)
+      .then((res) => (res.ok ? res.json() : false))
+      .then((data) => {
+        if (!cancelled) setViewed(data)
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load the profile')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [serverUrl, viewedId, profile])
+
+  const create = async () => {
+    const data = await request('POST', '/profiles', { name: form.name, avatar: form.avatar })
+    if (!data) return
+    onProfileChange({ id: data.profile.id, key: data.key, name: data.profile.name, avatar: data.profile.avatar })
+    setViewedId(data.profile.id)
+  }
+
+  const changeAvatar = async (avatar) => {
+    const data = await request('PATCH', `/profiles/${profile.id}`, { key: profile.key, avatar })
+    if (data) onProfileChange({ ...profile, avatar: data.avatar })
+  }
+
+  const forget = () => {
+    onProfileChange(null)
+    setViewedId(null)
+    setConfirmForget(false)
+  }
+
+  const isMine = !!(profile && viewed && viewed.id === profile.id)
+
+  return (
+    <div className="card p-4 flex flex-col gap-3 text-sm max-h-[90dvh] overflow-y-auto">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-white text-xl font-semibold">Profiles & Ratings</p>
+        <button type="button" className="btn-secondary px-3 py-1" onClick={onClose}>Back to lobby</button>
+      </div>
+      {error && <p className="text-xs text-red-300" role="alert">{error}</p>}
+
+      {!profile && (
+        <form
+          className="flex flex-col gap-2"
+          onSubmit={(e) => {
+            e.preventDefault()
+            create()
+          }}
+        >
+          <p className="text-xs text-zinc-400">
+            Make a profile to keep your name, avatar and rating on this server. It lives in this browser; anyone can play casual games without one.
+          </p>
+          <input className="input" maxLength={24} placeholder="Display name" aria-label="Display name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+          <AvatarPicker value={form.avatar} onChange={(avatar) => setForm({ ...form, avatar })} />
+          <button type="submit" className="btn-primary" disabled={!form.name.trim()}>Create profile</button>
+        </form>
+      )}
+
+      {profile && viewed === false && viewedId === profile.id && (
+        <div className="flex items-center justify-between gap-2 text-xs text-zinc-300">
+          <span>This server does not know {profile.name} any more (its data may have been reset).</span>
+          <button type="button" className="btn-secondary px-3 py-1" onClick={forget}>Forget</button>
+        </div>
+      )}
+
+      {viewed && (
+        <div className="flex flex-col gap-2">
+          <div className="flex items-center justify-between gap-2">
+            <div className="min-w-0">
+              <p className="text-white text-lg truncate">{viewed.avatar} {viewed.name}{viewed.bot && <span className="text-zinc-400"> (bot)</span>}</p>
+              <p className="text-xs text-zinc-400">
+                Rating {formatRating(viewed)} · {viewed.ratedGames} rated of {viewed.games} games
+              </p>
+            </div>
+            {profile && !isMine && (
+              <button type="button" className="btn-secondary px-3 py-1" onClick={() => setViewedId(profile.id)}>My profile</button>
+            )}
+          </div>
+          {isMine && <AvatarPicker value={viewed.avatar} onChange={changeAvatar} />}
+          {viewed.history.length === 0 ? (
+            <p className="text-xs text-zinc-500">No games yet.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead className="text-zinc-400">
+                <tr>
+                  <th className="text-left font-normal">Date</th>
+                  <th className="text-left font-normal">Opponent</th>
+                  <th className="text-left font-normal">Result</th>
+                  <th className="text-right font-normal">Rating</th>
+                  <th className="text-right font-normal"><span className="sr-only">PGN</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {viewed.history.map((entry) => (
+                  <tr key={entry.archiveId} className="text-white/90">
+                    <td className="whitespace-nowrap">{formatDate(entry.at)}</td>
+                    <td className="truncate">
+                      <span aria-label={entry.color} title={`Played ${entry.color}`}>{entry.color === 'white' ? '○' : '●'}</span> {entry.opponent || 'Anonymous'}
+                    </td>
+                    <td title={entry.reason}>{OUTCOMES[entry.score]}</td>
+                    <td className={`text-right font-mono ${entry.rated ? '' : 'text-zinc-500'}`}>{formatChange(entry)}</td>
+                    <td className="text-right">
+                      <a className="text-emerald-400 hover:underline" href={`${serverUrl}/games/${encodeURIComponent(entry.archiveId)}.pgn`}>PGN</a>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {isMine && (confirmForget ? (
+            <div className="flex items-center justify-between gap-2 text-xs text-zinc-300">
+              <span>This browser will no longer play as {viewed.name}. There is no way back in.</span>
+              <button type="button" className="btn-danger px-3 py-1" onClick={forget}>Forget</button>
+              <button type="button" className="btn-secondary px-3 py-1" onClick={() => setConfirmForget(false)}>Keep</button>
+            </div>
+          ) : (
+            <button type="button" className="btn-secondary" onClick={() => setConfirmForget(true)}>Forget this profile on this device</button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-col gap-1 border-t border-white/10 pt-3">
+        <p className="text-xs text-zinc-400">Leaderboard</p>
+        {leaderboard.length === 0 ? (
+          <p className="text-xs text-zinc-500">No profiles yet.</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead className="text-zinc-400">
+              <tr>
+                <th className="text-left font-normal">#</th>
+                <th className="text-left font-normal">Player</th>
+                <th className="text-right font-normal">Rating</th>
+                <th className="text-right font-normal">Games</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map((p, i) => (
+                <tr
+                  key={p.id}
+                  className={`cursor-pointer hover:bg-white/5 ${profile && p.id === profile.id ? 'text-emerald-400' : 'text-white/90'}`}
+                  onClick={() => setViewedId(p.id)}
+                >
+                  <td>{i + 1}</td>
+                  <td className="truncate">{p.avatar} {p.name}{p.bot && <span className="text-zinc-400"> (bot)</span>}</td>
+                  <td className="text-right font-mono">{formatRating(p)}</td>
+                  <td className="text-right font-mono">{p.games}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+ProfileView.propTypes = {
+  serverUrl: PropTypes.string.isRequired,
+  profile: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    avatar: PropTypes.string
+  }),
+  onProfileChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ProfileView
@@ -0,0 +1,407 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+
+const FORMAT_LABELS = { roundRobin: 'Round-robin', swiss: 'Swiss' }
+const STATUS_LABELS = { registration: 'Registration', running: 'In progress', finished: 'Finished' }
+const RESULTS = ['1-0', '1/2-1/2', '0-1']
+
+// Which registered player this device belongs to (their id), per tournament
+const PLAYER_KEY = 'chessvermouth:tournamentPlayer'
+// Keys of the tournaments this device organizes, by tournament id
+const ORGANIZER_KEY = 'chessvermouth:tournamentKeys'
+// Players' seat tokens this device holds: { [tournamentId]: { [playerId]: token } }
+const SEATS_KEY = 'chessvermouth:tournamentSeats'
+const readStored = (storageKey) => () => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) || {}
+  } catch (_) {
+    return {}
+  }
+}
+const store = (storageKey, value) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(value))
+  } catch (_) {
+    // Private browsing: remember it for this visit only
+  }
+}
+
+// A player's link from the organizer (?tournament=&player=&seat=) hands this
+// device their seat; keep it, then drop it from the address
+const linkParams = new URLSearchParams(window.location.search)
+const linked = linkParams.get('tournament') && linkParams.get('player') && linkParams.get('seat')
+  ? { tournamentId: linkParams.get('tournament'), playerId: linkParams.get('player') }
+  : null
+if (linked) {
+  const seats = readStored(SEATS_KEY)()
+  seats[linked.tournamentId] = { ...seats[linked.tournamentId], [linked.playerId]: linkParams.get('seat') }
+  store(SEATS_KEY, seats)
+  store(PLAYER_KEY, { ...readStored(PLAYER_KEY)(), [linked.tournamentId]: linked.playerId })
+  for (const param of ['tournament', 'player', 'seat']) linkParams.delete(param)
+  window.history.replaceState(null, '', `${window.location.pathname}${linkParams.toString() ? `?${linkParams}` : ''}`)
+}
+
+const formatPoints = (points) => String(points).replace('.5', '½').replace(/^0½$/, '½')
+
+// Club tournaments: create one, register players, pair rounds and follow the
+// standings. Games are played in rooms the server opens for every pairing.
+const TournamentView = ({ socket, serverUrl, timeControls, onPlay, onClose }) => {
+  const [tournaments, setTournaments] = useState([])
+  const [selectedId, setSelectedId] = useState(linked ? linked.tournamentId : null)
+  const [viewRound, setViewRound] = useState(null)
+  const [error, setError] = useState(null)
+  const [form, setForm] = useState({ name: '', format: 'swiss', rounds: '', timeControl: '' })
+  const [playerInput, setPlayerInput] = useState('')
+  const [myPlayers, setMyPlayers] = useState(readStored(PLAYER_KEY))
+  const [keys, setKeys] = useState(readStored(ORGANIZER_KEY))
+  const [seats, setSeats] = useState(readStored(SEATS_KEY))
+  const [copiedPlayer, setCopiedPlayer] = useState(null)
+
+  const upsert = (t) => {
+    setTournaments((list) => [t, ...list.filter((other) => other.id !== t.id)].sort((a, b) => b.createdAt - a.createdAt))
+  }
+
+  // `key` is the tournament's organizer key, for changes
+  const request = async (method, path, body, key) => {
+    setError(null)
+    try {
+      const headers = {}
+      if (body) headers['Content-Type'] = 'application/json'
+      if (key) headers.Authorization = `Bearer ${key}`
+      const res = await fetch(`${serverUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `Server responded ${res.status}`)
+      return data
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${serverUrl}/tournaments`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (!cancelled && data && Array.isArray(data.tournaments)) setTournaments(data.tournaments)
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load tournaments')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [serverUrl])
+
+  // The server pushes every change, including results from finished games
+  useEffect(() => {
+    if (!socket) return
+    socket.on('tournament', upsert)
+    return () => socket.off('tournament', upsert)
+  }, [socket])
+
+  const selected = tournaments.find((t) => t.id === selectedId) || null
+  const names = selected ? Object.fromEntries(selected.players.map((p) => [p.id, p.name])) : {}
+  const mySeats = selected ? seats[selected.id] || {} : {}
+  // The player this device plays as, if it holds their seat token
+  const me = selected && mySeats[myPlayers[selected.id]] ? myPlayers[selected.id] : ''
+  // Only the device that created a tournament runs it
+  const organizer = selected ? keys[selected.id] || null : null
+  const round = selected && selected.rounds.length
+    ? selected.rounds.find((r) => r.number === viewRound) || selected.rounds[selected.rounds.length - 1]
+    : null
+  const currentRound = selected && selected.rounds.length ? selected.rounds[selected.rounds.length - 1] : null
+  const roundComplete = !!currentRound && currentRound.pairings.every((p) => p.result)
+
+  const chooseMe = (playerId) => {
+    const next = { ...myPlayers, [selected.id]: playerId }
+    setMyPlayers(next)
+    store(PLAYER_KEY, next)
+  }
+
+  const create = async () => {
+    const created = await request('POST', '/tournaments', {
+      name: form.name,
+      format: form.format,
+      rounds: form.format === 'swiss' && form.rounds ? Number(form.rounds) : undefined,
+      timeControl: form.timeControl
+    })
+    if (!created) return
+    const { tournament, key } = created
+    const next = { ...keys, [tournament.id]: key }
+    setKeys(next)
+    store(ORGANIZER_KEY, next)
+    upsert(tournament)
+    setSelectedId(tournament.id)
+  }
+
+  const addPlayer = async () => {
+    const name = playerInput.trim()
+    if (!name) return
+    const player = await request('POST', `/tournaments/${selected.id}/players`, { name }, organizer)
+    if (player) {
+      const next = { ...seats, [selected.id]: { ...mySeats, [player.id]: player.token } }
+      setSeats(next)
+      store(SEATS_KEY, next)
+      setPlayerInput('')
+      const t = await request('GET', `/tournaments/${selected.id}`)
+      if (t) upsert(t)
+    }
+  }
+
+  const update = async (method, path, body) => {
+    const t = await request(method, `/tournaments/${selected.id}${path}`, body, organizer)
+    if (t) {
+      upsert(t)
+      setViewRound(null)
+    }
+  }
+
+  // The organizer hands each player the link that carries their seat
+  const copyPlayerLink = async (player) => {
+    const params = new URLSearchParams(window.location.search)
+    params.set('view', 'tournaments')
+    params.set('tournament', selected.id)
+    params.set('player', player.id)
+    params.set('seat', mySeats[player.id])
+    const link = `${window.location.origin}${window.location.pathname}?${params}`
+    try {
+      await navigator.clipboard.writeText(link)
+      setCopiedPlayer(player.id)
+    } catch (_) {
+      // No clipboard outside secure contexts (plain http on the LAN)
+      window.prompt(`Send ${player.name} this link`, link)
+    }
+  }
+
+  const linkButton = (player) => organizer && mySeats[player.id] && (
+    <button type="button" className="text-zinc-400 hover:text-white" title={`Copy ${player.name}'s link to play`} onClick={() => copyPlayerLink(player)}>
+      {copiedPlayer === player.id ? 'copied' : 'link'}
+    </button>
+  )
+
+  if (!selected) {
+    return (
+      <div className="card p-4 flex flex-col gap-3 text-sm max-h-[90dvh] overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <p className="text-white text-xl font-semibold">Tournaments</p>
+          <button type="button" className="btn-secondary px-3 py-1" onClick={onClose}>Back to lobby</button>
+        </div>
+        {error && <p className="text-xs text-red-300" role="alert">{error}</p>}
+        {tournaments.length === 0 ? (
+          <p className="text-xs text-zinc-500">No tournaments yet. Create one below.</p>
+        ) : (
+          <ul className="flex flex-col gap-1">
+            {tournaments.map((t) => (
+              <li key={t.id} className="flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1">
+                <span className="flex flex-col min-w-0">
+                  <span className="text-white truncate">{t.name}</span>
+                  <span className="text-xs text-zinc-400">
+                    {FORMAT_LABELS[t.format]} · {t.players.length} players · {STATUS_LABELS[t.status]}
+                    {t.status !== 'registration' && ` · round ${t.rounds.length} of ${t.totalRounds}`}
+                  </span>
+                </span>
+                <button type="button" className="btn-primary px-3 py-1" onClick={() => setSelectedId(t.id)}>Open</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex flex-col gap-2 border-t border-white/10 pt-3">
+          <p className="text-xs text-zinc-400">New tournament</p>
+          <input
+            className="input"
+            maxLength={24}
+            placeholder="Name (e.g. Tuesday club night)"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <label className="flex items-center justify-between gap-2 text-xs text-zinc-300">
+            <span>Format</span>
+            <select className="input w-auto py-1" value={form.format} onChange={(e) => setForm({ ...form, format: e.target.value })}>
+              <option value="swiss">Swiss</option>
+              <option value="roundRobin">Round-robin</option>
+            </select>
+          </label>
+          {form.format === 'swiss' && (
+            <label className="flex items-center justify-between gap-2 text-xs text-zinc-300">
+              <span>Rounds (empty: enough for a winner)</span>
+              <input
+                className="input w-20 py-1"
+                type="number"
+                min={1}
+                max={32}
+                value={form.rounds}
+                onChange={(e) => setForm({ ...form, rounds: e.target.value })}
+              />
+            </label>
+          )}
+          <label className="flex items-center justify-between gap-2 text-xs text-zinc-300">
+            <span>Time control</span>
+            <select className="input w-auto py-1" value={form.timeControl} onChange={(e) => setForm({ ...form, timeControl: e.target.value })}>
+              {timeControls.map((tc) => (
+                <option key={tc.id || 'untimed'} value={tc.id}>{tc.label}</option>
+              ))}
+            </select>
+          </label>
+          <button type="button" className="btn-primary" onClick={create}>Create tournament</button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card p-4 flex flex-col gap-3 text-sm max-h-[90dvh] overflow-y-auto">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-white text-xl font-semibold truncate">{selected.name}</p>
+          <p className="text-xs text-zinc-400">
+            {FORMAT_LABELS[selected.format]} · {STATUS_LABELS[selected.status]}
+            {selected.status !== 'registration' && ` · round ${selected.rounds.length} of ${selected.totalRounds}`}
+          </p>
+        </div>
+        <button type="button" className="btn-secondary px-3 py-1" onClick={() => setSelectedId(null)}>All tournaments</button>
+      </div>
+      {error && <p className="text-xs text-red-300" role="alert">{error}</p>}
+
+      {selected.status === 'registration' ? (
+        <div className="flex flex-col gap-2">
+          <ul className="flex flex-wrap gap-1">
+            {selected.players.map((p) => (
+              <li key={p.id} className="badge gap-1">
+                {p.name}
+                {linkButton(p)}
+                {organizer && (
+                  <button type="button" aria-label={`Remove ${p.name}`} className="text-zinc-400 hover:text-white" onClick={() => update('DELETE', `/players/${p.id}`)}>×</button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {!organizer && <p className="text-xs text-zinc-500">The organizer registers the players and starts the tournament.</p>}
+          {organizer && (
+            <form
+              className="flex gap-2"
+              onSubmit={(e) => {
+                e.preventDefault()
+                addPlayer()
+              }}
+            >
+              <input className="input" maxLength={24} placeholder="Player name" aria-label="Player name" value={playerInput} onChange={(e) => setPlayerInput(e.target.value)} />
+              <button type="submit" className="btn-primary px-3" disabled={!playerInput.trim()}>Add</button>
+            </form>
+          )}
+          {organizer && (
+            <button type="button" className="btn-primary" disabled={selected.players.length < 2} onClick={() => update('POST', '/start')}>
+              Start tournament
+            </button>
+          )}
+        </div>
+      ) : (
+        <>
+          <label className="flex items-center justify-between gap-2 text-xs text-zinc-300">
+            <span>I am</span>
+            <select className="input w-auto py-1" value={me} onChange={(e) => chooseMe(e.target.value)}>
+              <option value="">Just watching</option>
+              {selected.players.filter((p) => mySeats[p.id]).map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          </label>
+          <div className="flex items-center gap-1 flex-wrap">
+            {selected.rounds.map((r) => (
+              <button
+                key={r.number}
+                type="button"
+                className={r.number === round.number ? 'btn-primary px-2 py-0.5' : 'btn-secondary px-2 py-0.5'}
+                onClick={() => setViewRound(r.number)}
+              >Round {r.number}</button>
+            ))}
+            {organizer && selected.status === 'running' && roundComplete && (
+              <button type="button" className="btn-primary px-2 py-0.5 ml-auto" onClick={() => update('POST', '/rounds')}>
+                Pair round {selected.rounds.length + 1}
+              </button>
+            )}
+          </div>
+          <ul className="flex flex-col gap-1">
+            {round.pairings.map((p) => (
+              <li key={p.board} className="flex items-center justify-between gap-2 rounded-md border border-white/10 bg-white/5 px-2 py-1">
+                {p.result === 'bye' ? (
+                  <span className="text-zinc-300">{names[p.white]} has a bye</span>
+                ) : (
+                  <>
+                    <span className="min-w-0 truncate">
+                      <span className="text-zinc-400">{p.board}.</span> {names[p.white]} – {names[p.black]}
+                    </span>
+                    {p.result ? (
+                      <span className="font-mono text-emerald-400">{p.result.replace('1/2-1/2', '½-½')}</span>
+                    ) : (
+                      <span className="flex items-center gap-1">
+                        {p.room && (
+                          <button type="button" className="btn-primary px-2 py-0.5" onClick={() => ([p.white, p.black].includes(me) ? onPlay(p.room, names[me], mySeats[me]) : onPlay(p.room, '', null))}>
+                            {[p.white, p.black].includes(me) ? 'Play' : 'Watch'}
+                          </button>
+                        )}
+                        {organizer && (
+                          <select
+                            className="input w-auto py-0.5 text-xs"
+                            value=""
+                            aria-label={`Result of board ${p.board}`}
+                            onChange={(e) => update('POST', '/results', { round: round.number, board: p.board, result: e.target.value })}
+                          >
+                            <option value="" disabled>Result…</option>
+                            {RESULTS.map((r) => <option key={r} value={r}>{r}</option>)}
+                          </select>
+                        )}
+                      </span>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {selected.status !== 'registration' && (
+        <table className="w-full text-xs">
+          <thead className="text-zinc-400">
+            <tr>
+              <th className="text-left font-normal">#</th>
+              <th className="text-left font-normal">Player</th>
+              <th className="text-right font-normal">Pts</th>
+              <th className="text-right font-normal" title="Buchholz: sum of the opponents' scores">Buch.</th>
+              <th className="text-right font-normal" title="Sonneborn-Berger: scores of beaten opponents plus half of drawn ones">S-B</th>
+            </tr>
+          </thead>
+          <tbody>
+            {selected.standings.map((row) => (
+              <tr key={row.playerId} className={row.playerId === me ? 'text-emerald-400' : 'text-white/90'}>
+                <td>{row.rank}</td>
+                <td className="truncate">{row.name} {linkButton({ id: row.playerId, name: row.name })}</td>
+                <td className="text-right font-mono">{formatPoints(row.points)}</td>
+                <td className="text-right font-mono">{formatPoints(row.buchholz)}</td>
+                <td className="text-right font-mono">{row.sonnebornBerger.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+TournamentView.propTypes = {
+  socket: PropTypes.object,
+  serverUrl: PropTypes.string.isRequired,
+  timeControls: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })).isRequired,
+  onPlay: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default TournamentView
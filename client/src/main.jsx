@@ -1,10 +1,29 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AdminView from './components/AdminView.jsx'
 import './index.css'
 
+// ?view=admin opens the admin dashboard of the game server instead of the game
+const params = new URLSearchParams(window.location.search)
+const adminServerUrl = () => {
+  const host = params.get('server') || import.meta.env.VITE_SERVER_IP || window.location.hostname || 'localhost'
+  const port = import.meta.env.VITE_SERVER_PORT || 3001
+  return `http://${host}:${port}`
+}
+
+// The production build caches itself for offline use (hot seat needs no
+// server). Browsers only allow this on https:// or localhost.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+      console.warn('Service worker not registered:', err)
+    })
+  })
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {params.get('view') === 'admin' ? <AdminView serverUrl={adminServerUrl()} /> : <App />}
   </React.StrictMode>,
 )
@@ -0,0 +1,40 @@
+/* global __PRECACHE__, __CACHE_NAME__, __INDEX__ */
+// Service worker of the production build (built into sw.js by
+// serviceWorkerPlugin.js, which fills in the names below). It keeps every file
+// of the build in the cache, so once the app has loaded, hot seat plays with
+// no server at all. Requests to the game and engine servers go straight out.
+
+const CACHE = __CACHE_NAME__
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then((cache) => cache.addAll(__PRECACHE__))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// A new build replaces the previous one's cache
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('chessvermouth-') && key !== CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+  // Pages come from the network while there is one, so a new deploy shows up
+  // on the next load; offline, every page is the cached app (?mode=hotseat,
+  // ?view=admin, ...)
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match(__INDEX__)
+      .then((hit) => hit || Promise.reject(new Error('Offline and the app is not cached')))))
+    return
+  }
+  event.respondWith(caches.match(request).then((hit) => hit || fetch(request)))
+})
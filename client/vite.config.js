@@ -1,21 +1,30 @@
 /* eslint-disable no-undef */
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import serviceWorker from './serviceWorkerPlugin.js'
 
 // https://vitejs.dev/config/
-export default defineConfig(({ command, mode }) => {
-  // Only try to access process.env during dev server, not during build
-  const port = command === 'serve' && mode === 'development' 
+export default defineConfig(({ command }) => {
+  // Only try to access process.env when serving (dev server or preview of
+  // the production build), not during build
+  const port = command === 'serve'
     ? (process?.env?.VITE_PORT ? parseInt(process.env.VITE_PORT) : 9518)
     : 9518;
     
   return {
-    plugins: [react()],
+    // The build also gets sw.js, which caches it for offline hot seat
+    plugins: [react(), serviceWorker()],
     server: {
       // Bind to all interfaces so other LAN devices can access Dev server
       host: true,
       port: port,
       strictPort: false // Allow fallback to other ports if specified port is busy
+    },
+    // `npm run preview` serves the production build the same way
+    preview: {
+      host: true,
+      port: port,
+      strictPort: false
     }
   }
 })
@@ -0,0 +1,56 @@
+const crypto = require('crypto')
+
+// Checks on the secrets clients send: seat tokens, profile and tournament
+// keys, bot tokens and ADMIN_TOKEN.
+
+// Compares a token a client sent with a secret in constant time. A missing
+// token or secret never matches.
+function sameSecret(token, secret) {
+  if (typeof token !== 'string' || !token || !secret) return false
+  const given = Buffer.from(token)
+  const expected = Buffer.from(secret)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+// The token of an "Authorization: Bearer <token>" header, or ''
+function bearerToken(req) {
+  const header = req.get('authorization') || ''
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : ''
+}
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1']
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+// Browsers send the page a request comes from as Origin. Requests without
+// one (curl, scripts) come from no page at all.
+function fromLocalPage(req) {
+  const origin = req.get('origin')
+  if (!origin) return true
+  try {
+    return LOOPBACK_HOSTS.includes(new URL(origin).hostname)
+  } catch (_) {
+    return false
+  }
+}
+
+// Middleware for the admin routes: this machine, or a request carrying
+// `adminToken`. A wrong token is refused even from this machine. Without a
+// token only pages served from this machine count, or any website open in a
+// browser here could use the admin routes.
+function requireAdmin(adminToken) {
+  return (req, res, next) => {
+    const token = bearerToken(req)
+    if (token) {
+      if (sameSecret(token, adminToken)) next()
+      else res.status(401).send({ error: 'Wrong admin token' })
+      return
+    }
+    if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) && fromLocalPage(req)) {
+      next()
+      return
+    }
+    res.status(401).send({ error: adminToken ? 'Admin token required' : 'Admin access only from the server machine' })
+  }
+}
+
+module.exports = { sameSecret, bearerToken, requireAdmin }
@@ -0,0 +1,59 @@
+// Computer opponents for "vs Computer" rooms. The engine server picks the
+// moves (POST /play); this module only validates the requested strength and
+// decides how long the engine may think.
+
+const { timeLeft } = require('./clock')
+
+const BOT_MOVETIME_MS = process.env.BOT_MOVETIME_MS != null
+  ? parseInt(process.env.BOT_MOVETIME_MS, 10)
+  : 1000
+
+// Strength as sent by the lobby: { skill } (Stockfish Skill Level 0-20) or
+// { elo } (UCI_LimitStrength with UCI_Elo 1320-3190). Returns the cleaned-up
+// strength or throws with a message meant for the player.
+function parseBotStrength(spec) {
+  const strength = spec && typeof spec === 'object' ? spec : {}
+  if (strength.elo != null) {
+    const elo = Number(strength.elo)
+    if (!Number.isInteger(elo) || elo < 1320 || elo > 3190) {
+      throw new Error('Computer Elo must be between 1320 and 3190')
+    }
+    return { elo }
+  }
+  const skill = strength.skill != null ? Number(strength.skill) : 20
+  if (!Number.isInteger(skill) || skill < 0 || skill > 20) {
+    throw new Error('Computer skill level must be between 0 and 20')
+  }
+  return { skill }
+}
+
+const botName = (strength) => (strength.elo != null
+  ? `Computer (${strength.elo})`
+  : `Computer (level ${strength.skill})`)
+
+// Think time for the next move: BOT_MOVETIME_MS, or less when the clock is
+// short, so a timed game against the computer plays at a sensible pace
+function botMovetime(clock, color, now) {
+  if (!clock) return BOT_MOVETIME_MS
+  const left = timeLeft(clock, color, color, now)
+  const budget = Math.floor(left / 30) + Math.floor(clock.control.bonusMs / 2)
+  return Math.max(50, Math.min(BOT_MOVETIME_MS, budget))
+}
+
+// Ask the engine server at `base` for a move; resolves to a UCI string
+async function requestBotMove(base, { startFen, moves, movetime, strength }) {
+  const r = await fetch(`${base}/play`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fen: startFen || undefined, moves, movetime, ...strength }),
+    signal: AbortSignal.timeout(movetime + 10000)
+  })
+  const data = await r.json()
+  if (!r.ok) throw new Error(data.error || `Engine responded ${r.status}`)
+  if (!/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(data.bestmove || '')) {
+    throw new Error(`Engine returned no move (${data.bestmove})`)
+  }
+  return data.bestmove
+}
+
+module.exports = { parseBotStrength, botName, botMovetime, requestBotMove }
@@ -0,0 +1,76 @@
+const { toUci } = require('./setup')
+const { clockSnapshot } = require('./clock')
+
+// Pieces of the HTTP bot API (/bot/*) that do not need the server's rooms:
+// the streaming transport and the shape of the game events. Modeled on the
+// Lichess bot API, so existing bot clients need little more than a new URL.
+
+const UCI_MOVE = /^[a-h][1-8][a-h][1-8][qrbn]?$/
+
+// Newline-delimited JSON over a response held open until either side ends
+// it. A blank line goes out every `keepAliveMs` so clients can tell a quiet
+// stream from a dead one. `onClose` runs once when the stream ends.
+function openNdjsonStream(res, keepAliveMs, onClose) {
+  res.status(200)
+  res.set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' })
+  res.flushHeaders()
+  let open = true
+  const timer = setInterval(() => res.write('\n'), keepAliveMs)
+  const close = () => {
+    if (!open) return
+    open = false
+    clearInterval(timer)
+    if (onClose) onClose()
+  }
+  res.on('close', close)
+  return {
+    send(event) {
+      if (open) res.write(`${JSON.stringify(event)}\n`)
+    },
+    end() {
+      close()
+      res.end()
+    }
+  }
+}
+
+// The game as the bot sees it now. `status` is 'started' while the game is
+// on, 'waiting' while a seat is empty, the result's reason ('checkmate',
+// 'resignation', 'timeout', ...) once it is over, or 'aborted' for a room
+// closed without a result. Times are in milliseconds.
+function gameStateEvent(g, { closed = false, now = Date.now() } = {}) {
+  const clock = g.clock ? clockSnapshot(g.clock, g.game.turn(), now) : null
+  let status = g.status === 'ready' ? 'started' : 'waiting'
+  if (g.result) status = g.result.reason
+  else if (closed) status = 'aborted'
+  return {
+    type: 'gameState',
+    moves: g.game.history({ verbose: true }).map(toUci).join(' '),
+    wtime: clock ? clock.white : null,
+    btime: clock ? clock.black : null,
+    inc: g.clock ? g.clock.control.bonusMs : null,
+    status,
+    winner: g.result && g.result.winner ? (g.result.winner === 'w' ? 'white' : 'black') : null,
+    result: g.result ? g.result.result : null,
+    drawOffer: g.drawOffer ? (g.drawOffer === 'w' ? 'white' : 'black') : null
+  }
+}
+
+// First line of a game stream: who plays, how, and from where. `white` and
+// `black` are { id, name, rating } (id and rating null for guests).
+function gameFullEvent(gameId, g, { white, black }) {
+  return {
+    type: 'gameFull',
+    id: gameId,
+    rated: !!g.rated,
+    clock: g.clock
+      ? { control: g.clock.control.id, mode: g.clock.control.mode, initial: g.clock.control.initialMs, increment: g.clock.control.bonusMs }
+      : null,
+    white,
+    black,
+    initialFen: g.startFen || 'startpos',
+    state: gameStateEvent(g)
+  }
+}
+
+module.exports = { UCI_MOVE, openNdjsonStream, gameStateEvent, gameFullEvent }
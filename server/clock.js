@@ -0,0 +1,161 @@
+// Chess clock bookkeeping for network games. All times are in milliseconds and
+// every function takes `now` so the server decides what time it is.
+//
+// Time controls are written as "<minutes><kind><seconds>":
+//   "5+3"  Fischer: 5 minutes, 3 seconds added after each move
+//   "5d3"  simple (US) delay: the clock waits 3 seconds before counting down
+//   "5b3"  Bronstein delay: time used is given back, up to 3 seconds per move
+// or, for correspondence games, as "<days>d":
+//   "3d"   3 days for each move; the mover's time is topped up after every move
+
+const MODES = { '+': 'fischer', d: 'delay', b: 'bronstein' }
+const DAY_MS = 24 * 3600000
+// Flag timers are plain setTimeouts, which cannot wait longer than ~24 days
+const MAX_CORRESPONDENCE_DAYS = 14
+
+function parseTimeControl(spec) {
+  if (spec == null || spec === '') return null
+  const days = typeof spec === 'string' && spec.trim().match(/^(\d+)d$/)
+  if (days) {
+    const n = parseInt(days[1], 10)
+    if (n < 1 || n > MAX_CORRESPONDENCE_DAYS) {
+      throw new Error(`Time control out of range: ${spec}`)
+    }
+    return { id: spec.trim(), mode: 'correspondence', initialMs: n * DAY_MS, bonusMs: 0 }
+  }
+  const m = typeof spec === 'string' && spec.trim().match(/^(\d+(?:\.\d+)?)([+db])(\d+)$/)
+  if (!m) {
+    throw new Error(`Invalid time control: ${spec}`)
+  }
+  const initialMs = Math.round(parseFloat(m[1]) * 60000)
+  const bonusMs = parseInt(m[3], 10) * 1000
+  if (initialMs <= 0 || initialMs > 3 * 3600000 || bonusMs > 600000) {
+    throw new Error(`Time control out of range: ${spec}`)
+  }
+  return { id: spec.trim(), mode: MODES[m[2]], initialMs, bonusMs }
+}
+
+function isCorrespondence(control) {
+  return !!control && control.mode === 'correspondence'
+}
+
+function createClock(control) {
+  return {
+    control,
+    remaining: { w: control.initialMs, b: control.initialMs },
+    // The clock starts with White's first move; until then nobody's time runs.
+    // Correspondence clocks run from the start, or a game could sit unplayed
+    // forever.
+    started: isCorrespondence(control),
+    // When the side to move started thinking, or null while paused
+    turnStartedAt: null
+  }
+}
+
+// Part of `elapsed` that is actually taken off the clock
+function charged(clock, elapsed) {
+  if (clock.control.mode === 'delay') return Math.max(0, elapsed - clock.control.bonusMs)
+  return elapsed
+}
+
+function isRunning(clock) {
+  return clock.turnStartedAt != null
+}
+
+function timeLeft(clock, color, turn, now) {
+  if (isRunning(clock) && color === turn) {
+    return clock.remaining[color] - charged(clock, now - clock.turnStartedAt)
+  }
+  return clock.remaining[color]
+}
+
+// Milliseconds until the side to move flags, or null if the clock is stopped
+function msUntilFlag(clock, turn, now) {
+  if (!isRunning(clock)) return null
+  const delay = clock.control.mode === 'delay' ? clock.control.bonusMs : 0
+  return clock.remaining[turn] + delay - (now - clock.turnStartedAt)
+}
+
+function pauseClock(clock, turn, now) {
+  if (!isRunning(clock)) return
+  clock.remaining[turn] -= charged(clock, now - clock.turnStartedAt)
+  clock.turnStartedAt = null
+}
+
+function resumeClock(clock, now) {
+  if (clock.started && !isRunning(clock)) {
+    clock.turnStartedAt = now
+  }
+}
+
+// Charge the mover for their think time, add any bonus and start the other side
+function applyMove(clock, mover, now) {
+  if (!clock.started) {
+    clock.started = true
+    clock.turnStartedAt = now
+    return
+  }
+  const spent = isRunning(clock) ? now - clock.turnStartedAt : 0
+  clock.remaining[mover] -= charged(clock, spent)
+  if (clock.remaining[mover] > 0) {
+    if (clock.control.mode === 'fischer') clock.remaining[mover] += clock.control.bonusMs
+    if (clock.control.mode === 'bronstein') clock.remaining[mover] += Math.min(spent, clock.control.bonusMs)
+    if (clock.control.mode === 'correspondence') clock.remaining[mover] = clock.control.initialMs
+  }
+  clock.turnStartedAt = now
+}
+
+// State sent to clients; they count down the running side locally between updates
+function clockSnapshot(clock, turn, now) {
+  return {
+    control: clock.control.id,
+    mode: clock.control.mode,
+    white: Math.max(0, timeLeft(clock, 'w', turn, now)),
+    black: Math.max(0, timeLeft(clock, 'b', turn, now)),
+    running: isRunning(clock) ? turn : null,
+    // Simple delay still to burn before the running clock starts counting down
+    delayLeft: isRunning(clock) && clock.control.mode === 'delay'
+      ? Math.max(0, clock.control.bonusMs - (now - clock.turnStartedAt))
+      : 0,
+    serverTime: now
+  }
+}
+
+// Whether `color` could still mate by some legal series of moves, which is
+// when a flag loses (FIDE Article 6.9; the US Chess rule, which draws king and
+// two knights against a lone king, is not used). Against a lone king that
+// takes two minor pieces, other than bishops all on one square color. Once
+// the flagging side has more than its king, its own pieces may block its
+// king in, so one minor piece is enough, unless every piece left on the
+// board is a bishop on the same square color.
+function hasMatingMaterial(chess, color) {
+  const mine = []
+  const theirs = []
+  for (const row of chess.board()) {
+    for (const piece of row) {
+      if (!piece || piece.type === 'k') continue
+      if (piece.color !== color) theirs.push(piece)
+      else if (piece.type === 'b' || piece.type === 'n') mine.push(piece)
+      // A pawn, rook or queen can always mate
+      else return true
+    }
+  }
+  const bishopsOnOneColor = (pieces) => pieces.every((p) => p.type === 'b') &&
+    new Set(pieces.map((p) => chess.squareColor(p.square))).size <= 1
+  if (mine.length === 0) return false
+  if (theirs.length === 0) return mine.length >= 2 && !bishopsOnOneColor(mine)
+  return !bishopsOnOneColor([...mine, ...theirs])
+}
+
+module.exports = {
+  parseTimeControl,
+  isCorrespondence,
+  createClock,
+  timeLeft,
+  msUntilFlag,
+  pauseClock,
+  resumeClock,
+  applyMove,
+  clockSnapshot,
+  hasMatingMaterial
+}
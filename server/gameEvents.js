@@ -0,0 +1,100 @@
+const crypto = require('crypto')
+
+// Room lifecycle events (room created, player joined or left, move played,
+// game ended, ...) as a feed other programs can follow over GET /events.
+// The server publishes each event once; this module numbers them, keeps
+// the latest few for clients that reconnect, and fans them out.
+
+// An event is { id, type, at, gameId, ...details }. `scope` travels beside
+// it and is never sent: the room's invite code, when the room is private.
+// Ids are "<boot>-<n>": numbered from 1, after a random id of this feed, so
+// ids from before a restart are never mistaken for current ones.
+function createEventFeed(historySize) {
+  const bootId = crypto.randomBytes(4).toString('hex')
+  let lastSeq = 0
+  const recent = []
+  const listeners = new Set()
+  return {
+    publish(type, data, scope = {}) {
+      lastSeq += 1
+      const entry = { seq: lastSeq, event: { id: `${bootId}-${lastSeq}`, type, at: Date.now(), ...data }, scope }
+      recent.push(entry)
+      if (recent.length > historySize) recent.shift()
+      for (const listener of listeners) listener(entry.event, entry.scope)
+      return entry.event
+    },
+    // Calls `listener(event, scope)` for every event from now on; returns
+    // the function that stops it
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    // Kept events newer than `id`, as [{ event, scope }]; null when the feed
+    // cannot tell what came after it: an id from before a restart, or one so
+    // old that later events were already dropped
+    since(id) {
+      const match = typeof id === 'string' && id.match(/^([0-9a-f]+)-(\d+)$/)
+      if (!match || match[1] !== bootId) return null
+      const seq = Number(match[2])
+      const oldest = recent.length ? recent[0].seq : lastSeq + 1
+      if (seq > lastSeq || seq < oldest - 1) return null
+      return recent.filter((entry) => entry.seq > seq)
+    },
+    // A 'resync' event for a client the feed cannot catch up: `data` holds
+    // the current state instead. It carries the latest id, so the client
+    // resumes from there.
+    resync(data) {
+      return { id: `${bootId}-${lastSeq}`, type: 'resync', at: Date.now(), ...data }
+    }
+  }
+}
+
+// Which events a GET /events client asked for. Every parameter takes a
+// comma-separated list (or repeats): `gameId` limits the feed to those rooms,
+// `types` to those event types, and `code` lets private rooms' events
+// through for whoever knows their invite code.
+function eventFilter(query) {
+  const list = (value) => [].concat(value || [])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean)
+  const gameIds = list(query.gameId)
+  const types = list(query.types)
+  const codes = list(query.code).map((c) => c.toUpperCase())
+  return (event, scope) => {
+    if (scope.inviteCode && !codes.includes(scope.inviteCode)) return false
+    if (gameIds.length && !gameIds.includes(event.gameId)) return false
+    // A resync comes through whichever types were asked for
+    return !types.length || types.includes(event.type) || event.type === 'resync'
+  }
+}
+
+// Server-sent events over a response held open until either side ends it.
+// Each event goes out with its id so EventSource resumes with Last-Event-ID.
+// A comment line every `keepAliveMs` keeps proxies from closing a quiet
+// stream. `onClose` runs once when the stream ends.
+function openSseStream(res, keepAliveMs, onClose) {
+  res.status(200)
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+  res.flushHeaders()
+  let open = true
+  const timer = setInterval(() => res.write(':\n\n'), keepAliveMs)
+  const close = () => {
+    if (!open) return
+    open = false
+    clearInterval(timer)
+    if (onClose) onClose()
+  }
+  res.on('close', close)
+  return {
+    send(event) {
+      if (open) res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+    },
+    end() {
+      close()
+      res.end()
+    }
+  }
+}
+
+module.exports = { createEventFeed, eventFilter, openSseStream }
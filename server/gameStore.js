@@ -0,0 +1,130 @@
+const fs = require('fs')
+const path = require('path')
+const { log } = require('./log')
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'games.json')
+const DEFAULT_ARCHIVE_FILE = path.join(__dirname, 'data', 'archive.json')
+const DEFAULT_TOURNAMENT_FILE = path.join(__dirname, 'data', 'tournaments.json')
+const DEFAULT_PROFILE_FILE = path.join(__dirname, 'data', 'profiles.json')
+// How long a JSON store gathers changes before writing its file
+const DEFAULT_FLUSH_DELAY_MS = 1000
+
+// Keeps records in process memory only; nothing survives a restart
+class MemoryGameStore {
+  constructor() {
+    this.records = new Map()
+  }
+
+  loadAll() {
+    return [...this.records.values()]
+  }
+
+  save(record) {
+    this.records.set(record.id, record)
+  }
+
+  remove(id) {
+    this.records.delete(id)
+  }
+
+  flush() {}
+}
+
+// Keeps every room in a single JSON file. Writes go to a temp file first and are
+// renamed into place so a crash mid-write never leaves a truncated file behind.
+// Saves are batched: the file is rewritten once `flushDelayMs` after the first
+// change, however many moves and chat messages came in meanwhile. Call
+// flush() to write pending changes right away, as the server does on shutdown.
+class JsonFileGameStore extends MemoryGameStore {
+  constructor(filePath = DEFAULT_FILE, flushDelayMs = DEFAULT_FLUSH_DELAY_MS) {
+    super()
+    this.filePath = filePath
+    this.flushDelayMs = flushDelayMs
+    this.dirty = false
+    this.timer = null
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8')
+      const parsed = JSON.parse(raw)
+      for (const record of Object.values(parsed.games || {})) {
+        if (record && record.id) this.records.set(record.id, record)
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log().error({ file: this.filePath, err }, 'Could not read game store')
+      }
+    }
+  }
+
+  save(record) {
+    super.save(record)
+    this.scheduleFlush()
+  }
+
+  remove(id) {
+    if (!this.records.has(id)) return
+    super.remove(id)
+    this.scheduleFlush()
+  }
+
+  scheduleFlush() {
+    this.dirty = true
+    if (this.timer) return
+    this.timer = setTimeout(() => {
+      try {
+        this.flush()
+      } catch (err) {
+        log().error({ file: this.filePath, err }, 'Could not write game store')
+      }
+    }, this.flushDelayMs)
+    // A pending write alone does not keep the process alive
+    this.timer.unref()
+  }
+
+  flush() {
+    clearTimeout(this.timer)
+    this.timer = null
+    if (!this.dirty) return
+    const games = Object.fromEntries(this.records)
+    const tmp = `${this.filePath}.tmp`
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, games }, null, 2))
+    fs.renameSync(tmp, this.filePath)
+    this.dirty = false
+  }
+}
+
+// Pick a store implementation from GAME_STORE ('json' by default, or 'memory')
+function createGameStore(kind = process.env.GAME_STORE || 'json', filePath = process.env.GAME_STORE_FILE || DEFAULT_FILE) {
+  switch (kind) {
+    case 'memory':
+      return new MemoryGameStore()
+    case 'json':
+      return new JsonFileGameStore(filePath)
+    default:
+      throw new Error(`Unknown GAME_STORE: ${kind}`)
+  }
+}
+
+// Finished games (with their PGN) are kept the same way, in their own file
+function createGameArchive(kind = process.env.GAME_STORE || 'json') {
+  return createGameStore(kind, process.env.GAME_ARCHIVE_FILE || DEFAULT_ARCHIVE_FILE)
+}
+
+// Tournaments too, with their pairings and results
+function createTournamentStore(kind = process.env.GAME_STORE || 'json') {
+  return createGameStore(kind, process.env.TOURNAMENT_STORE_FILE || DEFAULT_TOURNAMENT_FILE)
+}
+
+// And player profiles with their ratings and game history
+function createProfileStore(kind = process.env.GAME_STORE || 'json') {
+  return createGameStore(kind, process.env.PROFILE_STORE_FILE || DEFAULT_PROFILE_FILE)
+}
+
+module.exports = {
+  MemoryGameStore,
+  JsonFileGameStore,
+  createGameStore,
+  createGameArchive,
+  createTournamentStore,
+  createProfileStore
+}
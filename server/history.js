@@ -0,0 +1,37 @@
+const { toUci } = require('./setup')
+
+// Per-move history sent with every position update
+
+// Sound the client plays for a move; the last move of a finished game gets its own
+const soundOf = (move) => {
+  if (move.san.includes('+') || move.san.includes('#')) return 'check'
+  if (move.flags.includes('e') || move.flags.includes('c')) return 'capture'
+  if (move.flags.includes('k') || move.flags.includes('q')) return 'castle'
+  return 'move'
+}
+
+// One entry per half-move. `moveTimes` holds when each was played (null for
+// moves imported with the room's setup); `finished` marks the last move as the
+// one that ended the game.
+function moveHistory(chess, moveTimes, finished) {
+  const moves = chess.history({ verbose: true })
+  return moves.map((move, i) => ({
+    ply: i + 1,
+    color: move.color,
+    piece: move.piece,
+    from: move.from,
+    to: move.to,
+    san: move.san,
+    uci: toUci(move),
+    promotion: move.promotion || null,
+    flags: move.flags,
+    captured: move.captured || null,
+    check: move.san.includes('+') || move.san.includes('#'),
+    mate: move.san.includes('#'),
+    fen: move.after,
+    at: (moveTimes && moveTimes[i]) || null,
+    type: finished && i === moves.length - 1 ? 'gameOver' : soundOf(move)
+  }))
+}
+
+module.exports = { moveHistory }
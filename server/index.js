@@ -8,12 +8,127 @@ app.use(express.json())
 
 const { Chess } = require('chess.js')
 const os = require('os')
+const fs = require('fs')
+const path = require('path')
 const { execSync } = require('child_process')
+const crypto = require('crypto')
+const { createGameStore, createGameArchive, createTournamentStore, createProfileStore } = require('./gameStore')
+const {
+  parseTimeControl,
+  isCorrespondence,
+  createClock,
+  timeLeft,
+  msUntilFlag,
+  pauseClock,
+  resumeClock,
+  applyMove,
+  clockSnapshot,
+  hasMatingMaterial
+} = require('./clock')
+const { parseSetup, replayMoves, toUci } = require('./setup')
+const { buildPgn } = require('./pgn')
+const { moveHistory } = require('./history')
+const { parseEventArgs } = require('./schema')
+const { parseBotStrength, botName, botMovetime, requestBotMove } = require('./bot')
+const {
+  createTournament,
+  addPlayer,
+  removePlayer,
+  startTournament,
+  pairNextRound,
+  recordResult,
+  publicTournament,
+  standings
+} = require('./tournament')
+const { createProfile, updateProfile, publicProfile, recordGame, forgetGame } = require('./profiles')
+const { sameSecret, bearerToken, requireAdmin } = require('./auth')
+const { log, withLogContext } = require('./log')
+const { createMetrics } = require('./metrics')
+const { UCI_MOVE, openNdjsonStream, gameStateEvent, gameFullEvent } = require('./botApi')
+const { createEventFeed, eventFilter, openSseStream } = require('./gameEvents')
+
+// Every HTTP request gets an id (the caller's X-Request-Id when it sends a
+// sensible one) that is echoed back and attached to whatever it logs
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id')
+  const requestId = given && /^[\w.-]{1,64}$/.test(given) ? given : crypto.randomUUID()
+  res.set('X-Request-Id', requestId)
+  const started = Date.now()
+  withLogContext({ requestId }, () => {
+    const requestLog = log()
+    res.on('finish', () => {
+      requestLog.debug({ method: req.method, url: req.originalUrl, status: res.statusCode, ms: Date.now() - started }, 'HTTP request')
+    })
+    next()
+  })
+})
 
 // Use dynamic port from environment variable or default to 3001
 const PORT = process.env.PORT || 3001
 // Use dynamic client port from environment variable or default to 9518
 const CLIENT_PORT = process.env.CLIENT_PORT || 9518
+// How long a dropped player's seat is held before they count as having left
+const RECONNECT_GRACE_MS = Number.isFinite(parseInt(process.env.RECONNECT_GRACE_MS, 10))
+  ? parseInt(process.env.RECONNECT_GRACE_MS, 10)
+  : 60000
+// Admin routes (/admin/*) answer pages served from this machine, and anyone
+// else only with this token as a bearer token
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''
+
+// Reaction ids are the file names (without extension) of the client's bundled
+// emoji images. When the client sources are not next to the server, any short
+// plain name is relayed and clients ignore ids they do not know.
+const EMOJI_DIR = process.env.EMOJI_DIR || path.join(__dirname, '..', 'client', 'src', 'assets', 'emojis')
+const EMOJI_IDS = (() => {
+  try {
+    return new Set(fs.readdirSync(EMOJI_DIR).map((file) => file.replace(/\.[^.]+$/, '')))
+  } catch (_) {
+    return null
+  }
+})()
+const isEmojiId = (id) => typeof id === 'string' && (EMOJI_IDS ? EMOJI_IDS.has(id) : /^[\w -]{1,64}$/.test(id))
+// Each socket may send a burst of EMOJI_BURST reactions, then one per EMOJI_REFILL_MS
+const EMOJI_BURST = 5
+const EMOJI_REFILL_MS = 1000
+
+// Room chat: messages are capped in length, each socket may send a burst of
+// CHAT_BURST then one per CHAT_REFILL_MS, and rooms keep the last CHAT_HISTORY
+// messages so players who reconnect see the conversation
+const CHAT_MAX_LENGTH = 200
+const CHAT_BURST = 5
+const CHAT_REFILL_MS = 2000
+const CHAT_HISTORY = 100
+
+// Every socket event counts against a per-socket bucket of EVENT_BURST events,
+// refilled one per EVENT_REFILL_MS. A socket that keeps sending after running
+// dry is disconnected once MAX_DROPPED_EVENTS in a row have been refused.
+const EVENT_BURST = 30
+const EVENT_REFILL_MS = 100
+const MAX_DROPPED_EVENTS = 100
+
+// Bot API streams send a blank line every BOT_KEEPALIVE_MS; a challenge to a
+// bot that nobody answers lapses after CHALLENGE_TTL_MS
+const BOT_KEEPALIVE_MS = 7000
+const CHALLENGE_TTL_MS = 60000
+
+// GET /events keeps the last EVENT_HISTORY room events for clients that
+// reconnect, and sends a comment every EVENTS_KEEPALIVE_MS on a quiet feed
+const EVENT_HISTORY = 200
+const EVENTS_KEEPALIVE_MS = 15000
+
+// Token bucket holding at most `burst` tokens, refilled one per `refillMs`
+const createBucket = (burst, refillMs) => ({ burst, refillMs, tokens: burst, refilledAt: Date.now() })
+// Spend a token if one is left; false means the caller is over its rate
+const takeToken = (bucket, now = Date.now()) => {
+  const refill = Math.floor((now - bucket.refilledAt) / bucket.refillMs)
+  if (refill > 0) {
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + refill)
+    bucket.refilledAt += refill * bucket.refillMs
+  }
+  if (bucket.tokens <= 0) return false
+  bucket.tokens -= 1
+  return true
+}
 
 let x = 233
 
@@ -157,333 +272,2540 @@ const io = new Server(server, {
 })
 
 const sendPosition = (emitter, gameId) => {
-  let moveType = 'move'
   if(!games[gameId]) {
     return
   }
   let chess = games[gameId].game
-  
-  if(chess.history().length > 0) {
-    let lastMove = chess.history({verbose: true})[chess.history().length - 1]
-    if(lastMove.flags.includes('k') || lastMove.flags.includes('q')) {
-      moveType = 'castle'
-    }
-    if(lastMove.flags.includes('e') || lastMove.flags.includes('c')) {
-      moveType = 'capture'
-    }
-    if(chess.inCheck()) {
-      moveType = 'check'
-    }
-    if(chess.isGameOver()) {
-      moveType = 'gameOver'
-    }
-  }
+  let result = games[gameId].result
 
   emitter.emit('position',{
     position: chess.board(),
     turn: chess.turn(),
-    history: chess.history({verbose: true}).map(move => {
-      return {
-        from: move.from,
-        to: move.to,
-        type: moveType,
-        san: move.san
-      }
-    }),
+    history: moveHistory(chess, games[gameId].moveTimes, !!result),
+    fen: chess.fen(),
+    // Where the history starts from, for rooms set up from a FEN
+    startFen: games[gameId].startFen || null,
+    pgn: roomPgn(gameId),
     isCheck: chess.isCheck(),
     isCheckmate: chess.isCheckmate(),
     isDraw: chess.isDraw(),
     isStalemate: chess.isStalemate(),
-    isGameOver: chess.isGameOver()
+    isGameOver: !!result,
+    result: result || null,
+    drawOffer: games[gameId].drawOffer || null,
+    pendingRequest: games[gameId].pendingRequest || null,
+    takebacks: games[gameId].takebacks !== false,
+    chatEnabled: games[gameId].chatEnabled !== false,
+    canClaimDraw: drawClaims(chess),
+    clock: clockState(gameId),
+    // Finished games can be downloaded from /games/:id.pgn
+    archiveId: result ? archiveIdOf(gameId) : null
   })
+  // A bot account following the game over HTTP gets the update too
+  pushBotGameState(gameId)
 }
 
-const games = {}
-const sessions = {}
+// Keyed by ids that come from clients, so without a prototype: 'constructor'
+// or '__proto__' are just unknown rooms
+const games = Object.create(null)
+const sessions = Object.create(null)
+const profiles = Object.create(null)
+const tournaments = Object.create(null)
+// Bot API: open event streams per bot profile id (a bot counts as online
+// while it has one), open game streams per room, and pending challenges
+const botEventStreams = Object.create(null)
+const botGameStreams = Object.create(null)
+const challenges = Object.create(null)
 
-io.on('connection', (socket) => {
-  // Utility: generate a random session id
-  const genId = () => {
-    let id = ''
-    do {
-      id = Math.random().toString(36).slice(2, 8).toUpperCase()
-    } while (games[id])
-    return id
-  }
-
-  // Utility: find the first waiting game (hosted, 1 player)
-  const findWaitingGameId = () => {
-    for (const [gid, g] of Object.entries(games)) {
-      if (g && g.status === 'waiting' && g.numPlayers === 1 && g.players && g.players.host) {
-        return gid
-      }
-    }
-    return null
+// Room lifecycle events: each is logged and goes out on GET /events
+const eventFeed = createEventFeed(EVENT_HISTORY)
+const GAME_EVENT_MESSAGES = {
+  roomCreated: 'Room created',
+  playerJoined: 'Player joined',
+  spectatorJoined: 'Spectator joined',
+  playerAway: 'Player disconnected; holding the seat',
+  playerRejoined: 'Player rejoined',
+  playerLeft: 'Player left',
+  move: 'Move',
+  gameEnded: 'Game ended',
+  resultTakenBack: 'Result taken back',
+  gameReset: 'Game reset',
+  roomClosed: 'Room closed'
+}
+// Publish while the room still exists: a private room's events only reach
+// feed clients that know its invite code
+const gameEvent = (type, data) => {
+  const g = games[data.gameId]
+  const event = eventFeed.publish(type, data, { inviteCode: g ? g.inviteCode : null })
+  const level = type === 'move' ? 'debug' : 'info'
+  log()[level]({ event: type, eventId: event.id, ...data }, GAME_EVENT_MESSAGES[type])
+}
+// Lobby clients following their correspondence games ask 'myGames' again
+// when one of them moves on
+const CORRESPONDENCE_UPDATES = ['playerJoined', 'move', 'gameEnded', 'resultTakenBack', 'gameReset', 'roomClosed']
+eventFeed.subscribe((event) => {
+  const g = games[event.gameId]
+  if (!g || !isCorrespondenceRoom(g) || !CORRESPONDENCE_UPDATES.includes(event.type)) return
+  io.to(`correspondence:${event.gameId}`).emit('myGamesChanged', { gameId: event.gameId })
+})
+
+// Rooms are mirrored into a pluggable store (JSON file by default) so a restart
+// or crash does not wipe games in progress
+const gameStore = createGameStore()
+// Every finished game, with its PGN, for /games
+const gameArchive = createGameArchive()
+// Tournaments with their pairings and results, for /tournaments
+const tournamentStore = createTournamentStore()
+// Player profiles with their ratings and history, for /profiles
+const profileStore = createProfileStore()
+
+// What /metrics reports a room as
+const roomState = (g) => (g.result ? 'finished' : g.status === 'ready' ? 'playing' : 'waiting')
+const metrics = createMetrics({
+  roomStates: () => Object.values(games).map(roomState),
+  socketCount: () => io.engine.clientsCount
+})
+
+// Snapshot of a room that can be written to the store and replayed on boot.
+// Players are recorded by seat token; socket ids mean nothing after a restart.
+const serializeGame = (gameId) => {
+  const g = games[gameId]
+  const pending = g.pendingPromotion
+  return {
+    id: gameId,
+    startFen: g.startFen || null,
+    moves: g.game.history({ verbose: true }).map(toUci),
+    moveTimes: g.moveTimes,
+    players: {
+      host: g.seatTokens.host || null,
+      opponent: g.seatTokens.opponent || null
+    },
+    status: g.status,
+    hostColor: g.hostColor,
+    colorPreference: g.colorPreference,
+    names: g.names,
+    createdAt: g.createdAt,
+    inviteCode: g.inviteCode || null,
+    setupPlies: g.setupPlies || 0,
+    round: g.round || 1,
+    claimedNames: g.claimedNames,
+    pendingPromotion: pending ? { square: pending.square, color: pending.color, from: pending.from } : null,
+    // Time left is frozen at save time; downtime is not charged to anyone,
+    // except in correspondence games, whose days keep running
+    clock: g.clock ? {
+      control: g.clock.control.id,
+      remaining: {
+        w: timeLeft(g.clock, 'w', g.game.turn(), Date.now()),
+        b: timeLeft(g.clock, 'b', g.game.turn(), Date.now())
+      },
+      started: g.clock.started,
+      running: g.clock.turnStartedAt != null
+    } : null,
+    result: g.result || null,
+    drawOffer: g.drawOffer || null,
+    takebacks: g.takebacks !== false,
+    chatEnabled: g.chatEnabled !== false,
+    chat: g.chat,
+    bot: g.bot || null,
+    tournament: g.tournament || null,
+    rated: !!g.rated,
+    profiles: g.profiles,
+    botAccount: g.botAccount || null,
+    updatedAt: Date.now()
   }
+}
 
-  // On fresh connection, let clients know which names are currently claimed
-  // for the first waiting game (best-effort; typical setup has a single session).
-  const emitCurrentClaimsTo = (sock) => {
-    const waiting = findWaitingGameId()
-    if (waiting && games[waiting] && games[waiting].claimedNames) {
-      sock.emit('nameClaims', { claimed: games[waiting].claimedNames })
-    }
+const persistGame = (gameId) => {
+  if (!games[gameId]) return
+  try {
+    gameStore.save(serializeGame(gameId))
+  } catch (err) {
+    log().error({ gameId, err }, 'Failed to persist game')
   }
+}
 
-  socket.on('join', (providedId) => {
-    let gameId = (typeof providedId === 'string' && providedId.trim()) ? providedId.trim() : ''
+const discardGame = (gameId) => {
+  delete games[gameId]
+  try {
+    gameStore.remove(gameId)
+  } catch (err) {
+    log().error({ gameId, err }, 'Failed to remove game')
+  }
+}
 
-    // If no id provided, auto-match: join a waiting game or create a new one
-    if (!gameId) {
-      const waiting = findWaitingGameId()
-      if (waiting) {
-        gameId = waiting
-      } else {
-        gameId = genId()
+// Rebuild rooms from the store. Sockets do not survive a restart, so every seat
+// starts disconnected and is reclaimed with its seat token via 'rejoin'.
+const restoreGames = () => {
+  for (const record of gameStore.loadAll()) {
+    try {
+      const chess = replayMoves(record.startFen || null, record.moves || [])
+      let clock = null
+      if (record.clock) {
+        clock = createClock(parseTimeControl(record.clock.control))
+        clock.remaining = { ...record.clock.remaining }
+        clock.started = !!record.clock.started
+        if (isCorrespondence(clock.control) && record.clock.running) {
+          clock.turnStartedAt = record.updatedAt || Date.now()
+        }
       }
-    }
-
-    if(!games[gameId]) {
-      // Create a new game and wait for opponent
-      socket.join(gameId)
-      sessions[socket.id] = gameId
-      socket.emit('gameId', gameId)
-      games[gameId] = {
-        game: new Chess(),
-        numPlayers: 1,
+      const tokenOf = (seat) => (record.players && typeof record.players[seat] === 'string') ? record.players[seat] : null
+      const seatTokens = { host: tokenOf('host'), opponent: tokenOf('opponent') }
+      // Correspondence games go on without anyone connected
+      const correspondence = !!clock && isCorrespondence(clock.control)
+      games[record.id] = {
+        game: chess,
+        startFen: record.startFen || null,
+        moveTimes: chess.history().map((_, i) => (Array.isArray(record.moveTimes) && record.moveTimes[i]) || null),
+        numPlayers: SEATS.filter((seat) => seatTokens[seat]).length,
         players: {
-          host: socket.id,
-          opponent: ''
+          host: '',
+          // The computer never disconnects, nor do bot accounts (they play over HTTP)
+          opponent: record.botAccount ? botAccountPlayer(record.botAccount) : (record.bot ? BOT_PLAYER : '')
         },
-        status: 'waiting',
-        // Track claimed quick-join names (Gallant/Vermouth) for lobby UX
-        claimedNames: { Gallant: false, Vermouth: false },
-        pendingPromotion: null
+        seatTokens,
+        away: { host: null, opponent: null },
+        spectators: new Set(),
+        status: correspondence && SEATS.every((seat) => seatTokens[seat]) ? 'ready' : 'waiting',
+        hostColor: record.hostColor === 'black' ? 'black' : 'white',
+        colorPreference: record.colorPreference || 'white',
+        names: { host: '', opponent: '', ...record.names },
+        createdAt: record.createdAt || record.updatedAt || Date.now(),
+        inviteCode: record.inviteCode || null,
+        setupPlies: record.setupPlies || 0,
+        round: record.round || 1,
+        claimedNames: record.claimedNames || { Gallant: false, Vermouth: false },
+        pendingPromotion: record.pendingPromotion
+          ? { ...record.pendingPromotion, playerSocketId: null }
+          : null,
+        clock,
+        result: record.result || null,
+        drawOffer: record.drawOffer || null,
+        takebacks: record.takebacks !== false,
+        chatEnabled: record.chatEnabled !== false,
+        chat: Array.isArray(record.chat) ? record.chat.slice(-CHAT_HISTORY) : [],
+        bot: record.bot || null,
+        tournament: record.tournament || null,
+        rated: !!record.rated,
+        profiles: { host: null, opponent: null, ...record.profiles },
+        botAccount: record.botAccount || null,
+        // Takeback/reset requests are not persisted; players simply ask again
+        pendingRequest: null
       }
-      socket.emit('color', 'white')
-      io.to(gameId).emit('status','waiting')
-      sendPosition(io.to(gameId), gameId)
-    } else if(games[gameId]['numPlayers'] === 1){
-      // Join existing waiting game
-      socket.join(gameId)
-      sessions[socket.id] = gameId
-      socket.emit('gameId', gameId)
-      games[gameId]['numPlayers'] = 2
-      games[gameId]['players']['opponent'] = socket.id
-      socket.emit('color', 'black')
-      games[gameId].status = 'ready'
-      io.to(gameId).emit('status', 'ready')
-      sendPosition(io.to(gameId), gameId)
-    } else {
-      // Game full
-      socket.emit('status', 'fail')
+    } catch (err) {
+      log().error({ gameId: record.id, err }, 'Dropping unreadable game')
+      gameStore.remove(record.id)
+    }
+  }
+  const count = Object.keys(games).length
+  // Running correspondence clocks may even have run out while the server was down
+  for (const gameId of Object.keys(games)) scheduleFlag(gameId)
+  // Every other seat gets the grace period of a dropped connection, so rooms
+  // nobody comes back to are released instead of kept forever
+  for (const [gameId, g] of Object.entries(games)) {
+    if (isCorrespondenceRoom(g)) continue
+    for (const seat of SEATS) {
+      if (g.seatTokens[seat] && !g.players[seat]) startGraceTimer(gameId, seat)
     }
+  }
+  if (count > 0) {
+    log().info({ count }, 'Restored games from the game store')
+  }
+}
+
+// Seats: the host created the room and plays the color they asked for
+// (white unless they chose otherwise); the opponent gets the other one
+const SEATS = ['host', 'opponent']
+const seatColor = (g, seat) => {
+  if (seat === 'host') return g.hostColor
+  return g.hostColor === 'white' ? 'black' : 'white'
+}
+const otherSeat = (seat) => (seat === 'host' ? 'opponent' : 'host')
+// Correspondence rooms (days per move) outlive their players' connections:
+// a seat stays taken until the game is over, whoever is online
+const isCorrespondenceRoom = (g) => !!g.clock && isCorrespondence(g.clock.control)
+// Whether a move has been played in this room (imported setup moves aside)
+const gameStarted = (g) => g.game.history().length > g.setupPlies
+const seatOfSocket = (g, socketId) => SEATS.find((seat) => g.players[seat] === socketId) || null
+const newSeatToken = () => crypto.randomBytes(16).toString('hex')
+
+// Invite codes for private rooms: short, easy to read aloud, unique among rooms
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const newInviteCode = () => {
+  let code = ''
+  do {
+    code = ''
+    for (let i = 0; i < 6; i++) code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)]
+  } while (Object.values(games).some((g) => g.inviteCode === code))
+  return code
+}
+// Random room id, unique among rooms
+const genId = () => {
+  let id = ''
+  do {
+    id = Math.random().toString(36).slice(2, 8).toUpperCase()
+  } while (games[id])
+  return id
+}
+
+const findGameByInviteCode = (code) => Object.keys(games).find((id) => games[id].inviteCode === code) || null
+
+// Bind a socket to a seat and tell it which game, color and seat token it holds
+const seatSocket = (socket, gameId, seat) => {
+  const g = games[gameId]
+  g.players[seat] = socket.id
+  g.away[seat] = null
+  socket.join(gameId)
+  sessions[socket.id] = gameId
+  socket.emit('gameId', gameId)
+  socket.emit('color', seatColor(g, seat))
+  socket.emit('seat', { gameId, color: seatColor(g, seat), token: g.seatTokens[seat], correspondence: isCorrespondenceRoom(g) })
+  socket.emit('spectators', { count: g.spectators.size })
+  // Players of a private room can pass the invite on
+  if (g.inviteCode) socket.emit('invite', { gameId, code: g.inviteCode })
+  socket.emit('chatHistory', { gameId, messages: g.chat })
+}
+
+// Announce a player newly seated (not one coming back with their token)
+const playerJoined = (gameId, seat) => {
+  const g = games[gameId]
+  gameEvent('playerJoined', {
+    gameId,
+    seat,
+    color: seatColor(g, seat),
+    name: g.names[seat] || null,
+    profileId: g.profiles[seat]
   })
+}
 
-  // Player claims a display name for quick-join (Gallant or Vermouth)
-  socket.on('claimName', (name) => {
-    try {
-      const gameId = sessions[socket.id]
-      if (!gameId || !games[gameId]) return
-      if (!games[gameId].claimedNames) {
-        games[gameId].claimedNames = { Gallant: false, Vermouth: false }
-      }
-      if (name === 'Gallant' || name === 'Vermouth') {
-        games[gameId].claimedNames[name] = true
-        // Broadcast globally so lobby clients (not in room) can update
-        io.emit('nameClaims', { claimed: games[gameId].claimedNames })
-      }
-    } catch (_) {
-      // ignore
-    }
+// Display names by color for everyone in the room
+const emitPlayers = (gameId) => {
+  const g = games[gameId]
+  if (!g) return
+  const names = {}
+  for (const seat of SEATS) names[seatColor(g, seat)] = g.names[seat] || null
+  io.to(gameId).emit('players', names)
+  // Avatar and rating of the players who joined with a profile
+  const seated = {}
+  for (const seat of SEATS) {
+    const profile = profiles[g.profiles[seat]]
+    seated[seatColor(g, seat)] = profile
+      ? { id: profile.id, name: profile.name, avatar: profile.avatar, rating: profile.rating }
+      : null
+  }
+  io.to(gameId).emit('profiles', { gameId, rated: !!g.rated, ...seated })
+}
+
+// Give `seat` a display name. The quick-join names (Gallant and Vermouth) can
+// be held by one player per room. Returns an error message or null.
+const QUICK_JOIN_NAMES = ['Gallant', 'Vermouth']
+const claimSeatName = (g, seat, name) => {
+  if (QUICK_JOIN_NAMES.includes(name)) {
+    if (g.claimedNames[name] && g.names[seat] !== name) return `${name} is taken in this room`
+    g.claimedNames[name] = true
+  }
+  if (g.names[seat] !== name && g.claimedNames[g.names[seat]]) g.claimedNames[g.names[seat]] = false
+  g.names[seat] = name
+  return null
+}
+
+// What a joining player is asked to accept in a room that does not start from
+// the standard position: the position play resumes from and how it came about
+const setupSummary = (g) => {
+  if (!g.startFen && !g.setupPlies) return null
+  const history = g.game.history({ verbose: true })
+  const resumeFen = g.setupPlies ? history[g.setupPlies - 1].after : g.startFen
+  return { fen: resumeFen, startFen: g.startFen, importedPlies: g.setupPlies }
+}
+
+// A room is open when one seat is free and the player in the other is
+// connected (or, in correspondence, merely holds it). A game that has started
+// is never open, even when a player has left it.
+const isOpenRoom = (g) => (
+  g.status === 'waiting' &&
+  !gameStarted(g) &&
+  SEATS.some((seat) => !g.seatTokens[seat]) &&
+  SEATS.some((seat) => g.players[seat] || (isCorrespondenceRoom(g) && g.seatTokens[seat] && !g.result))
+)
+
+// Summary of every open public room for the lobby, oldest first. Private rooms
+// (those with an invite code) are only reachable with the code; tournament
+// rooms from the tournament view.
+const lobbyRooms = () => Object.entries(games)
+  .filter(([, g]) => isOpenRoom(g) && !g.inviteCode && !g.tournament)
+  .map(([id, g]) => ({
+    id,
+    hostName: g.names.host || null,
+    timeControl: g.clock ? g.clock.control.id : null,
+    correspondence: isCorrespondenceRoom(g),
+    colorPreference: g.colorPreference,
+    takebacks: g.takebacks !== false,
+    chat: g.chatEnabled !== false,
+    rated: !!g.rated,
+    hostRating: profiles[g.profiles.host] ? profiles[g.profiles.host].rating : null,
+    setup: setupSummary(g),
+    claimedNames: g.claimedNames,
+    createdAt: g.createdAt
+  }))
+  .sort((a, b) => a.createdAt - b.createdAt)
+
+// A correspondence seat as its player's lobby lists it. `deadline` is when
+// the side to move runs out of time, while their clock runs.
+const correspondenceGame = (gameId, seat) => {
+  const g = games[gameId]
+  const color = seatColor(g, seat)
+  const turn = g.game.turn()
+  const now = Date.now()
+  const left = msUntilFlag(g.clock, turn, now)
+  return {
+    gameId,
+    token: g.seatTokens[seat],
+    color,
+    opponentName: g.names[otherSeat(seat)] || null,
+    timeControl: g.clock.control.id,
+    status: g.result ? 'finished' : g.status,
+    yourTurn: g.status === 'ready' && !g.result && turn === color[0],
+    deadline: left == null ? null : now + Math.max(0, left),
+    result: g.result || null,
+    plies: g.game.history().length
+  }
+}
+
+// Bot accounts that can be challenged right now, strongest first
+const onlineBots = () => Object.keys(botEventStreams)
+  .map((id) => profiles[id])
+  .filter(Boolean)
+  .map(publicProfile)
+  .sort((a, b) => b.rating - a.rating)
+
+// What lobby clients see: open rooms and online bots
+const lobbyView = () => ({ rooms: lobbyRooms(), bots: onlineBots() })
+
+// Rooms open and fill all the time; push the new list to every client
+const broadcastLobby = () => {
+  io.emit('lobby', lobbyView())
+}
+
+// Let everyone in the room know how many people are watching
+const emitSpectatorCount = (gameId) => {
+  if (!games[gameId]) return
+  io.to(gameId).emit('spectators', { count: games[gameId].spectators.size })
+}
+
+const clockState = (gameId) => {
+  const g = games[gameId]
+  if (!g || !g.clock) return null
+  return clockSnapshot(g.clock, g.game.turn(), Date.now())
+}
+
+const flagTimers = {}
+
+const winFor = (winner, reason) => ({ result: winner === 'w' ? '1-0' : '0-1', reason, winner })
+const drawBy = (reason) => ({ result: '1/2-1/2', reason, winner: null })
+
+// Results the board reaches on its own. Threefold repetition and the fifty-move
+// rule only end the game when a player claims the draw.
+const BOARD_REASONS = ['checkmate', 'stalemate', 'insufficientMaterial']
+const boardResult = (chess) => {
+  if (chess.isCheckmate()) return winFor(chess.turn() === 'w' ? 'b' : 'w', 'checkmate')
+  if (chess.isStalemate()) return drawBy('stalemate')
+  if (chess.isInsufficientMaterial()) return drawBy('insufficientMaterial')
+  return null
+}
+
+const drawClaims = (chess) => ({
+  threefoldRepetition: chess.isThreefoldRepetition(),
+  // Halfmove clock is the fifth FEN field
+  fiftyMoveRule: parseInt(chess.fen().split(' ')[4], 10) >= 100
+})
+
+// A room plays one game per round; a reset starts the next round
+const archiveIdOf = (gameId) => `${gameId}-${games[gameId].round || 1}`
+
+// PGN of the room's game so far (or as it finished, at `finishedAt`)
+const roomPgn = (gameId, finishedAt = Date.now()) => {
+  const g = games[gameId]
+  const names = {}
+  for (const seat of SEATS) names[seatColor(g, seat)] = g.names[seat] || null
+  const moves = g.game.history({ verbose: true }).map(toUci)
+  const control = g.clock ? g.clock.control : null
+  const tournament = g.tournament && tournaments[g.tournament.id]
+  return buildPgn({
+    event: tournament ? tournament.name : null,
+    startFen: g.startFen,
+    moves,
+    white: names.white,
+    black: names.black,
+    result: g.result,
+    control,
+    finishedAt,
+    round: tournament ? g.tournament.round : g.round
   })
+}
 
-  socket.on('move', (data) => {
-    let gameId = data.gameId
-    let move = data.move
-    if(games[gameId].status === 'ready') {
-      try {
-        // Attempt the move
-        let result = games[gameId].game.move(move)
-        
-        if (result) {
-          // Check if this was a pawn promotion
-          if (result.flags && result.flags.includes('p')) {
-            // Pawn promotion detected - revert the tentative move and prompt the mover only
-            games[gameId].game.undo()
-            games[gameId].pendingPromotion = {
-              square: result.to,
-              color: result.color,
-              from: result.from,
-              playerSocketId: socket.id
-            }
-
-            // Send promotion required event to the player who moved
-            socket.emit('promotionRequired', {
-              square: result.to,
-              color: result.color,
-              availablePieces: ['q', 'r', 'b', 'n'],
-              from: result.from
-            })
-          } else {
-            // Regular move - send position update
-            sendPosition(io.to(gameId), gameId)
-          }
-        } else {
-          // Invalid move
-          socket.emit('invalidMove', { error: 'Invalid move' })
-        }
-      } catch (error) {
-        socket.emit('invalidMove', { error: error.message })
-      }
-    }
+const archiveGame = (gameId) => {
+  const g = games[gameId]
+  const names = {}
+  for (const seat of SEATS) names[seatColor(g, seat)] = g.names[seat] || null
+  const finishedAt = Date.now()
+  const control = g.clock ? g.clock.control : null
+  const record = {
+    id: archiveIdOf(gameId),
+    room: gameId,
+    round: g.round || 1,
+    white: names.white,
+    black: names.black,
+    result: g.result.result,
+    reason: g.result.reason,
+    timeControl: control ? control.id : null,
+    rated: !!g.rated,
+    startFen: g.startFen || null,
+    plies: g.game.history().length,
+    finishedAt,
+    pgn: roomPgn(gameId, finishedAt)
+  }
+  try {
+    gameArchive.save(record)
+  } catch (err) {
+    log().error({ gameId, archiveId: record.id, err }, 'Failed to archive game')
+  }
+}
+
+// A result taken back on the board was not the end of the game after all
+const unarchiveGame = (gameId) => {
+  try {
+    gameArchive.remove(archiveIdOf(gameId))
+  } catch (err) {
+    log().error({ gameId, archiveId: archiveIdOf(gameId), err }, 'Failed to remove archived game')
+  }
+}
+
+const stopForResult = (gameId, result) => {
+  const g = games[gameId]
+  g.result = result
+  g.drawOffer = null
+  if (g.clock) pauseClock(g.clock, g.game.turn(), Date.now())
+  scheduleFlag(gameId)
+  archiveGame(gameId)
+  reportTournamentResult(gameId)
+  reportProfileResult(gameId)
+  metrics.countGameFinished(result.reason)
+  if (g.botAccount) {
+    notifyBot(g.botAccount, { type: 'gameFinish', game: { id: gameId, result: result.result, reason: result.reason } })
+  }
+  const names = {}
+  for (const seat of SEATS) names[seatColor(g, seat)] = g.names[seat] || null
+  gameEvent('gameEnded', {
+    gameId,
+    result: result.result,
+    reason: result.reason,
+    white: names.white,
+    black: names.black,
+    plies: g.game.history().length
   })
+}
 
-  socket.on('reset', (gameId) => {
-    if(games[gameId].status === 'ready') {
-      games[gameId].game.reset()
-      sendPosition(io.to(gameId), gameId)
+// Record a result reached on the board by the last move; the caller broadcasts
+const settleBoardResult = (gameId) => {
+  const result = boardResult(games[gameId].game)
+  if (result) stopForResult(gameId, result)
+}
+
+// End the game with a result such as { result: '0-1', reason: 'timeout', winner: 'b' }
+const finishGame = (gameId, result) => {
+  const g = games[gameId]
+  if (!g || g.result) return
+  stopForResult(gameId, result)
+  sendPosition(io.to(gameId), gameId)
+  persistGame(gameId)
+}
+
+// Flag the side to move if their time is up. Running out of time only loses
+// when the opponent still has material to mate; otherwise it is a draw.
+const flagIfExpired = (gameId) => {
+  const g = games[gameId]
+  if (!g || !g.clock || g.result) return false
+  const turn = g.game.turn()
+  if (timeLeft(g.clock, turn, turn, Date.now()) > 0) return false
+  const winner = turn === 'w' ? 'b' : 'w'
+  if (hasMatingMaterial(g.game, winner)) {
+    finishGame(gameId, winFor(winner, 'timeout'))
+  } else {
+    finishGame(gameId, drawBy('timeoutVsInsufficientMaterial'))
+  }
+  return true
+}
+
+// Wake up when the side to move would run out of time
+const scheduleFlag = (gameId) => {
+  clearTimeout(flagTimers[gameId])
+  delete flagTimers[gameId]
+  const g = games[gameId]
+  if (!g || !g.clock || g.result) return
+  const ms = msUntilFlag(g.clock, g.game.turn(), Date.now())
+  if (ms == null) return
+  flagTimers[gameId] = setTimeout(() => {
+    delete flagTimers[gameId]
+    if (!flagIfExpired(gameId)) scheduleFlag(gameId)
+  }, Math.max(0, ms) + 10)
+}
+
+// Clocks run while both seats are filled and the game is still going. Once
+// the game has started, a player walking out leaves their clock running: they
+// cannot wait out a lost position on time with the clock stopped.
+const syncClock = (gameId) => {
+  const g = games[gameId]
+  if (!g || !g.clock) return
+  const now = Date.now()
+  if (!g.result && (g.status === 'ready' || gameStarted(g))) {
+    resumeClock(g.clock, now)
+  } else {
+    pauseClock(g.clock, g.game.turn(), now)
+  }
+  scheduleFlag(gameId)
+  io.to(gameId).emit('clock', clockState(gameId))
+}
+
+// Moving instead of answering declines the opponent's draw offer
+const clearDrawOfferAfterMove = (gameId, mover) => {
+  const g = games[gameId]
+  if (g.drawOffer && g.drawOffer !== mover) {
+    g.drawOffer = null
+  }
+}
+
+// A move changes what a takeback would undo, so any open request lapses
+const dropPendingRequest = (gameId) => {
+  const g = games[gameId]
+  if (!g.pendingRequest) return
+  g.pendingRequest = null
+  io.to(gameId).emit('takebackRequest', { request: null })
+}
+
+// Take back `plies` half-moves. Only results reached on the board can be taken
+// back; a flag, resignation or agreed draw stands.
+const takeBack = (gameId, plies) => {
+  const g = games[gameId]
+  const finished = g.result
+  if (finished && !BOARD_REASONS.includes(finished.reason)) return false
+  const now = Date.now()
+  if (g.clock && !finished) pauseClock(g.clock, g.game.turn(), now)
+  if (finished) {
+    unarchiveGame(gameId)
+    forgetProfileResult(gameId)
+    gameEvent('resultTakenBack', { gameId, result: finished.result })
+  }
+  for (let i = 0; i < plies; i++) g.game.undo()
+  g.moveTimes.length = g.game.history().length
+  g.pendingPromotion = null
+  g.result = null
+  g.drawOffer = null
+  if (g.clock) {
+    if (g.game.history().length === g.setupPlies && !isCorrespondenceRoom(g)) g.clock.started = false
+    resumeClock(g.clock, now)
+    scheduleFlag(gameId)
+  }
+  return true
+}
+
+// Back to the room's starting point, keeping any moves imported from a PGN
+const resetGame = (gameId) => {
+  const g = games[gameId]
+  const setupMoves = g.game.history({ verbose: true }).slice(0, g.setupPlies).map(toUci)
+  g.game = replayMoves(g.startFen, setupMoves)
+  g.moveTimes = g.moveTimes.slice(0, g.setupPlies)
+  // A finished game stays in the archive; an unfinished one is simply dropped
+  if (g.result) g.round = (g.round || 1) + 1
+  g.pendingPromotion = null
+  g.result = null
+  g.drawOffer = null
+  if (g.clock) g.clock = createClock(g.clock.control)
+  scheduleFlag(gameId)
+  gameEvent('gameReset', { gameId })
+}
+
+// Half-moves an undo requested by `color` would take back: just their last move
+// if the opponent has not replied yet, otherwise that move and the reply.
+// Returns 0 when the requester has no move on the board to take back; moves
+// imported with the room's setup (`floor` plies) cannot be taken back.
+const takebackPlies = (chess, color, floor) => {
+  const made = chess.history().length - floor
+  const plies = chess.turn() === color ? 2 : 1
+  return made >= plies ? plies : 0
+}
+
+// vs Computer rooms: the engine holds the opponent seat. BOT_PLAYER stands in
+// for its socket id so the seat always counts as taken.
+const BOT_PLAYER = 'engine'
+// Bot accounts (the HTTP bot API) stand in the same way, one id per bot
+const botAccountPlayer = (profileId) => `bot:${profileId}`
+// Whether a seat's player id is a real socket rather than a stand-in
+const isSocketPlayer = (player) => !!player && player !== BOT_PLAYER && !player.startsWith('bot:')
+const BOT_RETRY_MS = 5000
+const botRequests = {}
+
+const botColor = (g) => seatColor(g, 'opponent')[0]
+
+const botToMove = (g) => !!(g && g.bot && g.status === 'ready' && !g.result &&
+  !g.pendingPromotion && g.game.turn() === botColor(g))
+
+// Ask the engine for the computer's move whenever it is its turn. Anything that
+// changes the game while the engine thinks (a takeback, reset or resignation)
+// makes the answer stale, and it is dropped.
+const playBotMove = (gameId) => {
+  const g = games[gameId]
+  if (!botToMove(g) || botRequests[gameId]) return
+  const moves = g.game.history({ verbose: true }).map(toUci)
+  const line = moves.join(' ')
+  botRequests[gameId] = requestBotMove(ENGINE_BASE, {
+    startFen: g.startFen,
+    moves,
+    movetime: botMovetime(g.clock, botColor(g), Date.now()),
+    strength: g.bot
+  }).then((uci) => {
+    delete botRequests[gameId]
+    const current = games[gameId]
+    if (!botToMove(current) || current.game.history({ verbose: true }).map(toUci).join(' ') !== line) {
+      playBotMove(gameId)
+      return
     }
+    playUciMove(gameId, uci)
+  }).catch((err) => {
+    delete botRequests[gameId]
+    if (!botToMove(games[gameId])) return
+    log().warn({ gameId, err }, 'Computer move failed')
+    io.to(gameId).emit('actionFailed', { action: 'botMove', error: 'The computer cannot reach the engine; retrying' })
+    setTimeout(() => playBotMove(gameId), BOT_RETRY_MS)
   })
+}
 
-  socket.on('undo', (gameId) => {
-    if(games[gameId].status === 'ready') {
-      games[gameId].game.undo()
-      sendPosition(io.to(gameId), gameId)
-    }
+// Play a move given in UCI notation ('e2e4', 'e7e8q') for the side to move
+// and tell everyone. Throws on an illegal move, leaving the game as it was.
+const playUciMove = (gameId, uci) => {
+  const g = games[gameId]
+  const result = g.game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] })
+  recordMove(gameId, result)
+  settleBoardResult(gameId)
+  clearDrawOfferAfterMove(gameId, result.color)
+  dropPendingRequest(gameId)
+  sendPosition(io.to(gameId), gameId)
+  persistGame(gameId)
+}
+
+// Call after `move` (the move chess.js just made on the board): stamps the
+// move's time and charges it to the mover's clock
+const recordMove = (gameId, move) => {
+  const g = games[gameId]
+  const now = Date.now()
+  g.moveTimes.push(now)
+  metrics.countMove()
+  if (g.clock) {
+    applyMove(g.clock, move.color, now)
+    scheduleFlag(gameId)
+  }
+  gameEvent('move', {
+    gameId,
+    ply: g.moveTimes.length,
+    color: move.color === 'w' ? 'white' : 'black',
+    san: move.san,
+    uci: toUci(move),
+    fen: g.game.fen(),
+    clock: clockState(gameId)
   })
+}
 
-  socket.on('promote', (data) => {
-    let gameId = data.gameId
-    let piece = data.piece // 'q', 'r', 'b', or 'n'
-    
-    if(games[gameId].status === 'ready' && games[gameId].pendingPromotion) {
-      try {
-        const pending = games[gameId].pendingPromotion
-        // Only allow the player who made the move to choose the promotion
-        if (pending.playerSocketId && pending.playerSocketId !== socket.id) {
-          socket.emit('invalidPromotion', { error: 'Not your promotion' })
-          return
-        }
-        // Complete the promotion move using object form
-        let result = games[gameId].game.move({ from: pending.from, to: pending.square, promotion: piece })
-        
-        if (result) {
-          // Clear pending promotion
-          games[gameId].pendingPromotion = null
-          
-          // Send updated position
-          sendPosition(io.to(gameId), gameId)
-          
-          // Send confirmation
-          io.to(gameId).emit('promotionComplete', {
-            square: result.to,
-            piece: piece,
-            color: result.color
-          })
-        } else {
-          socket.emit('invalidPromotion', { error: 'Invalid promotion' })
-        }
-      } catch (error) {
-        socket.emit('invalidPromotion', { error: error.message })
-      }
-    }
+// Carry out the room's pending takeback or reset, agreed to by `acceptedBy`.
+// Returns false when the result could not be taken back after all.
+const grantRequest = (gameId, acceptedBy) => {
+  const g = games[gameId]
+  const request = g.pendingRequest
+  g.pendingRequest = null
+  let done = true
+  if (request.kind === 'reset') {
+    resetGame(gameId)
+  } else {
+    done = takeBack(gameId, request.plies)
+  }
+  io.to(gameId).emit('takebackRequest', { request: null, acceptedBy, kind: request.kind })
+  sendPosition(io.to(gameId), gameId)
+  persistGame(gameId)
+  playBotMove(gameId)
+  return done
+}
+
+// Hand an unfinished promotion back to the player whose pawn it is
+const resumePromotion = (socket, gameId, seat) => {
+  const pending = games[gameId].pendingPromotion
+  if (!pending || pending.color !== seatColor(games[gameId], seat)[0]) return
+  pending.playerSocketId = socket.id
+  socket.emit('promotionRequired', {
+    square: pending.square,
+    color: pending.color,
+    availablePieces: ['q', 'r', 'b', 'n'],
+    from: pending.from
   })
+}
 
-  socket.on('leave', (gameId) => {
-    //check if socket is host
-    if(games[gameId].players.host === socket.id) {
-      io.in(gameId).fetchSockets().then((sockets) => {
-        for(let socket of sockets) {
-          socket.leave(gameId)
-          delete sessions[socket.id]
-          socket.emit('terminate')
-        }
-      })
-      delete games[gameId]
-      //check is socket is player
-    } else if (games[gameId].players.opponent === socket.id) {
-      games[gameId]['numPlayers'] = 1
-      games[gameId]['players']['opponent'] = ''
-      games[gameId]['status'] = 'waiting'
-      io.to(gameId).emit('status', 'waiting')
-      delete sessions[socket.id]
-      socket.leave(gameId)
-      socket.emit('terminate')
-    }
+// A fresh room. Rooms made from the lobby have their host seated right away;
+// tournament rooms (settings.tournament is { id, round, board }) start empty
+// with both seats reserved for the paired players by name.
+const createRoom = (gameId, settings) => {
+  const { control, setup, bot, tournament, botAccount } = settings
+  // Either kind of bot takes the opponent seat right away
+  const botSeated = !!(bot || botAccount)
+  games[gameId] = {
+    game: setup ? replayMoves(setup.startFen, setup.moves) : new Chess(),
+    startFen: setup ? setup.startFen : null,
+    // When each half-move was played; null for moves imported with the setup
+    moveTimes: setup ? setup.moves.map(() => null) : [],
+    // Moves imported from a PGN; play continues after them
+    setupPlies: setup ? setup.moves.length : 0,
+    round: 1,
+    numPlayers: tournament ? 0 : (botSeated ? 2 : 1),
+    players: {
+      host: '',
+      opponent: botAccount ? botAccountPlayer(botAccount) : (bot ? BOT_PLAYER : '')
+    },
+    // A bot's seat gets a token nobody is told, so it cannot be taken
+    seatTokens: { host: tournament ? null : newSeatToken(), opponent: botSeated ? newSeatToken() : null },
+    away: { host: null, opponent: null },
+    spectators: new Set(),
+    status: botSeated ? 'ready' : 'waiting',
+    hostColor: settings.hostColor,
+    colorPreference: settings.colorPreference,
+    names: settings.names || { host: '', opponent: bot ? botName(bot) : '' },
+    createdAt: Date.now(),
+    inviteCode: settings.inviteCode || null,
+    // Track claimed quick-join names (Gallant/Vermouth) for lobby UX
+    claimedNames: { Gallant: false, Vermouth: false },
+    pendingPromotion: null,
+    clock: control ? createClock(control) : null,
+    result: null,
+    // Color ('w' | 'b') with a standing draw offer
+    drawOffer: null,
+    // Room setting: whether players may ask for takebacks at all
+    takebacks: settings.takebacks !== false,
+    // Room setting: whether the room has text chat
+    chatEnabled: settings.chatEnabled !== false,
+    // Recent chat messages, replayed to anyone who (re)joins
+    chat: [],
+    // Open takeback or reset request awaiting the other player's answer
+    pendingRequest: null,
+    // Engine strength when the computer holds the opponent seat
+    bot: bot || null,
+    // Tournament pairing this room was opened for
+    tournament: tournament || null,
+    // Rated rooms move the players' ratings; they need a profile in both seats
+    rated: !!settings.rated,
+    // Profile id of the player in each seat, for those who joined with one
+    profiles: { host: null, opponent: botAccount || null },
+    // Profile id of the bot account in the opponent seat, playing over HTTP
+    botAccount: botAccount || null
+  }
+  gameEvent('roomCreated', {
+    gameId,
+    timeControl: control ? control.id : null,
+    private: !!settings.inviteCode,
+    rated: !!settings.rated,
+    bot: !!bot,
+    botAccount: botAccount || null,
+    tournamentId: tournament ? tournament.id : null
   })
+  return games[gameId]
+}
 
-  socket.on('disconnect', () => {
-    //check if socket is in a session
-    let gameId = ''
-    if(sessions[socket.id]) {
-      gameId = sessions[socket.id]
-    }
+const graceTimers = {}
 
-    //if socket is in a session
-    if(gameId !== '' && gameId) {
-      console.log('gg', gameId)
-      //if socket is a host
-      if(games[gameId].players.host === socket.id) {
-        //leave session and terminate the game
-        io.to(gameId).emit('terminate')
-        io.in(gameId).fetchSockets().then((sockets) => {
-          for(let socket of sockets) {
-            socket.leave(gameId)
-            socket.emit('gameId', '')
-          }
-        })
-        delete games[gameId]
-      } else if(games[gameId].players.opponent === socket.id){
-        games[gameId]['numPlayers'] = 1
-        games[gameId]['players']['opponent'] = ''
-        games[gameId]['status'] = 'waiting'
-        io.to(gameId).emit('status', 'waiting')
-        socket.leave(gameId)
-      }
+const clearGraceTimer = (gameId, seat) => {
+  const key = `${gameId}:${seat}`
+  if (graceTimers[key]) {
+    clearTimeout(graceTimers[key])
+    delete graceTimers[key]
+  }
+}
+
+// Send everyone still in the room back to the lobby and drop the room.
+// `reason` goes along with 'terminate' (e.g. 'aborted' when an admin closed it).
+const closeRoom = (gameId, reason) => {
+  for (const seat of SEATS) clearGraceTimer(gameId, seat)
+  io.in(gameId).fetchSockets().then((sockets) => {
+    for (const s of sockets) {
+      s.leave(gameId)
+      delete sessions[s.id]
+      if (reason) s.emit('terminate', { reason })
+      else s.emit('terminate')
     }
   })
+  clearTimeout(flagTimers[gameId])
+  delete flagTimers[gameId]
+  pushBotGameState(gameId, true)
+  gameEvent('roomClosed', { gameId, reason: reason || null })
+  discardGame(gameId)
+  broadcastLobby()
+}
 
-  // Send any existing claimed names for a waiting game to the newly connected client
-  emitCurrentClaimsTo(socket)
-})
+// The seat is gone for good: the host leaving ends the room, the opponent
+// leaving reopens it for someone else. Walking out of a game in progress
+// between two players loses it while the opponent is still connected (when
+// neither came back, say after a restart, nobody wins), and a started game
+// never takes a new player.
+// Tournament rooms stay open for the paired players until their game is over
+// and both have left; meanwhile the departed player's clock runs.
+const releaseSeat = (gameId, seat) => {
+  const g = games[gameId]
+  if (!g) return
+  clearGraceTimer(gameId, seat)
+  gameEvent('playerLeft', { gameId, seat, color: seatColor(g, seat), name: g.names[seat] || null })
+  if (gameStarted(g) && !g.result && !g.tournament && !g.bot && g.players[otherSeat(seat)]) {
+    finishGame(gameId, winFor(seatColor(g, otherSeat(seat))[0], 'abandoned'))
+  }
+  if (seat === 'host' && !g.tournament) {
+    closeRoom(gameId)
+    return
+  }
+  g.numPlayers -= 1
+  g.players[seat] = ''
+  g.seatTokens[seat] = null
+  g.away[seat] = null
+  if (g.tournament && g.result && !SEATS.some((s) => g.seatTokens[s])) {
+    closeRoom(gameId)
+    return
+  }
+  // A started game keeps the departed player on its record. Otherwise the
+  // seat's quick-join name is free again in this room; tournament seats keep
+  // the paired player's name.
+  if (!gameStarted(g)) {
+    g.profiles[seat] = null
+    if (!g.tournament) {
+      if (g.claimedNames[g.names[seat]]) g.claimedNames[g.names[seat]] = false
+      g.names[seat] = ''
+    }
+  }
+  g.status = 'waiting'
+  dropPendingRequest(gameId)
+  io.to(gameId).emit('status', 'waiting')
+  io.to(gameId).emit('nameClaims', { gameId, claimed: g.claimedNames })
+  emitPlayers(gameId)
+  syncClock(gameId)
+  persistGame(gameId)
+  broadcastLobby()
+}
 
-app.get('/moves', (req, res) => {
-  let gameId = req.query.gameId
-  if(games[gameId]?.status !== 'ready') {
-    res.send({
-      moves: [],
-      error: 'Game not ready'
-    })
+// Release the seat unless its player is back within RECONNECT_GRACE_MS
+const startGraceTimer = (gameId, seat) => {
+  games[gameId].away[seat] = Date.now() + RECONNECT_GRACE_MS
+  clearGraceTimer(gameId, seat)
+  graceTimers[`${gameId}:${seat}`] = setTimeout(() => {
+    delete graceTimers[`${gameId}:${seat}`]
+    if (!games[gameId] || games[gameId].players[seat]) return
+    releaseSeat(gameId, seat)
+  }, RECONNECT_GRACE_MS)
+}
+
+// Keep a dropped player's seat for RECONNECT_GRACE_MS so they can 'rejoin';
+// in correspondence for as long as the room lasts
+const holdSeat = (gameId, seat) => {
+  const g = games[gameId]
+  if (isCorrespondenceRoom(g)) {
+    g.players[seat] = ''
+    gameEvent('playerAway', { gameId, seat, color: seatColor(g, seat), graceMs: null })
+    io.to(gameId).emit('opponentStatus', { color: seatColor(g, seat), connected: false, expiresAt: null })
+    return
+  }
+  if (RECONNECT_GRACE_MS <= 0) {
+    releaseSeat(gameId, seat)
     return
   }
+  g.players[seat] = ''
+  startGraceTimer(gameId, seat)
+  gameEvent('playerAway', { gameId, seat, color: seatColor(g, seat), graceMs: RECONNECT_GRACE_MS })
+  broadcastLobby()
+  io.to(gameId).emit('opponentStatus', { color: seatColor(g, seat), connected: false, expiresAt: g.away[seat] })
+}
+
+// Tournaments as clients see them: the stored record plus current standings
+const tournamentView = (t) => ({ ...publicTournament(t), standings: standings(t) })
+
+const saveTournament = (t) => {
   try {
-    res.send({
-      moves: games[req.query.gameId].game.moves({square: req.query.square, verbose: true})
-    })
-  } catch(err){
-    res.send({
-      moves: [],
-      error: err.message
+    tournamentStore.save(t)
+  } catch (err) {
+    log().error({ tournamentId: t.id, err }, 'Failed to save tournament')
+  }
+  io.emit('tournament', tournamentView(t))
+}
+
+// Open a room for every game of a freshly paired round, White in the host seat
+const openRoundRooms = (t, round) => {
+  const names = Object.fromEntries(t.players.map((p) => [p.id, p.name]))
+  const control = parseTimeControl(t.timeControl)
+  for (const pairing of round.pairings) {
+    if (pairing.result) continue
+    const gameId = genId()
+    createRoom(gameId, {
+      control,
+      hostColor: 'white',
+      colorPreference: 'white',
+      takebacks: false,
+      names: { host: names[pairing.white], opponent: names[pairing.black] },
+      tournament: { id: t.id, round: round.number, board: pairing.board }
     })
+    pairing.room = gameId
+    persistGame(gameId)
   }
-})
+}
 
-// Endpoint to get server network info for LAN multiplayer
-app.get('/server-info', (req, res) => {
-  res.send({
-    lanIp: LAN_IP,
-    port: PORT,
-    serverUrl: `http://${LAN_IP}:${PORT}`,
-    networkName: NETWORK_NAME || null
-  })
-})
+// Tournament seats are reserved for the paired players: the free seat of
+// the player whose registration `token` came along, if any
+const tournamentSeat = (g, token) => {
+  const t = tournaments[g.tournament.id]
+  const player = t && t.players.find((p) => sameSecret(token, p.token))
+  return player ? SEATS.find((s) => !g.seatTokens[s] && g.names[s] === player.name) || null : null
+}
 
-server.listen(PORT, '0.0.0.0', ()=>{
-  console.log(`Server is online on port ${PORT}`)
-  console.log(`Server accessible on all network interfaces`)
-  console.log(`LAN IP for multiplayer: ${LAN_IP}:${PORT}`)
-  if (NETWORK_NAME) {
-    console.log(`Detected Wi-Fi SSID: ${NETWORK_NAME}`)
+// A tournament game is over: its result goes on the board's pairing, unless
+// the organizer already entered one by hand
+const reportTournamentResult = (gameId) => {
+  const g = games[gameId]
+  const t = g.tournament && tournaments[g.tournament.id]
+  if (!t) return
+  const round = t.rounds.find((r) => r.number === g.tournament.round)
+  const pairing = round && round.pairings.find((p) => p.board === g.tournament.board)
+  if (!pairing || pairing.result) return
+  try {
+    recordResult(t, round.number, pairing.board, g.result.result)
+    saveTournament(t)
+  } catch (err) {
+    log().error({ gameId, tournamentId: t.id, err }, 'Failed to record tournament result')
+  }
+}
+
+const saveProfile = (profile) => {
+  try {
+    profileStore.save(profile)
+  } catch (err) {
+    log().error({ profileId: profile.id, err }, 'Failed to save profile')
   }
+}
+
+const profileByKey = (key) => (typeof key === 'string' && key
+  ? Object.values(profiles).find((p) => sameSecret(key, p.key)) || null
+  : null)
+
+// A game is over: it goes into the history of every player who had a
+// profile, and a rated game moves both ratings
+const reportProfileResult = (gameId) => {
+  const g = games[gameId]
+  const bySeat = Object.fromEntries(SEATS.map((seat) => [seat, profiles[g.profiles[seat]] || null]))
+  if (!SEATS.some((seat) => bySeat[seat])) return
+  const byColor = {}
+  const names = {}
+  for (const seat of SEATS) {
+    byColor[seatColor(g, seat)] = bySeat[seat]
+    names[seatColor(g, seat)] = g.names[seat] || null
+  }
+  recordGame({
+    archiveId: archiveIdOf(gameId),
+    result: g.result,
+    rated: g.rated,
+    white: byColor.white,
+    black: byColor.black,
+    whiteName: names.white,
+    blackName: names.black,
+    finishedAt: Date.now()
+  })
+  for (const seat of SEATS) if (bySeat[seat]) saveProfile(bySeat[seat])
+  emitPlayers(gameId)
+}
+
+// A casual result taken back on the board comes out of the histories again
+const forgetProfileResult = (gameId) => {
+  const g = games[gameId]
+  for (const seat of SEATS) {
+    const profile = profiles[g.profiles[seat]]
+    if (profile && forgetGame(profile, archiveIdOf(gameId))) saveProfile(profile)
+  }
+}
+
+for (const record of tournamentStore.loadAll()) tournaments[record.id] = record
+for (const record of profileStore.loadAll()) profiles[record.id] = record
+
+restoreGames()
+
+// Where each event reports a refusal, so clients see one error shape per
+// event whether the payload, the rate limit or the handler itself said no
+const FAILURE_EVENTS = { join: 'joinFailed', rejoin: 'rejoinFailed', move: 'invalidMove', promote: 'invalidPromotion' }
+
+io.on('connection', (socket) => {
+  log().debug({ socketId: socket.id, address: socket.handshake.address }, 'Socket connected')
+  const failEvent = (event, reason, error) => {
+    if (reason === 'rateLimited' || reason === 'invalidPayload') metrics.countRejectedEvent(reason)
+    const failure = FAILURE_EVENTS[event] || 'actionFailed'
+    socket.emit(failure, failure === 'actionFailed' ? { action: event, reason, error } : { reason, error })
+  }
+
+  // Every client event goes through here: rate limit first, then the payload
+  // schema, and a handler that throws answers with an error instead of taking
+  // the server down
+  const eventBucket = createBucket(EVENT_BURST, EVENT_REFILL_MS)
+  let droppedEvents = 0
+  const on = (event, handler) => {
+    socket.on(event, (...args) => {
+      if (!takeToken(eventBucket)) {
+        droppedEvents += 1
+        if (droppedEvents >= MAX_DROPPED_EVENTS) {
+          log().warn({ socketId: socket.id, socketEvent: event }, 'Disconnecting a socket that sent too many events')
+          socket.disconnect(true)
+          return
+        }
+        failEvent(event, 'rateLimited', 'Too many requests; slow down')
+        return
+      }
+      droppedEvents = 0
+      const parsed = parseEventArgs(event, args)
+      if (!parsed.success) {
+        failEvent(event, 'invalidPayload', parsed.error)
+        return
+      }
+      withLogContext({ socketId: socket.id, socketEvent: event }, () => {
+        try {
+          handler(...parsed.data)
+        } catch (err) {
+          log().error({ err }, 'Socket event handler failed')
+          failEvent(event, 'serverError', 'Something went wrong on the server')
+        }
+      })
+    })
+  }
+
+  // Utility: find the oldest open room where `name` is still free; rated
+  // rooms only for players with a profile
+  const findWaitingGameId = (name, profile) => {
+    // Quick join is for playing now, not in correspondence
+    const room = lobbyRooms().find((r) => !r.correspondence && !(name && r.claimedNames && r.claimedNames[name]) &&
+      (profile ? games[r.id].profiles.host !== profile.id : !r.rated))
+    return room ? room.id : null
+  }
+
+  // Spectators receive broadcasts but may not change the game
+  const isSpectating = (gameId) => !!(games[gameId] && games[gameId].spectators.has(socket.id))
+
+  // Lobby clients ask for the list of open rooms when they open the lobby
+  on('listRooms', () => {
+    socket.emit('lobby', lobbyView())
+  })
+
+  // query: { seats: [{ gameId, token }], profileKey }. The correspondence
+  // games this player has a seat in: those whose seat tokens the client kept,
+  // and every one its profile plays in, which is how another device of the
+  // same player finds them. Games waiting on this player come first. The
+  // socket then hears 'myGamesChanged' whenever one of them moves on.
+  on('myGames', (query) => {
+    const held = (query && query.seats) || []
+    const profile = profileByKey(query && query.profileKey)
+    const found = []
+    for (const [gameId, g] of Object.entries(games)) {
+      if (!isCorrespondenceRoom(g)) continue
+      const seat = SEATS.find((s) => g.seatTokens[s] && (
+        held.some((h) => h.gameId === gameId && h.token === g.seatTokens[s]) ||
+        (profile && g.profiles[s] === profile.id)
+      ))
+      if (!seat) continue
+      socket.join(`correspondence:${gameId}`)
+      found.push(correspondenceGame(gameId, seat))
+    }
+    found.sort((a, b) => (b.yourTurn - a.yourTurn) || ((a.deadline || Number.MAX_SAFE_INTEGER) - (b.deadline || Number.MAX_SAFE_INTEGER)))
+    socket.emit('myGames', { games: found })
+  })
+
+  // options: { name, profileKey, tournamentToken, code, acceptSetup, create,
+  //            private, rated, color: 'white' | 'black' | 'random', timeControl,
+  //            takebacks, chat, fen, pgn, bot: { skill } | { elo } }.
+  // `profileKey` plays under a profile (its name replaces `name`).
+  // `tournamentToken` is a tournament player's seat token, which takes their
+  // seat in a tournament room. `code` is a private room's invite code; on its
+  // own it is enough to find the room.
+  // `acceptSetup` confirms a custom starting position the server offered via
+  // 'setupOffer'. `private` and the rest only apply when this join creates the
+  // room; `bot` creates a vs Computer room with the engine in the other seat.
+  on('join', (providedId, options) => {
+    const opts = options || {}
+    const profile = profileByKey(opts.profileKey)
+    if (opts.profileKey && !profile) {
+      socket.emit('joinFailed', { reason: 'profileNotFound', error: 'Profile not found' })
+      return
+    }
+    if (profile && profile.bot) {
+      socket.emit('joinFailed', { reason: 'botAccount', error: 'Bot accounts play through the bot API' })
+      return
+    }
+    // One seat per connection: a player has to leave their game first. A
+    // spectator stops watching the room they were in.
+    const current = sessions[socket.id]
+    if (games[current] && seatOfSocket(games[current], socket.id)) {
+      socket.emit('joinFailed', { reason: 'alreadySeated', error: 'Leave your game first' })
+      return
+    }
+    if (games[current] && games[current].spectators.delete(socket.id)) {
+      delete sessions[socket.id]
+      socket.leave(current)
+      emitSpectatorCount(current)
+    }
+    const name = profile
+      ? profile.name
+      : (typeof opts.name === 'string' ? opts.name.trim().slice(0, 24) : '')
+    const code = typeof opts.code === 'string' ? opts.code.trim().toUpperCase() : ''
+    let gameId = (typeof providedId === 'string' && providedId.trim()) ? providedId.trim() : ''
+
+    if (!gameId && code && !opts.create) {
+      gameId = findGameByInviteCode(code)
+      if (!gameId) {
+        socket.emit('joinFailed', { reason: 'wrongCode', error: 'No game with that invite code' })
+        return
+      }
+    }
+
+    // If no id provided, create a room when asked to, otherwise auto-match
+    // into the oldest open room (or create one if there is none)
+    if (!gameId) {
+      const waiting = opts.create || opts.bot ? null : findWaitingGameId(name, profile)
+      if (waiting) {
+        gameId = waiting
+      } else {
+        gameId = genId()
+      }
+    }
+
+    if(!games[gameId]) {
+      let control = null
+      let setup = null
+      let bot = null
+      try {
+        control = parseTimeControl(opts.timeControl)
+        setup = parseSetup({ fen: opts.fen, pgn: opts.pgn })
+        if (opts.bot) bot = parseBotStrength(opts.bot)
+      } catch (err) {
+        socket.emit('joinFailed', { error: err.message })
+        return
+      }
+      if (opts.rated && !profile) {
+        socket.emit('joinFailed', { reason: 'profileRequired', error: 'Rated games need a profile' })
+        return
+      }
+      if (opts.rated && bot) {
+        socket.emit('joinFailed', { error: 'Games against the computer are not rated' })
+        return
+      }
+      const colorPreference = ['white', 'black', 'random'].includes(opts.color) ? opts.color : 'white'
+      const hostColor = colorPreference === 'random'
+        ? (crypto.randomInt(2) === 0 ? 'white' : 'black')
+        : colorPreference
+      // Create a new game and wait for opponent
+      createRoom(gameId, {
+        control,
+        setup,
+        bot,
+        hostColor,
+        colorPreference,
+        inviteCode: opts.private ? newInviteCode() : null,
+        // Rated results stand: no takebacks
+        takebacks: !opts.rated && opts.takebacks !== false,
+        chatEnabled: opts.chat !== false,
+        rated: !!opts.rated
+      })
+      if (profile) games[gameId].profiles.host = profile.id
+      if (name) claimSeatName(games[gameId], 'host', name)
+      seatSocket(socket, gameId, 'host')
+      playerJoined(gameId, 'host')
+      io.to(gameId).emit('status', games[gameId].status)
+      syncClock(gameId)
+      sendPosition(io.to(gameId), gameId)
+      emitPlayers(gameId)
+      persistGame(gameId)
+      broadcastLobby()
+      playBotMove(gameId)
+      return
+    }
+
+    // Join existing game: take a seat nobody holds (held seats need 'rejoin')
+    const g = games[gameId]
+    // Private rooms admit nobody without the code, spectators included
+    if (g.inviteCode && code !== g.inviteCode) {
+      socket.emit('joinFailed', code
+        ? { reason: 'wrongCode', error: 'Wrong invite code' }
+        : { reason: 'codeRequired', error: 'This game is private; enter its invite code' })
+      return
+    }
+    const seat = g.tournament
+      ? tournamentSeat(g, opts.tournamentToken)
+      // Nobody takes over a seat in a game that has started
+      : SEATS.find((s) => !g.players[s] && !g.seatTokens[s] && !gameStarted(g))
+    if (!seat) {
+      // Game full: watch read-only instead
+      socket.join(gameId)
+      sessions[socket.id] = gameId
+      g.spectators.add(socket.id)
+      gameEvent('spectatorJoined', { gameId })
+      socket.emit('gameId', gameId)
+      socket.emit('spectating', { gameId })
+      socket.emit('status', g.status)
+      socket.emit('chatHistory', { gameId, messages: g.chat })
+      sendPosition(socket, gameId)
+      emitSpectatorCount(gameId)
+      emitPlayers(gameId)
+      return
+    }
+    if (g.rated && !profile) {
+      socket.emit('joinFailed', { reason: 'profileRequired', error: 'Rated games need a profile' })
+      return
+    }
+    if (g.rated && g.profiles[otherSeat(seat)] === profile.id) {
+      socket.emit('joinFailed', { error: 'You cannot play yourself in a rated game' })
+      return
+    }
+    // Rooms set up from a FEN or PGN: show the position before taking the seat
+    const setup = setupSummary(g)
+    if (setup && !opts.acceptSetup) {
+      socket.emit('setupOffer', {
+        gameId,
+        code: code || null,
+        hostName: g.names.host || null,
+        timeControl: g.clock ? g.clock.control.id : null,
+        color: seatColor(g, seat),
+        setup
+      })
+      return
+    }
+    g.numPlayers += 1
+    g.seatTokens[seat] = newSeatToken()
+    if (profile) g.profiles[seat] = profile.id
+    // A quick-join name already taken here leaves this player unnamed
+    if (name && !g.tournament) claimSeatName(g, seat, name)
+    seatSocket(socket, gameId, seat)
+    playerJoined(gameId, seat)
+    g.status = SEATS.every((s) => g.seatTokens[s]) ? 'ready' : 'waiting'
+    io.to(gameId).emit('status', g.status)
+    syncClock(gameId)
+    sendPosition(io.to(gameId), gameId)
+    resumePromotion(socket, gameId, seat)
+    emitPlayers(gameId)
+    persistGame(gameId)
+    broadcastLobby()
+  })
+
+  // A returning player reclaims their seat with the token handed out at join
+  on('rejoin', (data) => {
+    const gameId = data && typeof data.gameId === 'string' ? data.gameId : ''
+    const token = data && typeof data.token === 'string' ? data.token : ''
+    const g = games[gameId]
+    const seat = g && token ? SEATS.find((s) => g.seatTokens[s] === token) : null
+    if (!seat) {
+      socket.emit('rejoinFailed', { gameId, error: 'Seat not found' })
+      return
+    }
+    // A stale tab may still hold the seat; the newest connection wins
+    const previous = g.players[seat]
+    if (previous && previous !== socket.id) {
+      const stale = io.sockets.sockets.get(previous)
+      if (stale) {
+        stale.leave(gameId)
+        stale.emit('terminate', { reason: 'replaced' })
+      }
+      delete sessions[previous]
+    }
+    clearGraceTimer(gameId, seat)
+    seatSocket(socket, gameId, seat)
+    gameEvent('playerRejoined', { gameId, seat, color: seatColor(g, seat), replaced: previous || null })
+    // Restored rooms wait until both players are back
+    if (g.status === 'waiting' && SEATS.every((s) => g.players[s])) {
+      g.status = 'ready'
+    }
+    io.to(gameId).emit('status', g.status)
+    syncClock(gameId)
+    sendPosition(socket, gameId)
+    resumePromotion(socket, gameId, seat)
+    const other = otherSeat(seat)
+    if (g.seatTokens[other] && !g.players[other]) {
+      socket.emit('opponentStatus', { color: seatColor(g, other), connected: false, expiresAt: g.away[other] })
+    }
+    socket.to(gameId).emit('opponentStatus', { color: seatColor(g, seat), connected: true })
+    emitPlayers(gameId)
+    persistGame(gameId)
+    broadcastLobby()
+    playBotMove(gameId)
+  })
+
+  // Player claims a display name in their room
+  on('claimName', (name) => {
+    try {
+      const gameId = sessions[socket.id]
+      const g = games[gameId]
+      const seat = g ? seatOfSocket(g, socket.id) : null
+      const clean = typeof name === 'string' ? name.trim().slice(0, 24) : ''
+      if (!seat || !clean) return
+      if (g.tournament) {
+        socket.emit('actionFailed', { action: 'claimName', error: 'Names are fixed in tournament games' })
+        return
+      }
+      if (g.profiles[seat]) {
+        socket.emit('actionFailed', { action: 'claimName', error: 'You are playing under your profile name' })
+        return
+      }
+      const error = claimSeatName(g, seat, clean)
+      if (error) {
+        socket.emit('actionFailed', { action: 'claimName', error })
+        return
+      }
+      persistGame(gameId)
+      io.to(gameId).emit('nameClaims', { gameId, claimed: g.claimedNames })
+      emitPlayers(gameId)
+      broadcastLobby()
+    } catch (_) {
+      // ignore
+    }
+  })
+
+  // Seat color ('w' | 'b') of this socket in a game, or null for spectators and strangers
+  const colorIn = (gameId) => {
+    const g = games[gameId]
+    const seat = g ? seatOfSocket(g, socket.id) : null
+    return seat ? seatColor(g, seat)[0] : null
+  }
+
+  const rejectAction = (action, error) => socket.emit('actionFailed', { action, error })
+
+  // Why this socket may not move in `gameId` right now, or null if it may.
+  // The reason code travels with invalidMove/invalidPromotion so clients can
+  // tell an unauthorized attempt from an illegal move.
+  const moveRejection = (gameId) => {
+    const g = games[gameId]
+    if (!g || sessions[socket.id] !== gameId) {
+      return { reason: 'notYourGame', error: 'You are not playing in this game' }
+    }
+    if (isSpectating(gameId)) {
+      return { reason: 'spectator', error: 'Spectators cannot move' }
+    }
+    const color = colorIn(gameId)
+    if (!color) {
+      return { reason: 'notYourGame', error: 'You are not playing in this game' }
+    }
+    if (g.status !== 'ready') {
+      return { reason: 'notReady', error: 'Waiting for your opponent' }
+    }
+    flagIfExpired(gameId)
+    if (g.result) {
+      return { reason: 'gameOver', error: 'Game is over' }
+    }
+    if (g.game.turn() !== color) {
+      return { reason: 'notYourTurn', error: 'Not your turn' }
+    }
+    return null
+  }
+
+  on('move', (data) => {
+    const gameId = data && data.gameId
+    const move = data && data.move
+    const rejected = moveRejection(gameId)
+    if (rejected) {
+      socket.emit('invalidMove', rejected)
+      return
+    }
+    const g = games[gameId]
+    if (g.pendingPromotion) {
+      socket.emit('invalidMove', { reason: 'promotionPending', error: 'Choose a promotion piece first' })
+      return
+    }
+    try {
+      // Attempt the move
+      let result = g.game.move(move)
+
+      if (result) {
+        // Check if this was a pawn promotion
+        if (result.flags && result.flags.includes('p')) {
+          // Pawn promotion detected - revert the tentative move and prompt the mover only
+          g.game.undo()
+          g.pendingPromotion = {
+            square: result.to,
+            color: result.color,
+            from: result.from,
+            playerSocketId: socket.id
+          }
+
+          // Send promotion required event to the player who moved
+          socket.emit('promotionRequired', {
+            square: result.to,
+            color: result.color,
+            availablePieces: ['q', 'r', 'b', 'n'],
+            from: result.from
+          })
+        } else {
+          // Regular move - send position update
+          recordMove(gameId, result)
+          settleBoardResult(gameId)
+          clearDrawOfferAfterMove(gameId, result.color)
+          dropPendingRequest(gameId)
+          sendPosition(io.to(gameId), gameId)
+          playBotMove(gameId)
+        }
+        persistGame(gameId)
+      } else {
+        // Invalid move
+        socket.emit('invalidMove', { reason: 'illegal', error: 'Invalid move' })
+      }
+    } catch (error) {
+      socket.emit('invalidMove', { reason: 'illegal', error: error.message })
+    }
+  })
+
+  on('promote', (data) => {
+    const gameId = data && data.gameId
+    const piece = data && data.piece // 'q', 'r', 'b', or 'n'
+    const rejected = moveRejection(gameId)
+    if (rejected) {
+      socket.emit('invalidPromotion', rejected)
+      return
+    }
+    const g = games[gameId]
+    const pending = g.pendingPromotion
+    // Only the player who made the move may choose the promotion
+    if (!pending || (pending.playerSocketId && pending.playerSocketId !== socket.id)) {
+      socket.emit('invalidPromotion', { reason: 'noPromotion', error: 'No promotion to complete' })
+      return
+    }
+    try {
+      // Complete the promotion move using object form
+      let result = g.game.move({ from: pending.from, to: pending.square, promotion: piece })
+
+      if (result) {
+        // Clear pending promotion
+        g.pendingPromotion = null
+        recordMove(gameId, result)
+        settleBoardResult(gameId)
+        clearDrawOfferAfterMove(gameId, result.color)
+        dropPendingRequest(gameId)
+
+        // Send updated position
+        sendPosition(io.to(gameId), gameId)
+        persistGame(gameId)
+
+        // Send confirmation
+        io.to(gameId).emit('promotionComplete', {
+          square: result.to,
+          piece: piece,
+          color: result.color
+        })
+        playBotMove(gameId)
+      } else {
+        socket.emit('invalidPromotion', { reason: 'illegal', error: 'Invalid promotion' })
+      }
+    } catch (error) {
+      socket.emit('invalidPromotion', { reason: 'illegal', error: error.message })
+    }
+  })
+
+  // Resign and draw events need a seated player in a game that is still going
+  const playerInLiveGame = (action, gameId) => {
+    const color = colorIn(gameId)
+    if (!color) {
+      rejectAction(action, 'Not a player in this game')
+      return null
+    }
+    flagIfExpired(gameId)
+    if (games[gameId].status !== 'ready' || games[gameId].result) {
+      rejectAction(action, 'Game is not in progress')
+      return null
+    }
+    return color
+  }
+
+  on('resign', (gameId) => {
+    const color = playerInLiveGame('resign', gameId)
+    if (!color) return
+    finishGame(gameId, winFor(color === 'w' ? 'b' : 'w', 'resignation'))
+  })
+
+  on('offerDraw', (gameId) => {
+    const color = playerInLiveGame('offerDraw', gameId)
+    if (!color) return
+    const g = games[gameId]
+    // Offers from both sides cross: that is an agreement
+    if (g.drawOffer && g.drawOffer !== color) {
+      finishGame(gameId, drawBy('agreement'))
+      return
+    }
+    // The computer plays on
+    if (g.bot) {
+      io.to(gameId).emit('drawOffer', { from: null, declinedBy: botColor(g) })
+      return
+    }
+    g.drawOffer = color
+    io.to(gameId).emit('drawOffer', { from: color })
+    persistGame(gameId)
+    pushBotGameState(gameId)
+  })
+
+  on('acceptDraw', (gameId) => {
+    const color = playerInLiveGame('acceptDraw', gameId)
+    if (!color) return
+    const g = games[gameId]
+    if (!g.drawOffer || g.drawOffer === color) {
+      rejectAction('acceptDraw', 'No draw offer to accept')
+      return
+    }
+    finishGame(gameId, drawBy('agreement'))
+  })
+
+  on('declineDraw', (gameId) => {
+    const color = playerInLiveGame('declineDraw', gameId)
+    if (!color) return
+    const g = games[gameId]
+    if (!g.drawOffer || g.drawOffer === color) {
+      rejectAction('declineDraw', 'No draw offer to decline')
+      return
+    }
+    g.drawOffer = null
+    io.to(gameId).emit('drawOffer', { from: null, declinedBy: color })
+    persistGame(gameId)
+    pushBotGameState(gameId)
+  })
+
+  on('claimDraw', (gameId) => {
+    const color = playerInLiveGame('claimDraw', gameId)
+    if (!color) return
+    const claims = drawClaims(games[gameId].game)
+    if (claims.threefoldRepetition) {
+      finishGame(gameId, drawBy('threefoldRepetition'))
+    } else if (claims.fiftyMoveRule) {
+      finishGame(gameId, drawBy('fiftyMoveRule'))
+    } else {
+      rejectAction('claimDraw', 'Neither threefold repetition nor the fifty-move rule applies')
+    }
+  })
+
+  // Takebacks and resets rewrite a shared game, so the opponent has to agree.
+  // A request is { kind: 'undo' | 'reset', from: 'w' | 'b', plies }.
+  const openRequest = (action, gameId, kind) => {
+    const color = colorIn(gameId)
+    if (!color) {
+      rejectAction(action, 'Not a player in this game')
+      return
+    }
+    const g = games[gameId]
+    if (g.status !== 'ready') {
+      rejectAction(action, 'Game is not in progress')
+      return
+    }
+    if (g.pendingRequest) {
+      rejectAction(action, 'Another request is waiting for an answer')
+      return
+    }
+    if (kind === 'reset' && g.tournament) {
+      rejectAction(action, 'Tournament games cannot be reset')
+      return
+    }
+    if (kind === 'reset' && g.botAccount) {
+      rejectAction(action, 'Games against a bot account cannot be reset')
+      return
+    }
+    let plies = 0
+    if (kind === 'undo') {
+      if (!g.takebacks) {
+        rejectAction(action, 'Takebacks are disabled in this game')
+        return
+      }
+      if (g.result && !BOARD_REASONS.includes(g.result.reason)) {
+        rejectAction(action, 'This result cannot be taken back')
+        return
+      }
+      plies = takebackPlies(g.game, color, g.setupPlies)
+      if (!plies) {
+        rejectAction(action, 'Nothing to take back')
+        return
+      }
+    }
+    g.pendingRequest = { kind, from: color, plies }
+    io.to(gameId).emit('takebackRequest', { request: g.pendingRequest })
+    // The computer always agrees
+    if (g.bot) grantRequest(gameId, botColor(g))
+  }
+
+  on('requestUndo', (gameId) => openRequest('requestUndo', gameId, 'undo'))
+
+  on('requestReset', (gameId) => openRequest('requestReset', gameId, 'reset'))
+
+  // Only the player the request was sent to may answer it; the requester may
+  // withdraw it by declining their own request
+  const answerableRequest = (action, gameId) => {
+    const color = colorIn(gameId)
+    const request = color ? games[gameId].pendingRequest : null
+    if (!request) {
+      rejectAction(action, 'No request to answer')
+      return null
+    }
+    return { color, request }
+  }
+
+  on('acceptRequest', (gameId) => {
+    const open = answerableRequest('acceptRequest', gameId)
+    if (!open) return
+    if (open.request.from === open.color) {
+      rejectAction('acceptRequest', 'Cannot accept your own request')
+      return
+    }
+    if (!grantRequest(gameId, open.color)) {
+      rejectAction('acceptRequest', 'This result cannot be taken back')
+    }
+  })
+
+  on('declineRequest', (gameId) => {
+    const open = answerableRequest('declineRequest', gameId)
+    if (!open) return
+    games[gameId].pendingRequest = null
+    io.to(gameId).emit('takebackRequest', { request: null, declinedBy: open.color, kind: open.request.kind })
+  })
+
+  // Reactions go to everyone else in the room; muting is up to each client
+  const emojiBucket = createBucket(EMOJI_BURST, EMOJI_REFILL_MS)
+  on('emoji', (data) => {
+    const gameId = data && data.gameId
+    const id = data && data.id
+    const g = games[gameId]
+    if (!g || sessions[socket.id] !== gameId) {
+      rejectAction('emoji', 'Not in this game')
+      return
+    }
+    if (!isEmojiId(id)) {
+      rejectAction('emoji', 'Unknown reaction')
+      return
+    }
+    if (!takeToken(emojiBucket)) {
+      rejectAction('emoji', 'Too many reactions; wait a moment')
+      return
+    }
+    const seat = seatOfSocket(g, socket.id)
+    socket.to(gameId).emit('emoji', { id, from: seat ? seatColor(g, seat) : 'spectator' })
+  })
+
+  // Text chat for everyone in the room, unless the host turned it off
+  const chatBucket = createBucket(CHAT_BURST, CHAT_REFILL_MS)
+  on('chat', (data) => {
+    const gameId = data && data.gameId
+    const text = data && typeof data.text === 'string' ? data.text.trim() : ''
+    const g = games[gameId]
+    if (!g || sessions[socket.id] !== gameId) {
+      rejectAction('chat', 'Not in this game')
+      return
+    }
+    if (!g.chatEnabled) {
+      rejectAction('chat', 'Chat is turned off in this game')
+      return
+    }
+    if (!text) {
+      rejectAction('chat', 'Message is empty')
+      return
+    }
+    if (text.length > CHAT_MAX_LENGTH) {
+      rejectAction('chat', `Messages are limited to ${CHAT_MAX_LENGTH} characters`)
+      return
+    }
+    if (!takeToken(chatBucket)) {
+      rejectAction('chat', 'Too many messages; wait a moment')
+      return
+    }
+    const seat = seatOfSocket(g, socket.id)
+    const message = {
+      id: crypto.randomUUID(),
+      from: seat ? seatColor(g, seat) : 'spectator',
+      name: seat ? (g.names[seat] || null) : null,
+      text,
+      at: Date.now()
+    }
+    g.chat.push(message)
+    if (g.chat.length > CHAT_HISTORY) g.chat.splice(0, g.chat.length - CHAT_HISTORY)
+    io.to(gameId).emit('chatMessage', message)
+    persistGame(gameId)
+  })
+
+  // Challenge an online bot account from the lobby. The bot answers over the
+  // bot API; this socket hears back with 'challenge' ({ id, status, ... }),
+  // and is seated in the new room if the bot accepts.
+  on('challengeBot', (options) => {
+    const opts = options || {}
+    const bot = profiles[opts.botId]
+    if (!bot || !bot.bot || !botEventStreams[bot.id]) {
+      rejectAction('challengeBot', 'That bot is not online')
+      return
+    }
+    const profile = profileByKey(opts.profileKey)
+    if (opts.profileKey && !profile) {
+      rejectAction('challengeBot', 'Profile not found')
+      return
+    }
+    // Bots play people. A bot profile challenging a bot, itself included,
+    // could farm rating game after game.
+    if (profile && profile.bot) {
+      rejectAction('challengeBot', 'Bot accounts cannot challenge bots')
+      return
+    }
+    if (opts.rated && !profile) {
+      rejectAction('challengeBot', 'Rated games need a profile')
+      return
+    }
+    if (games[sessions[socket.id]]) {
+      rejectAction('challengeBot', 'Leave your game first')
+      return
+    }
+    let control = null
+    try {
+      control = parseTimeControl(opts.timeControl)
+    } catch (err) {
+      rejectAction('challengeBot', err.message)
+      return
+    }
+    // One challenge at a time; a new one replaces the last
+    const previous = challengeOfSocket(socket.id)
+    if (previous) dropChallenge(previous.id, 'canceled')
+    const challenge = {
+      id: crypto.randomBytes(4).toString('hex'),
+      botId: bot.id,
+      socketId: socket.id,
+      name: profile ? profile.name : (typeof opts.name === 'string' ? opts.name.trim().slice(0, 24) : ''),
+      profileId: profile ? profile.id : null,
+      timeControl: control ? control.id : null,
+      color: ['white', 'black', 'random'].includes(opts.color) ? opts.color : 'random',
+      rated: !!opts.rated,
+      createdAt: Date.now()
+    }
+    challenge.timer = setTimeout(() => dropChallenge(challenge.id, 'expired'), CHALLENGE_TTL_MS)
+    challenges[challenge.id] = challenge
+    log().info({ event: 'challengeCreated', challengeId: challenge.id, botId: bot.id }, 'Bot challenged')
+    socket.emit('challenge', { id: challenge.id, status: 'pending', botName: bot.name })
+    notifyBot(bot.id, { type: 'challenge', challenge: challengeView(challenge) })
+  })
+
+  on('cancelChallenge', () => {
+    const challenge = challengeOfSocket(socket.id)
+    if (challenge) dropChallenge(challenge.id, 'canceled')
+  })
+
+  on('leave', (gameId) => {
+    if (!games[gameId] || sessions[socket.id] !== gameId) {
+      rejectAction('leave', 'Not in this game')
+      return
+    }
+    if (isSpectating(gameId)) {
+      games[gameId].spectators.delete(socket.id)
+      delete sessions[socket.id]
+      socket.leave(gameId)
+      socket.emit('terminate')
+      emitSpectatorCount(gameId)
+      return
+    }
+    const g = games[gameId]
+    const seat = seatOfSocket(g, socket.id)
+    // Leaving a correspondence game in progress only goes back to the lobby;
+    // the seat waits for its player to come back from here or elsewhere
+    if (seat && isCorrespondenceRoom(g) && g.status === 'ready' && !g.result) {
+      delete sessions[socket.id]
+      socket.leave(gameId)
+      socket.emit('terminate', { reason: 'correspondence' })
+      holdSeat(gameId, seat)
+      return
+    }
+    if (seat === 'opponent' || (seat && g.tournament)) {
+      delete sessions[socket.id]
+      socket.leave(gameId)
+      socket.emit('terminate')
+    }
+    if (seat) {
+      releaseSeat(gameId, seat)
+    }
+  })
+
+  socket.on('disconnect', (reason) => withLogContext({ socketId: socket.id }, () => {
+    log().debug({ reason }, 'Socket disconnected')
+    const challenge = challengeOfSocket(socket.id)
+    if (challenge) dropChallenge(challenge.id, 'canceled')
+    const gameId = sessions[socket.id]
+    delete sessions[socket.id]
+    if (!gameId || !games[gameId]) return
+    if (games[gameId].spectators.delete(socket.id)) {
+      emitSpectatorCount(gameId)
+      return
+    }
+    const seat = seatOfSocket(games[gameId], socket.id)
+    if (seat) {
+      // Phones drop sockets all the time; hold the seat instead of ending the game
+      holdSeat(gameId, seat)
+    }
+  }))
+
+  // Newly connected clients start in the lobby
+  socket.emit('lobby', lobbyView())
+})
+
+// Finished games, newest first, without their PGN text
+app.get('/games', (req, res) => {
+  const list = gameArchive.loadAll()
+    .map(({ pgn, ...summary }) => summary)
+    .sort((a, b) => b.finishedAt - a.finishedAt)
+  res.send({ games: list })
+})
+
+app.get('/games/:id.pgn', (req, res) => {
+  const record = gameArchive.loadAll().find((r) => r.id === req.params.id)
+  if (!record) {
+    res.status(404).send({ error: 'Game not found' })
+    return
+  }
+  res.type('application/x-chess-pgn')
+  res.set('Content-Disposition', `attachment; filename="${record.id}.pgn"`)
+  res.send(record.pgn)
+})
+
+// Tournaments, newest first. Clients also get every change as a 'tournament' event.
+app.get('/tournaments', (req, res) => {
+  const list = Object.values(tournaments)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(tournamentView)
+  res.send({ tournaments: list })
+})
+
+// Wraps a tournament route: 404 for an unknown tournament, 400 with the
+// reason when the tournament refuses the change. Routes that change a
+// tournament (`organizer`) need its key, or ADMIN_TOKEN, as a bearer token.
+const tournamentRoute = (handler, organizer = false) => (req, res) => {
+  const t = tournaments[req.params.id]
+  if (!t) {
+    res.status(404).send({ error: 'Tournament not found' })
+    return
+  }
+  const token = bearerToken(req)
+  if (organizer && !sameSecret(token, t.key) && !sameSecret(token, ADMIN_TOKEN)) {
+    res.status(401).send({ error: 'Send the tournament key as a bearer token' })
+    return
+  }
+  try {
+    handler(t, req, res)
+  } catch (err) {
+    res.status(400).send({ error: err.message })
+  }
+}
+
+// Anyone may run a tournament; the reply holds its key.
+// body: { name, format: 'roundRobin' | 'swiss', rounds (Swiss only), timeControl }
+app.post('/tournaments', (req, res) => {
+  try {
+    const body = req.body || {}
+    const control = parseTimeControl(body.timeControl)
+    const t = createTournament({ ...body, timeControl: control ? control.id : null })
+    tournaments[t.id] = t
+    saveTournament(t)
+    res.status(201).send({ tournament: tournamentView(t), key: t.key })
+  } catch (err) {
+    res.status(400).send({ error: err.message })
+  }
+})
+
+app.get('/tournaments/:id', tournamentRoute((t, req, res) => {
+  res.send(tournamentView(t))
+}))
+
+app.post('/tournaments/:id/players', tournamentRoute((t, req, res) => {
+  const player = addPlayer(t, req.body && req.body.name)
+  saveTournament(t)
+  res.status(201).send(player)
+}, true))
+
+app.delete('/tournaments/:id/players/:playerId', tournamentRoute((t, req, res) => {
+  removePlayer(t, req.params.playerId)
+  saveTournament(t)
+  res.send(tournamentView(t))
+}, true))
+
+// Close registration and pair round one
+app.post('/tournaments/:id/start', tournamentRoute((t, req, res) => {
+  startTournament(t)
+  openRoundRooms(t, pairNextRound(t))
+  saveTournament(t)
+  res.send(tournamentView(t))
+}, true))
+
+// Pair the next round once every result of the current one is in
+app.post('/tournaments/:id/rounds', tournamentRoute((t, req, res) => {
+  openRoundRooms(t, pairNextRound(t))
+  saveTournament(t)
+  res.send(tournamentView(t))
+}, true))
+
+// Enter a result by hand, e.g. a forfeit or a game played over the board.
+// A board's result, once in, stands.
+// body: { round, board, result: '1-0' | '0-1' | '1/2-1/2' }
+app.post('/tournaments/:id/results', tournamentRoute((t, req, res) => {
+  const body = req.body || {}
+  recordResult(t, Number(body.round), Number(body.board), body.result)
+  saveTournament(t)
+  res.send(tournamentView(t))
+}, true))
+
+// Leaderboard: every profile, highest rating first
+app.get('/profiles', (req, res) => {
+  const list = Object.values(profiles)
+    .map(publicProfile)
+    .sort((a, b) => b.rating - a.rating || b.ratedGames - a.ratedGames)
+  res.send({ profiles: list })
+})
+
+// body: { name, avatar }. The key in the reply is the only way to play under
+// (or change) the profile; the client keeps it.
+app.post('/profiles', (req, res) => {
+  try {
+    const profile = createProfile(Object.values(profiles), req.body || {})
+    profiles[profile.id] = profile
+    saveProfile(profile)
+    res.status(201).send({ profile: publicProfile(profile), key: profile.key })
+  } catch (err) {
+    res.status(400).send({ error: err.message })
+  }
+})
+
+// A profile with its games, newest first
+app.get('/profiles/:id', (req, res) => {
+  const profile = profiles[req.params.id]
+  if (!profile) {
+    res.status(404).send({ error: 'Profile not found' })
+    return
+  }
+  res.send({ ...publicProfile(profile), history: [...profile.history].reverse() })
+})
+
+// body: { key, name?, avatar? }
+app.patch('/profiles/:id', (req, res) => {
+  const body = req.body || {}
+  const profile = profiles[req.params.id]
+  if (!profile) {
+    res.status(404).send({ error: 'Profile not found' })
+    return
+  }
+  if (!sameSecret(body.key, profile.key)) {
+    res.status(403).send({ error: 'Wrong profile key' })
+    return
+  }
+  try {
+    updateProfile(Object.values(profiles), profile, { name: body.name, avatar: body.avatar })
+    saveProfile(profile)
+    res.send(publicProfile(profile))
+  } catch (err) {
+    res.status(400).send({ error: err.message })
+  }
+})
+
+// Admin: this machine, or a request carrying ADMIN_TOKEN
+app.use('/admin', requireAdmin(ADMIN_TOKEN))
+
+// What the admin dashboard shows of a room: who is in it, how far the game
+// got and how long since anything happened on the board
+const adminRoomView = (gameId, now = Date.now()) => {
+  const g = games[gameId]
+  const lastMoveAt = [...g.moveTimes].reverse().find(Boolean) || null
+  const lastActivity = Math.max(lastMoveAt || 0, g.createdAt)
+  return {
+    id: gameId,
+    status: g.status,
+    createdAt: g.createdAt,
+    moves: g.game.history().length - (g.setupPlies || 0),
+    lastMoveAt,
+    idleMs: now - lastActivity,
+    timeControl: g.clock ? g.clock.control.id : null,
+    result: g.result,
+    private: !!g.inviteCode,
+    rated: !!g.rated,
+    bot: g.bot,
+    tournament: g.tournament,
+    players: SEATS.map((seat) => ({
+      seat,
+      color: seatColor(g, seat),
+      name: g.names[seat] || null,
+      taken: !!g.seatTokens[seat],
+      socketId: isSocketPlayer(g.players[seat]) ? g.players[seat] : null,
+      awayUntil: g.away[seat]
+    })),
+    spectators: [...g.spectators]
+  }
+}
+
+// Every room, most recently active first, and every connected socket
+app.get('/admin/rooms', (req, res) => {
+  const now = Date.now()
+  const rooms = Object.keys(games)
+    .map((id) => adminRoomView(id, now))
+    .sort((a, b) => a.idleMs - b.idleMs)
+  const sockets = [...io.sockets.sockets.values()].map((s) => ({
+    id: s.id,
+    address: s.handshake.address,
+    connectedAt: s.handshake.issued,
+    gameId: sessions[s.id] || null
+  }))
+  res.send({ rooms, sockets, uptime: Math.round(process.uptime()) })
+})
+
+// Abort a room: everyone in it goes back to the lobby and the game is dropped
+// without a result
+app.delete('/admin/rooms/:id', (req, res) => {
+  if (!games[req.params.id]) {
+    res.status(404).send({ error: 'Game not found' })
+    return
+  }
+  closeRoom(req.params.id, 'aborted')
+  res.send({ ok: true })
+})
+
+// Kick a socket: a seated player loses the seat as if they had left, then
+// the connection is closed
+app.post('/admin/sockets/:id/kick', (req, res) => {
+  const target = io.sockets.sockets.get(req.params.id)
+  if (!target) {
+    res.status(404).send({ error: 'Socket not found' })
+    return
+  }
+  const gameId = sessions[target.id]
+  delete sessions[target.id]
+  const g = games[gameId]
+  if (g) {
+    target.leave(gameId)
+    if (g.spectators.delete(target.id)) {
+      emitSpectatorCount(gameId)
+    } else {
+      const seat = seatOfSocket(g, target.id)
+      if (seat) releaseSeat(gameId, seat)
+    }
+  }
+  log().info({ event: 'socketKicked', gameId: gameId || null, socketId: target.id }, 'Admin kicked a connection')
+  target.emit('terminate', { reason: 'kicked' })
+  target.disconnect(true)
+  res.send({ ok: true })
+})
+
+// body: { text, gameId? }. Goes to every connected client, or to one room.
+app.post('/admin/announcements', (req, res) => {
+  const body = req.body || {}
+  const text = typeof body.text === 'string' ? body.text.trim().slice(0, CHAT_MAX_LENGTH) : ''
+  if (!text) {
+    res.status(400).send({ error: 'Announcement is empty' })
+    return
+  }
+  if (body.gameId && !games[body.gameId]) {
+    res.status(404).send({ error: 'Game not found' })
+    return
+  }
+  const announcement = { text, at: Date.now(), gameId: body.gameId || null }
+  log().info({ event: 'announcement', gameId: announcement.gameId }, 'Admin sent an announcement')
+  if (body.gameId) io.to(body.gameId).emit('announcement', announcement)
+  else io.emit('announcement', announcement)
+  res.status(201).send(announcement)
+})
+
+// Bot API: scripts and engines play over HTTP instead of a socket, under a
+// profile upgraded to a bot account, with the profile key as bearer token.
+// Modeled on the Lichess bot API: an event stream announces challenges and
+// game starts, a game stream follows one game, and moves, resignations,
+// draw answers and challenge answers are plain POSTs.
+
+const requireBotToken = (req, res, next) => {
+  const profile = profileByKey(bearerToken(req))
+  if (!profile) {
+    res.status(401).send({ error: 'Send the profile key as a bearer token' })
+    return
+  }
+  req.profile = profile
+  next()
+}
+
+const notifyBot = (botId, event) => {
+  for (const stream of botEventStreams[botId] || []) stream.send(event)
+}
+
+// A challenge as the bot sees it; `color` is what the challenger asked to play
+const challengeView = (c) => ({
+  id: c.id,
+  challenger: {
+    id: c.profileId,
+    name: c.name || null,
+    rating: profiles[c.profileId] ? profiles[c.profileId].rating : null
+  },
+  timeControl: c.timeControl,
+  color: c.color,
+  rated: c.rated,
+  createdAt: c.createdAt
+})
+
+const challengeOfSocket = (socketId) => Object.values(challenges).find((c) => c.socketId === socketId) || null
+
+// End a challenge without a game. `status` is 'declined' (by the bot, with
+// its `reason`), 'canceled' (by the challenger) or 'expired'.
+const dropChallenge = (id, status, reason) => {
+  const c = challenges[id]
+  if (!c) return
+  clearTimeout(c.timer)
+  delete challenges[id]
+  const challenger = io.sockets.sockets.get(c.socketId)
+  if (challenger) challenger.emit('challenge', { id, status, reason: reason || null })
+  notifyBot(c.botId, { type: status === 'declined' ? 'challengeDeclined' : 'challengeCanceled', challenge: challengeView(c) })
+  log().info({ event: 'challengeEnded', challengeId: id, botId: c.botId, status, reason: reason || null }, 'Challenge ended')
+}
+
+// A seat as game events show it
+const seatPlayer = (g, seat) => {
+  const p = profiles[g.profiles[seat]]
+  return { id: p ? p.id : null, name: g.names[seat] || null, rating: p ? p.rating : null }
+}
+
+const gameStartEvent = (gameId) => {
+  const g = games[gameId]
+  return {
+    type: 'gameStart',
+    game: {
+      id: gameId,
+      color: seatColor(g, 'opponent'),
+      rated: !!g.rated,
+      opponent: seatPlayer(g, 'host'),
+      initialFen: g.startFen || 'startpos'
+    }
+  }
+}
+
+// Send the room's state down its game streams when it changed since the last
+// line each stream got. Streams end once the game is over or the room closed.
+const pushBotGameState = (gameId, closed = false) => {
+  const streams = botGameStreams[gameId]
+  if (!streams) return
+  const g = games[gameId]
+  const state = gameStateEvent(g, { closed })
+  const key = `${state.moves}|${state.status}|${state.drawOffer}`
+  for (const entry of [...streams]) {
+    if (entry.last !== key) {
+      entry.last = key
+      entry.stream.send(state)
+    }
+    if (closed || g.result) entry.stream.end()
+  }
+}
+
+// The opponent seat of a room this bot plays in, with the game still going;
+// answers the request itself otherwise
+const liveBotGame = (req, res) => {
+  const g = games[req.params.id]
+  if (!g || g.botAccount !== req.profile.id) {
+    res.status(404).send({ error: 'Game not found' })
+    return null
+  }
+  flagIfExpired(req.params.id)
+  if (g.status !== 'ready' || g.result) {
+    res.status(400).send({ error: 'Game is not in progress' })
+    return null
+  }
+  return seatColor(g, 'opponent')[0]
+}
+
+// Bot accounts that can be challenged right now
+app.get('/bot/online', (req, res) => {
+  res.send({ bots: onlineBots() })
+})
+
+// Turn the profile into a bot account. There is no way back: bot accounts
+// cannot join games from the browser.
+app.post('/bot/account/upgrade', requireBotToken, (req, res) => {
+  req.profile.bot = true
+  saveProfile(req.profile)
+  log().info({ event: 'botUpgraded', profileId: req.profile.id }, 'Profile upgraded to a bot account')
+  res.send({ ok: true })
+})
+
+app.use('/bot', requireBotToken, (req, res, next) => {
+  if (!req.profile.bot) {
+    res.status(403).send({ error: 'Not a bot account; upgrade the profile first' })
+    return
+  }
+  next()
+})
+
+// The bot's event stream: pending challenges and games in progress first,
+// then challenge, challengeCanceled, challengeDeclined, gameStart and
+// gameFinish events as they happen. The bot is online while this is open.
+app.get('/bot/stream/event', (req, res) => {
+  const botId = req.profile.id
+  const firstStream = !botEventStreams[botId]
+  const stream = openNdjsonStream(res, BOT_KEEPALIVE_MS, () => {
+    botEventStreams[botId].delete(stream)
+    if (botEventStreams[botId].size === 0) {
+      delete botEventStreams[botId]
+      broadcastLobby()
+    }
+  })
+  if (firstStream) botEventStreams[botId] = new Set()
+  botEventStreams[botId].add(stream)
+  for (const c of Object.values(challenges)) {
+    if (c.botId === botId) stream.send({ type: 'challenge', challenge: challengeView(c) })
+  }
+  for (const [gameId, g] of Object.entries(games)) {
+    if (g.botAccount === botId && !g.result) stream.send(gameStartEvent(gameId))
+  }
+  if (firstStream) broadcastLobby()
+})
+
+// Follow one game: a gameFull line, then a gameState line on every change.
+// The stream ends when the game does.
+app.get('/bot/game/stream/:id', (req, res) => {
+  const gameId = req.params.id
+  const g = games[gameId]
+  if (!g || g.botAccount !== req.profile.id) {
+    res.status(404).send({ error: 'Game not found' })
+    return
+  }
+  const entry = {}
+  entry.stream = openNdjsonStream(res, BOT_KEEPALIVE_MS, () => {
+    const streams = botGameStreams[gameId]
+    if (!streams) return
+    streams.delete(entry)
+    if (streams.size === 0) delete botGameStreams[gameId]
+  })
+  const full = gameFullEvent(gameId, g, {
+    white: seatPlayer(g, SEATS.find((seat) => seatColor(g, seat) === 'white')),
+    black: seatPlayer(g, SEATS.find((seat) => seatColor(g, seat) === 'black'))
+  })
+  entry.last = `${full.state.moves}|${full.state.status}|${full.state.drawOffer}`
+  entry.stream.send(full)
+  if (g.result) {
+    entry.stream.end()
+    return
+  }
+  if (!botGameStreams[gameId]) botGameStreams[gameId] = new Set()
+  botGameStreams[gameId].add(entry)
+})
+
+app.post('/bot/game/:id/move/:uci', (req, res) => {
+  const color = liveBotGame(req, res)
+  if (!color) return
+  const gameId = req.params.id
+  if (games[gameId].game.turn() !== color) {
+    res.status(400).send({ error: 'Not your turn' })
+    return
+  }
+  if (!UCI_MOVE.test(req.params.uci)) {
+    res.status(400).send({ error: 'Moves are in UCI notation, e.g. e2e4 or e7e8q' })
+    return
+  }
+  try {
+    playUciMove(gameId, req.params.uci)
+  } catch (err) {
+    res.status(400).send({ error: `Illegal move ${req.params.uci}` })
+    return
+  }
+  res.send({ ok: true })
+})
+
+app.post('/bot/game/:id/resign', (req, res) => {
+  const color = liveBotGame(req, res)
+  if (!color) return
+  finishGame(req.params.id, winFor(color === 'w' ? 'b' : 'w', 'resignation'))
+  res.send({ ok: true })
+})
+
+// 'yes' offers a draw or accepts the opponent's offer; 'no' declines it
+app.post('/bot/game/:id/draw/:answer', (req, res) => {
+  const color = liveBotGame(req, res)
+  if (!color) return
+  const gameId = req.params.id
+  const g = games[gameId]
+  const offered = g.drawOffer && g.drawOffer !== color
+  if (req.params.answer === 'yes') {
+    if (offered) {
+      finishGame(gameId, drawBy('agreement'))
+    } else if (!g.drawOffer) {
+      g.drawOffer = color
+      io.to(gameId).emit('drawOffer', { from: color })
+      persistGame(gameId)
+      pushBotGameState(gameId)
+    }
+  } else if (req.params.answer === 'no') {
+    if (!offered) {
+      res.status(400).send({ error: 'No draw offer to decline' })
+      return
+    }
+    g.drawOffer = null
+    io.to(gameId).emit('drawOffer', { from: null, declinedBy: color })
+    persistGame(gameId)
+    pushBotGameState(gameId)
+  } else {
+    res.status(400).send({ error: 'Answer yes or no' })
+    return
+  }
+  res.send({ ok: true })
+})
+
+// Accepting opens a room with the challenger as host, seated right away, and
+// the bot in the other seat; its event stream gets a gameStart
+app.post('/bot/challenge/:id/accept', (req, res) => {
+  const c = challenges[req.params.id]
+  if (!c || c.botId !== req.profile.id) {
+    res.status(404).send({ error: 'Challenge not found' })
+    return
+  }
+  const challenger = io.sockets.sockets.get(c.socketId)
+  if (!challenger || games[sessions[c.socketId]]) {
+    dropChallenge(c.id, 'canceled')
+    res.status(409).send({ error: 'The challenger is no longer waiting' })
+    return
+  }
+  clearTimeout(c.timer)
+  delete challenges[c.id]
+  const gameId = genId()
+  const hostColor = c.color === 'random' ? (crypto.randomInt(2) === 0 ? 'white' : 'black') : c.color
+  createRoom(gameId, {
+    control: parseTimeControl(c.timeControl),
+    hostColor,
+    colorPreference: c.color,
+    names: { host: '', opponent: req.profile.name },
+    // Nobody is there to agree to a takeback or reset
+    takebacks: false,
+    rated: c.rated,
+    botAccount: req.profile.id
+  })
+  const g = games[gameId]
+  g.profiles.host = c.profileId
+  if (c.name) claimSeatName(g, 'host', c.name)
+  seatSocket(challenger, gameId, 'host')
+  playerJoined(gameId, 'host')
+  log().info({ event: 'challengeAccepted', challengeId: c.id, botId: c.botId, gameId }, 'Challenge accepted')
+  challenger.emit('challenge', { id: c.id, status: 'accepted', gameId })
+  io.to(gameId).emit('status', g.status)
+  syncClock(gameId)
+  sendPosition(io.to(gameId), gameId)
+  emitPlayers(gameId)
+  persistGame(gameId)
+  broadcastLobby()
+  notifyBot(req.profile.id, gameStartEvent(gameId))
+  res.send({ ok: true, gameId })
+})
+
+// body: { reason? }, a short word the challenger is shown ('later', 'tooFast', ...)
+app.post('/bot/challenge/:id/decline', (req, res) => {
+  const c = challenges[req.params.id]
+  if (!c || c.botId !== req.profile.id) {
+    res.status(404).send({ error: 'Challenge not found' })
+    return
+  }
+  const reason = req.body && typeof req.body.reason === 'string' && /^\w{1,32}$/.test(req.body.reason)
+    ? req.body.reason
+    : 'generic'
+  dropChallenge(c.id, 'declined', reason)
+  res.send({ ok: true })
+})
+
+// Open rooms and online bots, the same lists lobby sockets receive as 'lobby'
+app.get('/lobby', (req, res) => {
+  res.send(lobbyView())
+})
+
+// A room as a 'resync' lists it: what a feed client needs to start over
+const roomSnapshot = (gameId) => {
+  const g = games[gameId]
+  const names = {}
+  for (const seat of SEATS) names[seatColor(g, seat)] = g.names[seat] || null
+  return {
+    gameId,
+    state: roomState(g),
+    white: names.white,
+    black: names.black,
+    timeControl: g.clock ? g.clock.control.id : null,
+    fen: g.game.fen(),
+    plies: g.game.history().length,
+    result: g.result ? g.result.result : null,
+    reason: g.result ? g.result.reason : null
+  }
+}
+
+// Server-sent room events as they happen (see gameEvents.js for the
+// filters). A client resuming with Last-Event-ID first gets whatever it
+// missed that the server still remembers. When the server cannot tell (it
+// restarted, or too much happened since), the client gets a 'resync' with
+// every room it follows as it is now.
+app.get('/events', (req, res) => {
+  const wanted = eventFilter(req.query)
+  let unsubscribe = null
+  const stream = openSseStream(res, EVENTS_KEEPALIVE_MS, () => unsubscribe && unsubscribe())
+  const lastId = req.get('Last-Event-ID') || req.query.lastEventId
+  if (lastId) {
+    const missed = eventFeed.since(String(lastId))
+    if (missed) {
+      for (const { event, scope } of missed) {
+        if (wanted(event, scope)) stream.send(event)
+      }
+    } else {
+      const rooms = Object.keys(games)
+        .filter((gameId) => wanted({ type: 'resync', gameId }, { inviteCode: games[gameId].inviteCode }))
+        .map(roomSnapshot)
+      stream.send(eventFeed.resync({ rooms }))
+    }
+  }
+  unsubscribe = eventFeed.subscribe((event, scope) => {
+    if (wanted(event, scope)) stream.send(event)
+  })
+})
+
+app.get('/moves', (req, res) => {
+  let gameId = req.query.gameId
+  if(games[gameId]?.status !== 'ready') {
+    res.send({
+      moves: [],
+      error: 'Game not ready'
+    })
+    return
+  }
+  try {
+    res.send({
+      moves: games[req.query.gameId].game.moves({square: req.query.square, verbose: true})
+    })
+  } catch(err){
+    res.send({
+      moves: [],
+      error: err.message
+    })
+  }
+})
+
+// Endpoint to get server network info for LAN multiplayer
+app.get('/server-info', (req, res) => {
+  res.send({
+    lanIp: LAN_IP,
+    port: PORT,
+    serverUrl: `http://${LAN_IP}:${PORT}`,
+    networkName: NETWORK_NAME || null
+  })
+})
+
+// Prometheus metrics: room and connection counts, moves, results
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.registry.contentType)
+  res.send(await metrics.registry.metrics())
+})
+
+// The stores batch their writes: write out what is pending before the
+// process goes, whether it is stopped (Ctrl+C, the launcher, a nodemon
+// restart) or exits on its own
+process.once('exit', () => {
+  for (const store of [gameStore, gameArchive, tournamentStore, profileStore]) {
+    try {
+      store.flush()
+    } catch (err) {
+      log().error({ file: store.filePath, err }, 'Could not write store on exit')
+    }
+  }
+})
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGUSR2']) {
+  process.once(signal, () => process.exit(0))
+}
+
+// The launcher waits for "Server is online" in this line
+server.listen(PORT, '0.0.0.0', ()=>{
+  log().info({ port: PORT, lanIp: LAN_IP, networkName: NETWORK_NAME || null }, `Server is online on port ${PORT}`)
 })
@@ -0,0 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const pino = require('pino')
+
+// Structured logs: one JSON object per line on stdout. Socket events and HTTP
+// requests are handled with a child logger that carries their socket or
+// request id, so whatever they cause (a room created, a game ended, ...) can
+// be traced back to them. Timers and startup log without one.
+
+const rootLogger = pino({ level: process.env.LOG_LEVEL || 'info' })
+const context = new AsyncLocalStorage()
+
+// The logger for whatever is being handled right now
+const log = () => context.getStore() || rootLogger
+
+// Run `fn` with `bindings` (e.g. { socketId }) added to everything it logs
+const withLogContext = (bindings, fn) => context.run(log().child(bindings), fn)
+
+module.exports = { log, withLogContext }
@@ -0,0 +1,89 @@
+const { Registry, Gauge, Counter, collectDefaultMetrics } = require('prom-client')
+
+// Prometheus metrics for the game server, served at GET /metrics. Room and
+// connection counts are read when scraped: `roomStates()` returns the state of
+// every room ('waiting', 'playing' or 'finished') and `socketCount()` the
+// number of open connections. Moves and results are counted as they happen.
+
+const ROOM_STATES = ['waiting', 'playing', 'finished']
+// Window for the moves-per-minute gauge
+const MOVE_WINDOW_MS = 60000
+
+function createMetrics({ roomStates, socketCount }) {
+  const registry = new Registry()
+  collectDefaultMetrics({ register: registry })
+
+  new Gauge({
+    name: 'chess_rooms',
+    help: 'Rooms on the server by state',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      const counts = Object.fromEntries(ROOM_STATES.map((state) => [state, 0]))
+      for (const state of roomStates()) counts[state] += 1
+      for (const state of ROOM_STATES) this.set({ state }, counts[state])
+    }
+  })
+
+  new Gauge({
+    name: 'chess_sockets_connected',
+    help: 'Open Socket.IO connections',
+    registers: [registry],
+    collect() {
+      this.set(socketCount())
+    }
+  })
+
+  const moves = new Counter({
+    name: 'chess_moves_total',
+    help: 'Moves played in all rooms, the computer\'s included',
+    registers: [registry]
+  })
+
+  // Also kept as a plain gauge for dashboards without rate()
+  const recentMoves = []
+  const dropOldMoves = (now) => {
+    while (recentMoves.length && recentMoves[0] <= now - MOVE_WINDOW_MS) recentMoves.shift()
+  }
+  new Gauge({
+    name: 'chess_moves_per_minute',
+    help: 'Moves played in the last minute',
+    registers: [registry],
+    collect() {
+      dropOldMoves(Date.now())
+      this.set(recentMoves.length)
+    }
+  })
+
+  const gamesFinished = new Counter({
+    name: 'chess_games_finished_total',
+    help: 'Games that reached a result, by termination reason',
+    labelNames: ['reason'],
+    registers: [registry]
+  })
+
+  const rejectedEvents = new Counter({
+    name: 'chess_socket_events_rejected_total',
+    help: 'Socket events refused before reaching their handler',
+    labelNames: ['reason'],
+    registers: [registry]
+  })
+
+  return {
+    registry,
+    countMove() {
+      const now = Date.now()
+      moves.inc()
+      dropOldMoves(now)
+      recentMoves.push(now)
+    },
+    countGameFinished(reason) {
+      gamesFinished.inc({ reason })
+    },
+    countRejectedEvent(reason) {
+      rejectedEvents.inc({ reason })
+    }
+  }
+}
+
+module.exports = { createMetrics }
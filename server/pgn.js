@@ -0,0 +1,76 @@
+const { replayMoves } = require('./setup')
+
+// PGN export for finished network games
+
+// PGN's Termination tag only knows a few values; the specific reason goes
+// into a comment after the last move instead
+const TERMINATION = {
+  timeout: 'time forfeit',
+  timeoutVsInsufficientMaterial: 'time forfeit',
+  abandoned: 'abandoned'
+}
+
+const REASON_TEXT = {
+  checkmate: 'checkmate',
+  resignation: 'resignation',
+  abandoned: 'abandonment',
+  timeout: 'time',
+  timeoutVsInsufficientMaterial: 'time out vs. insufficient material',
+  agreement: 'agreement',
+  stalemate: 'stalemate',
+  insufficientMaterial: 'insufficient material',
+  threefoldRepetition: 'threefold repetition',
+  fiftyMoveRule: 'the fifty-move rule'
+}
+
+const pgnDate = (time) => {
+  const d = new Date(time)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`
+}
+
+// Fischer controls have a standard PGN form (seconds+increment), and so does
+// correspondence ("*" and the seconds allowed for each move); delay controls
+// do not, so those keep their own notation
+const pgnTimeControl = (control) => {
+  if (!control) return '-'
+  if (control.mode === 'fischer') return `${control.initialMs / 1000}+${control.bonusMs / 1000}`
+  if (control.mode === 'correspondence') return `*${control.initialMs / 1000}`
+  return control.id
+}
+
+const resultComment = (result) => {
+  const side = (color) => (color === 'w' ? 'White' : 'Black')
+  const why = REASON_TEXT[result.reason] || result.reason
+  if (!result.winner) return `Draw by ${why}.`
+  if (result.reason === 'resignation') return `${side(result.winner === 'w' ? 'b' : 'w')} resigns.`
+  return `${side(result.winner)} wins by ${why}.`
+}
+
+// game: { event, startFen, moves (uci), white, black, result {result, reason, winner},
+//         control (parsed time control or null), finishedAt, round }
+function buildPgn(game) {
+  const chess = replayMoves(game.startFen, game.moves)
+  if (game.result) chess.setComment(resultComment(game.result))
+  // Rebuild the tags so they come out in Seven Tag Roster order
+  chess.removeHeader('SetUp')
+  chess.removeHeader('FEN')
+  const tags = [
+    ['Event', game.event || "Vermouth's Gambit network game"],
+    ['Site', 'LAN'],
+    ['Date', pgnDate(game.finishedAt)],
+    ['Round', String(game.round || 1)],
+    ['White', game.white || '?'],
+    ['Black', game.black || '?'],
+    ['Result', game.result ? game.result.result : '*'],
+    ['TimeControl', pgnTimeControl(game.control)],
+    ['Termination', game.result ? (TERMINATION[game.result.reason] || 'normal') : 'unterminated']
+  ]
+  if (game.startFen) {
+    tags.push(['SetUp', '1'], ['FEN', game.startFen])
+  }
+  for (const [key, value] of tags) chess.header(key, value)
+  return chess.pgn()
+}
+
+module.exports = { buildPgn }
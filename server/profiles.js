@@ -0,0 +1,131 @@
+const crypto = require('crypto')
+
+// Local player profiles with Elo ratings. Like tournaments, profiles are plain
+// objects kept in their own store; server/index.js attaches them to seats and
+// reports finished games here.
+
+const START_RATING = 1200
+const NAME_MAX_LENGTH = 24
+// An emoji or two
+const AVATAR_MAX_LENGTH = 8
+// New players' ratings move faster until they settle
+const PROVISIONAL_GAMES = 20
+const K_PROVISIONAL = 40
+const K_ESTABLISHED = 20
+const SCORES = { '1-0': [1, 0], '0-1': [0, 1], '1/2-1/2': [0.5, 0.5] }
+
+const cleanName = (name) => (typeof name === 'string' ? name.trim().slice(0, NAME_MAX_LENGTH) : '')
+
+const cleanAvatar = (avatar) => {
+  if (avatar == null || avatar === '') return ''
+  if (typeof avatar !== 'string' || avatar.trim().length > AVATAR_MAX_LENGTH) {
+    throw new Error('Avatar must be a short emoji')
+  }
+  return avatar.trim()
+}
+
+const checkName = (existing, name, self) => {
+  if (!name) throw new Error('Profile name is empty')
+  const taken = existing.some((p) => p !== self && p.name.toLowerCase() === name.toLowerCase())
+  if (taken) throw new Error(`${name} is already taken`)
+}
+
+// A new profile. The key is the profile's password: the browser that made
+// the profile keeps it and sends it when joining a game.
+function createProfile(existing, { name, avatar } = {}) {
+  const clean = cleanName(name)
+  checkName(existing, clean, null)
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    key: crypto.randomBytes(16).toString('hex'),
+    name: clean,
+    avatar: cleanAvatar(avatar),
+    rating: START_RATING,
+    games: 0,
+    ratedGames: 0,
+    createdAt: Date.now(),
+    history: []
+  }
+}
+
+function updateProfile(existing, profile, { name, avatar } = {}) {
+  if (name !== undefined) {
+    const clean = cleanName(name)
+    checkName(existing, clean, profile)
+    profile.name = clean
+  }
+  if (avatar !== undefined) profile.avatar = cleanAvatar(avatar)
+  return profile
+}
+
+// What everyone may see of a profile: everything but the key and history
+const publicProfile = (p) => ({
+  id: p.id,
+  name: p.name,
+  avatar: p.avatar,
+  rating: p.rating,
+  games: p.games,
+  ratedGames: p.ratedGames,
+  provisional: p.ratedGames < PROVISIONAL_GAMES,
+  // Plays through the HTTP bot API
+  bot: !!p.bot,
+  createdAt: p.createdAt
+})
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400))
+
+const ratingChange = (profile, opponentRating, score) => {
+  const k = profile.ratedGames < PROVISIONAL_GAMES ? K_PROVISIONAL : K_ESTABLISHED
+  return Math.round(k * (score - expectedScore(profile.rating, opponentRating)))
+}
+
+// Record a finished game in the players' histories and, for a rated game,
+// move both ratings. game: { archiveId, result: { result, reason }, rated,
+// white, black (profiles or null), whiteName, blackName, finishedAt }
+function recordGame(game) {
+  const { white, black } = game
+  const rated = !!(game.rated && white && black)
+  const scores = SCORES[game.result.result]
+  const changes = rated
+    ? [ratingChange(white, black.rating, scores[0]), ratingChange(black, white.rating, scores[1])]
+    : [0, 0]
+  const sides = [
+    { profile: white, color: 'white', opponent: black, opponentName: game.blackName, score: scores[0], change: changes[0] },
+    { profile: black, color: 'black', opponent: white, opponentName: game.whiteName, score: scores[1], change: changes[1] }
+  ]
+  for (const side of sides) {
+    if (!side.profile) continue
+    const p = side.profile
+    const before = p.rating
+    p.games += 1
+    if (rated) {
+      p.rating = before + side.change
+      p.ratedGames += 1
+    }
+    p.history.push({
+      archiveId: game.archiveId,
+      at: game.finishedAt,
+      color: side.color,
+      opponent: side.opponent ? side.opponent.name : (side.opponentName || null),
+      opponentId: side.opponent ? side.opponent.id : null,
+      result: game.result.result,
+      reason: game.result.reason,
+      score: side.score,
+      rated,
+      ratingBefore: rated ? before : null,
+      ratingAfter: rated ? p.rating : null
+    })
+  }
+}
+
+// A casual result taken back on the board: drop it from the history again.
+// Rated games cannot be taken back, so ratings never need undoing.
+function forgetGame(profile, archiveId) {
+  const index = profile.history.findIndex((entry) => entry.archiveId === archiveId && !entry.rated)
+  if (index === -1) return false
+  profile.history.splice(index, 1)
+  profile.games -= 1
+  return true
+}
+
+module.exports = { createProfile, updateProfile, publicProfile, recordGame, forgetGame }
@@ -0,0 +1,91 @@
+const { z } = require('zod')
+
+// Payloads of the socket events clients send, one tuple of arguments per
+// event. Only the shape is checked here; the handlers still decide what a
+// valid move, name or time control is.
+
+// Room ids are generated by the server, but a join may name a new room
+const roomIdSchema = z.string().regex(/^[\w-]{1,32}$/, 'Unknown game id')
+const squareSchema = z.string().regex(/^[a-h][1-8]$/)
+const promotionSchema = z.enum(['q', 'r', 'b', 'n'])
+
+const joinOptionsSchema = z.object({
+  name: z.string().max(100).optional(),
+  profileKey: z.string().max(64).optional(),
+  tournamentToken: z.string().max(64).optional(),
+  code: z.string().max(32).optional(),
+  acceptSetup: z.boolean().optional(),
+  create: z.boolean().optional(),
+  private: z.boolean().optional(),
+  rated: z.boolean().optional(),
+  color: z.enum(['white', 'black', 'random']).optional(),
+  timeControl: z.string().max(16).nullable().optional(),
+  takebacks: z.boolean().optional(),
+  chat: z.boolean().optional(),
+  fen: z.string().max(120).optional(),
+  pgn: z.string().max(100000).optional(),
+  bot: z.object({
+    skill: z.number().optional(),
+    elo: z.number().optional()
+  }).nullable().optional()
+})
+
+// A move as chess.js takes it: SAN or coordinates ('Nf3', 'e2e4'), or squares
+const moveSchema = z.union([
+  z.string().min(2).max(10),
+  z.object({ from: squareSchema, to: squareSchema, promotion: promotionSchema.optional() })
+])
+
+const gameIdOnly = z.tuple([roomIdSchema])
+
+const eventSchemas = {
+  listRooms: z.tuple([]),
+  myGames: z.tuple([z.object({
+    seats: z.array(z.object({ gameId: roomIdSchema, token: z.string().min(1).max(64) })).max(100).optional(),
+    profileKey: z.string().max(64).optional()
+  }).nullable().optional()]),
+  // No id (or an empty one) joins by invite code, quick-joins or creates a room
+  join: z.tuple([z.string().regex(/^[\w-]{0,32}$/, 'Unknown game id').nullable().optional(), joinOptionsSchema.nullable().optional()]),
+  rejoin: z.tuple([z.object({ gameId: roomIdSchema, token: z.string().min(1).max(64) })]),
+  claimName: z.tuple([z.string().max(100)]),
+  move: z.tuple([z.object({ gameId: roomIdSchema, move: moveSchema })]),
+  promote: z.tuple([z.object({ gameId: roomIdSchema, piece: promotionSchema })]),
+  resign: gameIdOnly,
+  offerDraw: gameIdOnly,
+  acceptDraw: gameIdOnly,
+  declineDraw: gameIdOnly,
+  claimDraw: gameIdOnly,
+  requestUndo: gameIdOnly,
+  requestReset: gameIdOnly,
+  acceptRequest: gameIdOnly,
+  declineRequest: gameIdOnly,
+  emoji: z.tuple([z.object({ gameId: roomIdSchema, id: z.string().max(64) })]),
+  chat: z.tuple([z.object({ gameId: roomIdSchema, text: z.string().max(2000) })]),
+  leave: gameIdOnly,
+  challengeBot: z.tuple([z.object({
+    botId: z.string().max(32),
+    name: z.string().max(100).optional(),
+    profileKey: z.string().max(64).optional(),
+    timeControl: z.string().max(16).nullable().optional(),
+    color: z.enum(['white', 'black', 'random']).optional(),
+    rated: z.boolean().optional()
+  })]),
+  cancelChallenge: z.tuple([])
+}
+
+// Check the arguments of `event`. Missing trailing arguments count as
+// undefined and extra ones (such as an acknowledgement callback) are dropped.
+// Returns { success: true, data: args } or { success: false, error: message }.
+function parseEventArgs(event, args) {
+  const schema = eventSchemas[event]
+  if (!schema) return { success: false, error: `Unknown event ${event}` }
+  const padded = schema.items.map((_, i) => args[i])
+  const parsed = schema.safeParse(padded)
+  if (parsed.success) return { success: true, data: parsed.data }
+  const issue = parsed.error.issues[0]
+  // The first path element is the argument's position; leave it out
+  const where = issue.path.slice(1).join('.')
+  return { success: false, error: `Invalid ${event}: ${where ? `${where}: ` : ''}${issue.message}` }
+}
+
+module.exports = { eventSchemas, parseEventArgs }
@@ -0,0 +1,76 @@
+const { Chess } = require('chess.js')
+
+// Custom starting points for network rooms: a FEN to set up, or a PGN to
+// continue from. Either way a room is described by a starting FEN (null for
+// the standard position) plus the moves already played from it, the same shape
+// persisted games are replayed from.
+
+const MAX_PGN_LENGTH = 100000
+
+const toUci = (move) => `${move.from}${move.to}${move.promotion || ''}`
+
+function replayMoves(startFen, moves) {
+  const chess = startFen ? new Chess(startFen) : new Chess()
+  for (const uci of moves) {
+    chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] })
+  }
+  return chess
+}
+
+function kingSquare(chess, color) {
+  for (const row of chess.board()) {
+    for (const piece of row) {
+      if (piece && piece.type === 'k' && piece.color === color) return piece.square
+    }
+  }
+  return null
+}
+
+// chess.js accepts some positions that cannot arise in a game; reject those too
+function checkPosition(chess) {
+  let kings = 0
+  for (const row of chess.board()) {
+    for (const piece of row) {
+      if (piece && piece.type === 'k') kings += 1
+    }
+  }
+  if (kings !== 2 || !kingSquare(chess, 'w') || !kingSquare(chess, 'b')) {
+    throw new Error('Position needs exactly one king per side')
+  }
+  const idle = chess.turn() === 'w' ? 'b' : 'w'
+  if (chess.isAttacked(kingSquare(chess, idle), chess.turn())) {
+    throw new Error('The side not to move is in check')
+  }
+}
+
+// Parse { fen } or { pgn } into { startFen, moves }, or null for a normal game.
+// Throws with a message meant for the host when the setup cannot be played.
+function parseSetup({ fen, pgn } = {}) {
+  let startFen = null
+  let moves = []
+  if (typeof pgn === 'string' && pgn.trim()) {
+    if (pgn.length > MAX_PGN_LENGTH) throw new Error('PGN is too long')
+    const loaded = new Chess()
+    try {
+      loaded.loadPgn(pgn, { strict: false })
+    } catch (err) {
+      throw new Error(`Invalid PGN: ${err.message}`)
+    }
+    startFen = loaded.header().FEN || null
+    moves = loaded.history({ verbose: true }).map(toUci)
+  } else if (typeof fen === 'string' && fen.trim()) {
+    // Normalize so the stored FEN matches what chess.js reports. An invalid
+    // FEN throws here with a message like "Invalid FEN: missing black king".
+    startFen = new Chess(fen.trim()).fen()
+  } else {
+    return null
+  }
+  if (startFen) checkPosition(new Chess(startFen))
+  const chess = replayMoves(startFen, moves)
+  if (chess.isGameOver()) {
+    throw new Error('The game is already over in that position')
+  }
+  return { startFen, moves }
+}
+
+module.exports = { parseSetup, replayMoves, toUci }
@@ -0,0 +1,302 @@
+const crypto = require('crypto')
+
+// Round-robin and Swiss tournaments for club nights. This module only keeps
+// the books (players, pairings, results, standings); server/index.js opens a
+// room for every pairing and reports the results back. Tournaments are plain
+// objects so they can go straight into a JSON store.
+
+const FORMATS = ['roundRobin', 'swiss']
+const MAX_PLAYERS = 32
+const NAME_MAX_LENGTH = 24
+const POINTS = { '1-0': [1, 0], '0-1': [0, 1], '1/2-1/2': [0.5, 0.5] }
+// A Swiss bye is worth a win; in a round-robin everyone sits out once, so it
+// is worth nothing
+const BYE_POINTS = { swiss: 1, roundRobin: 0 }
+// Give up on a pairing pass after this many search steps and relax the rules
+const PAIRING_BUDGET = 200000
+
+const cleanName = (name) => (typeof name === 'string' ? name.trim().slice(0, NAME_MAX_LENGTH) : '')
+
+// options: { name, format: 'roundRobin' | 'swiss', rounds (Swiss only), timeControl }
+// The key is the organizer's password: whoever created the tournament keeps it
+// and sends it to register players, pair rounds and enter results.
+function createTournament(options) {
+  const opts = options || {}
+  const format = FORMATS.includes(opts.format) ? opts.format : null
+  if (!format) throw new Error('Format must be roundRobin or swiss')
+  const rounds = opts.rounds != null ? Number(opts.rounds) : null
+  if (rounds != null && (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_PLAYERS)) {
+    throw new Error(`Rounds must be between 1 and ${MAX_PLAYERS}`)
+  }
+  return {
+    id: crypto.randomBytes(4).toString('hex').toUpperCase(),
+    key: crypto.randomBytes(16).toString('hex'),
+    name: cleanName(opts.name) || 'Club night',
+    format,
+    // Swiss: as asked, or enough to find a winner; round-robin: set at start
+    totalRounds: format === 'swiss' ? rounds : null,
+    timeControl: opts.timeControl || null,
+    status: 'registration',
+    players: [],
+    rounds: [],
+    createdAt: Date.now()
+  }
+}
+
+function addPlayer(t, name) {
+  const clean = cleanName(name)
+  if (t.status !== 'registration') throw new Error('Registration is closed')
+  if (!clean) throw new Error('Player name is empty')
+  if (t.players.length >= MAX_PLAYERS) throw new Error(`Tournaments are limited to ${MAX_PLAYERS} players`)
+  if (t.players.some((p) => p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new Error(`${clean} is already registered`)
+  }
+  // The token is the player's seat: only whoever holds it plays their boards
+  const player = { id: crypto.randomBytes(4).toString('hex'), name: clean, token: crypto.randomBytes(16).toString('hex') }
+  t.players.push(player)
+  return player
+}
+
+function removePlayer(t, playerId) {
+  if (t.status !== 'registration') throw new Error('Registration is closed')
+  const index = t.players.findIndex((p) => p.id === playerId)
+  if (index === -1) throw new Error('Player not found')
+  t.players.splice(index, 1)
+}
+
+// Close registration. A round-robin has everyone meet once; a Swiss runs the
+// asked number of rounds, never more than a round-robin would need.
+function startTournament(t) {
+  if (t.status !== 'registration') throw new Error('Tournament already started')
+  if (t.players.length < 2) throw new Error('At least two players are needed')
+  const allMeet = t.players.length % 2 === 0 ? t.players.length - 1 : t.players.length
+  if (t.format === 'roundRobin') {
+    t.totalRounds = allMeet
+  } else {
+    t.totalRounds = Math.min(t.totalRounds || Math.ceil(Math.log2(t.players.length)), allMeet)
+  }
+  t.status = 'running'
+}
+
+const isRoundComplete = (round) => round.pairings.every((p) => p.result)
+
+// Points of every player, counting only results that are in
+const pointsOf = (t) => {
+  const points = Object.fromEntries(t.players.map((p) => [p.id, 0]))
+  for (const round of t.rounds) {
+    for (const p of round.pairings) {
+      if (!p.result) continue
+      if (p.result === 'bye') {
+        points[p.white] += BYE_POINTS[t.format]
+        continue
+      }
+      points[p.white] += POINTS[p.result][0]
+      points[p.black] += POINTS[p.result][1]
+    }
+  }
+  return points
+}
+
+// Colors played so far: whites minus blacks, the last two colors, opponents met
+// and whether the player already had a bye
+const historyOf = (t) => {
+  const history = Object.fromEntries(t.players.map((p) => [p.id, { diff: 0, colors: [], opponents: new Set(), hadBye: false }]))
+  for (const round of t.rounds) {
+    for (const p of round.pairings) {
+      if (p.result === 'bye') {
+        history[p.white].hadBye = true
+        continue
+      }
+      history[p.white].diff += 1
+      history[p.white].colors.push('w')
+      history[p.white].opponents.add(p.black)
+      history[p.black].diff -= 1
+      history[p.black].colors.push('b')
+      history[p.black].opponents.add(p.white)
+    }
+  }
+  return history
+}
+
+// The color a player must get next, if any: nobody plays the same color three
+// times running or gets two more games with one color than the other
+const mustPlay = (h) => {
+  const [last, beforeLast] = h.colors.slice(-2).reverse()
+  if (h.diff <= -2 || (last === 'b' && beforeLast === 'b')) return 'w'
+  if (h.diff >= 2 || (last === 'w' && beforeLast === 'w')) return 'b'
+  return null
+}
+
+// White goes to a player who must have it (see mustPlay), then to whoever
+// has had fewer whites, then to whoever had black last time; first-round
+// colors alternate down the boards
+const orientPair = (a, b, history, board) => {
+  const ha = history[a]
+  const hb = history[b]
+  const dueA = mustPlay(ha)
+  const dueB = mustPlay(hb)
+  if (dueA !== dueB) {
+    if (dueA) return dueA === 'w' ? [a, b] : [b, a]
+    return dueB === 'w' ? [b, a] : [a, b]
+  }
+  if (ha.diff !== hb.diff) return ha.diff < hb.diff ? [a, b] : [b, a]
+  const lastA = ha.colors[ha.colors.length - 1]
+  const lastB = hb.colors[hb.colors.length - 1]
+  if (lastA && lastA !== lastB) return lastA === 'b' ? [a, b] : [b, a]
+  if (lastA) return lastA === 'b' ? [a, b] : [b, a]
+  return board % 2 === 1 ? [a, b] : [b, a]
+}
+
+// Circle method: the first player stays put and everyone else moves one place
+// each round. Odd fields get an empty seat, and whoever meets it has a bye.
+const roundRobinPairs = (t) => {
+  const ids = t.players.map((p) => p.id)
+  if (ids.length % 2 === 1) ids.push(null)
+  const n = ids.length
+  const r = t.rounds.length
+  const others = ids.slice(1)
+  const shift = r % others.length
+  const rotated = [ids[0], ...others.slice(others.length - shift), ...others.slice(0, others.length - shift)]
+  const pairs = []
+  for (let i = 0; i < n / 2; i++) pairs.push([rotated[i], rotated[n - 1 - i]])
+  return pairs
+}
+
+// Swiss: players sorted by score, each paired with someone from the same score
+// group if possible (top half against bottom half), never twice against the
+// same opponent. Backtracks when a choice leaves the rest unpairable; when no
+// pairing satisfies the color rules those are dropped, and rematches are the
+// very last resort.
+const swissPairs = (t, points, history) => {
+  const seed = Object.fromEntries(t.players.map((p, i) => [p.id, i]))
+  const ranked = t.players.map((p) => p.id).sort((a, b) => points[b] - points[a] || seed[a] - seed[b])
+  const pairs = []
+  if (ranked.length % 2 === 1) {
+    // The bye goes to the lowest-ranked player who has not had one
+    const byeIndex = ranked.map((id) => !history[id].hadBye).lastIndexOf(true)
+    const [bye] = ranked.splice(byeIndex === -1 ? ranked.length - 1 : byeIndex, 1)
+    pairs.push([bye, null])
+  }
+
+  const search = (remaining, rules, budget) => {
+    if (remaining.length === 0) return []
+    if (--budget.steps < 0) return null
+    const [top, ...rest] = remaining
+    const groupSize = remaining.filter((id) => points[id] === points[top]).length
+    const half = Math.floor(groupSize / 2)
+    const candidates = rest
+      .map((id, i) => ({ id, i: i + 1 }))
+      .sort((a, b) => Math.abs(points[a.id] - points[top]) - Math.abs(points[b.id] - points[top]) ||
+        Math.abs(a.i - half) - Math.abs(b.i - half) || a.i - b.i)
+    for (const { id } of candidates) {
+      if (!rules.rematches && history[top].opponents.has(id)) continue
+      const due = mustPlay(history[top])
+      if (rules.colors && due && due === mustPlay(history[id])) continue
+      const others = search(rest.filter((other) => other !== id), rules, budget)
+      if (others) return [[top, id], ...others]
+    }
+    return null
+  }
+
+  const passes = [{ colors: true }, { colors: false }, { colors: false, rematches: true }]
+  for (const rules of passes) {
+    const found = search(ranked, rules, { steps: PAIRING_BUDGET })
+    if (found) return [...found, ...pairs]
+  }
+  throw new Error('Could not pair this round')
+}
+
+// Pair the next round. Results of the current round have to be in first.
+function pairNextRound(t) {
+  if (t.status !== 'running') throw new Error('Tournament is not running')
+  const current = t.rounds[t.rounds.length - 1]
+  if (current && !isRoundComplete(current)) throw new Error(`Round ${current.number} is not finished`)
+  if (t.rounds.length >= t.totalRounds) throw new Error('All rounds have been played')
+  const points = pointsOf(t)
+  const history = historyOf(t)
+  const pairs = t.format === 'roundRobin' ? roundRobinPairs(t) : swissPairs(t, points, history)
+  // Boards in order of the players' scores; byes go last
+  const games = pairs.filter(([a, b]) => a && b)
+    .sort((x, y) => Math.max(points[y[0]], points[y[1]]) - Math.max(points[x[0]], points[x[1]]))
+  const byes = pairs.filter(([a, b]) => !a || !b).map(([a, b]) => a || b)
+  const pairings = games.map(([a, b], i) => {
+    const [white, black] = orientPair(a, b, history, i + 1)
+    return { board: i + 1, white, black, room: null, result: null }
+  })
+  for (const id of byes) {
+    pairings.push({ board: pairings.length + 1, white: id, black: null, room: null, result: 'bye' })
+  }
+  const round = { number: t.rounds.length + 1, pairings, startedAt: Date.now() }
+  t.rounds.push(round)
+  finishIfDone(t)
+  return round
+}
+
+const finishIfDone = (t) => {
+  if (t.rounds.length === t.totalRounds && isRoundComplete(t.rounds[t.rounds.length - 1])) {
+    t.status = 'finished'
+  }
+}
+
+// Result of a board, from a finished game or entered by hand (forfeits)
+function recordResult(t, roundNumber, board, result) {
+  const round = t.rounds.find((r) => r.number === roundNumber)
+  const pairing = round && round.pairings.find((p) => p.board === board)
+  if (!pairing) throw new Error('Pairing not found')
+  if (pairing.result === 'bye') throw new Error('This board is a bye')
+  if (pairing.result) throw new Error('This board already has a result')
+  if (!POINTS[result]) throw new Error('Result must be 1-0, 0-1 or 1/2-1/2')
+  pairing.result = result
+  finishIfDone(t)
+  return pairing
+}
+
+// What everyone may see of a tournament: everything but the key and the
+// players' seat tokens
+const publicTournament = ({ key, ...rest }) => ({
+  ...rest,
+  players: rest.players.map(({ token, ...player }) => player)
+})
+
+// Standings with tiebreaks. Buchholz is the sum of the opponents' scores;
+// Sonneborn-Berger adds the scores of beaten opponents and half those of
+// drawn ones. A Swiss ranks by Buchholz first, a round-robin (where every
+// Buchholz is nearly the same) by Sonneborn-Berger.
+function standings(t) {
+  const points = pointsOf(t)
+  const rows = Object.fromEntries(t.players.map((p, i) => [p.id, {
+    playerId: p.id, name: p.name, seed: i + 1, points: points[p.id], buchholz: 0, sonnebornBerger: 0, wins: 0, played: 0
+  }]))
+  for (const round of t.rounds) {
+    for (const p of round.pairings) {
+      if (!p.result || p.result === 'bye') continue
+      const [whiteScore, blackScore] = POINTS[p.result]
+      for (const [id, opponent, score] of [[p.white, p.black, whiteScore], [p.black, p.white, blackScore]]) {
+        const row = rows[id]
+        row.played += 1
+        row.buchholz += points[opponent]
+        row.sonnebornBerger += score * points[opponent]
+        if (score === 1) row.wins += 1
+      }
+    }
+  }
+  const tiebreaks = t.format === 'swiss' ? ['buchholz', 'sonnebornBerger'] : ['sonnebornBerger', 'buchholz']
+  const sorted = Object.values(rows).sort((a, b) => b.points - a.points ||
+    b[tiebreaks[0]] - a[tiebreaks[0]] ||
+    b[tiebreaks[1]] - a[tiebreaks[1]] ||
+    b.wins - a.wins ||
+    a.seed - b.seed)
+  return sorted.map((row, i) => ({ rank: i + 1, ...row }))
+}
+
+module.exports = {
+  createTournament,
+  addPlayer,
+  removePlayer,
+  startTournament,
+  pairNextRound,
+  recordResult,
+  publicTournament,
+  standings,
+  isRoundComplete
+}
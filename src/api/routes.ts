@@ -1,12 +1,16 @@
 import express from 'express';
+import type { Registry } from 'prom-client';
 import { Chess } from 'chess.js';
 import { EnginePool } from '../enginePool.js';
-import { GameManager } from '../gameManager.js';
+import { GameManager, validateFen } from '../gameManager.js';
+import { MatchManager } from '../matchManager.js';
 import {
   startGameSchema,
   moveSchema,
   endGameSchema,
   analyzeSchema,
+  playSchema,
+  matchSchema,
   gameAnalysisSchema,
 } from './schema.js';
 import { invertScore, scoreToNumber } from '../uci.js';
@@ -15,12 +19,14 @@ import type { Score } from '../uci.js';
 interface RoutesDeps {
   pool: EnginePool;
   gameManager: GameManager;
+  matchManager: MatchManager;
+  metrics: Registry;
   defaultMovetime: number;
   defaultMultiPv: number;
 }
 
 export function registerRoutes(app: express.Express, deps: RoutesDeps) {
-  const { pool, gameManager, defaultMovetime, defaultMultiPv } = deps;
+  const { pool, gameManager, matchManager, metrics, defaultMovetime, defaultMultiPv } = deps;
 
   app.get('/health', async (_req, res) => {
     try {
@@ -31,6 +37,11 @@ export function registerRoutes(app: express.Express, deps: RoutesDeps) {
     }
   });
 
+  app.get('/metrics', async (_req, res) => {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.metrics());
+  });
+
   app.post('/game/start', async (req, res) => {
     try {
       const payload = startGameSchema.parse(req.body);
@@ -78,6 +89,63 @@ export function registerRoutes(app: express.Express, deps: RoutesDeps) {
     }
   });
 
+  // Stateless move choice for computer opponents (vs Computer rooms, hot seat)
+  app.post('/play', async (req, res) => {
+    try {
+      const payload = playSchema.parse(req.body);
+      if (payload.fen) validateFen(payload.fen);
+      const worker = await pool.acquire();
+      try {
+        const result = await pool.analyzeWithWorker(worker.id, {
+          fen: payload.fen,
+          moves: payload.moves,
+          movetime: payload.movetime,
+          multipv: 1,
+          strength: { skill: payload.skill, elo: payload.elo },
+        });
+        res.json({ bestmove: result.bestmove, score: result.lines[0]?.score ?? null });
+      } finally {
+        pool.release(worker.id);
+      }
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // Engine-vs-engine matches. Moves stream over /ws/match?matchId=...; the
+  // score and PGN are here once the series is over.
+  app.get('/match/engines', (_req, res) => {
+    res.json({ engines: matchManager.engineNames() });
+  });
+
+  app.post('/match', (req, res) => {
+    try {
+      const payload = matchSchema.parse(req.body);
+      const match = matchManager.start(payload);
+      res.json(match.snapshot());
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  app.get('/match/:matchId', (req, res) => {
+    try {
+      res.json(matchManager.get(req.params.matchId).snapshot());
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  app.post('/match/:matchId/stop', (req, res) => {
+    try {
+      const match = matchManager.get(req.params.matchId);
+      match.stop();
+      res.json(match.snapshot());
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
   app.post('/analysis/game', async (req, res) => {
     try {
       const payload = gameAnalysisSchema.parse(req.body);
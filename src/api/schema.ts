@@ -24,6 +24,43 @@ export const analyzeSchema = z.object({
   multipv: z.number().int().min(1).max(5).default(2),
 });
 
+// One move for a computer opponent. `skill` is Stockfish's Skill Level, `elo`
+// uses UCI_LimitStrength; give at most one of them.
+export const playSchema = z
+  .object({
+    fen: z.string().min(1).max(120).optional(),
+    moves: z.array(z.string().regex(/^[a-h][1-8][a-h][1-8][qrbn]?$/)).max(1000).default([]),
+    movetime: z.number().int().positive().max(10000).default(1000),
+    skill: z.number().int().min(0).max(20).optional(),
+    elo: z.number().int().min(1320).max(3190).optional(),
+  })
+  .refine((value) => value.skill === undefined || value.elo === undefined, {
+    message: 'Give either skill or elo, not both',
+  });
+
+// One side of an engine match. `engine` names a binary from MATCH_ENGINES;
+// skill/elo work as in playSchema.
+export const matchEngineSchema = z
+  .object({
+    name: z.string().trim().min(1).max(40).optional(),
+    engine: z.string().min(1).max(40).optional(),
+    threads: z.number().int().min(1).max(8).default(1),
+    hash: z.number().int().min(1).max(1024).default(16),
+    movetime: z.number().int().positive().max(5000).default(100),
+    skill: z.number().int().min(0).max(20).optional(),
+    elo: z.number().int().min(1320).max(3190).optional(),
+  })
+  .refine((value) => value.skill === undefined || value.elo === undefined, {
+    message: 'Give either skill or elo, not both',
+  });
+
+export const matchSchema = z.object({
+  engines: z.tuple([matchEngineSchema, matchEngineSchema]),
+  games: z.number().int().min(1).max(100).default(2),
+  initialFen: z.string().min(1).max(120).optional(),
+  maxPlies: z.number().int().min(10).max(1000).default(300),
+});
+
 export const gameAnalysisSchema = z.object({
   pgn: z.string().min(1),
   movetimePerMove: z.number().int().positive().max(10000).default(200),
@@ -34,4 +71,7 @@ export type StartGameInput = z.infer<typeof startGameSchema>;
 export type MoveInput = z.infer<typeof moveSchema>;
 export type EndGameInput = z.infer<typeof endGameSchema>;
 export type AnalyzeInput = z.infer<typeof analyzeSchema>;
+export type PlayInput = z.infer<typeof playSchema>;
+export type MatchEngineInput = z.infer<typeof matchEngineSchema>;
+export type MatchInput = z.infer<typeof matchSchema>;
 export type GameAnalysisInput = z.infer<typeof gameAnalysisSchema>;
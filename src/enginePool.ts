@@ -1,6 +1,13 @@
 import os from 'node:os';
 import EventEmitter from 'node:events';
-import { EngineWorker, EngineConfig, AnalysisOptions, AnalysisResult } from './engineWorker.js';
+import {
+  EngineWorker,
+  EngineConfig,
+  EngineOptions,
+  AnalysisOptions,
+  AnalysisResult,
+  EngineTimeoutError,
+} from './engineWorker.js';
 
 interface WorkerWrapper {
   id: number;
@@ -22,6 +29,21 @@ export interface PoolConfig {
   poolSize?: number;
 }
 
+export interface PoolStats {
+  busy: number;
+  idle: number;
+  queued: number;
+}
+
+// Emitted as 'analysis' after every search run through the pool
+export interface AnalysisEvent {
+  workerId: number;
+  durationMs: number;
+  outcome: 'ok' | 'timeout' | 'aborted' | 'error';
+}
+
+// The pool emits 'analysis' (an AnalysisEvent) when a search finishes and
+// 'timeout' ({ workerId }) whenever a worker fails to answer in time.
 export class EnginePool extends EventEmitter {
   private readonly workers: WorkerWrapper[] = [];
   private readonly queue: QueueEntry<WorkerWrapper>[] = [];
@@ -76,6 +98,11 @@ export class EnginePool extends EventEmitter {
     }
   }
 
+  stats(): PoolStats {
+    const busy = this.workers.filter((w) => w.allocated).length;
+    return { busy, idle: this.workers.length - busy, queued: this.queue.length };
+  }
+
   async runExclusive<T>(id: number, fn: (worker: EngineWorker) => Promise<T>): Promise<T> {
     const wrapper = this.workers.find((w) => w.id === id);
     if (!wrapper) throw new Error(`Worker ${id} not found`);
@@ -95,6 +122,7 @@ export class EnginePool extends EventEmitter {
       return result;
     } catch (error) {
       rejectLock!(error);
+      if (error instanceof EngineTimeoutError) this.emit('timeout', { workerId: id });
       throw error;
     } finally {
       if (this.locks.get(id) === nextLock) {
@@ -104,14 +132,27 @@ export class EnginePool extends EventEmitter {
   }
 
   async analyzeWithWorker(id: number, options: AnalysisOptions): Promise<AnalysisResult> {
-    return this.runExclusive(id, (worker) => worker.analyze(options));
+    const started = performance.now();
+    const report = (outcome: AnalysisEvent['outcome']) => {
+      const event: AnalysisEvent = { workerId: id, durationMs: performance.now() - started, outcome };
+      this.emit('analysis', event);
+    };
+    try {
+      const result = await this.runExclusive(id, (worker) => worker.analyze(options));
+      report('ok');
+      return result;
+    } catch (error) {
+      if (error instanceof EngineTimeoutError) report('timeout');
+      else report(options.signal?.aborted ? 'aborted' : 'error');
+      throw error;
+    }
   }
 
   async newGame(id: number): Promise<void> {
     await this.runExclusive(id, (worker) => worker.newGame());
   }
 
-  async configure(id: number, opts: { Threads?: number; Hash?: number; MultiPV?: number; EvalFile?: string }): Promise<void> {
+  async configure(id: number, opts: EngineOptions): Promise<void> {
     await this.runExclusive(id, (worker) => worker.configure(opts));
   }
 
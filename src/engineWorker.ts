@@ -7,6 +7,15 @@ import { parseBestMoveLine, parseInfoLine, LineEvaluation, Score } from './uci.j
 const DEFAULT_READY_TIMEOUT_MS = 5000;
 const DEFAULT_SEARCH_TIMEOUT_MS = 10000;
 
+// The engine did not answer in time: a hung search or a process that stopped
+// responding. Kept apart from other errors so the metrics can count them.
+export class EngineTimeoutError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'EngineTimeoutError';
+  }
+}
+
 export interface EngineConfig {
   path: string;
   threads: number;
@@ -15,6 +24,23 @@ export interface EngineConfig {
   evalFile?: string;
 }
 
+export interface EngineOptions {
+  Threads?: number;
+  Hash?: number;
+  MultiPV?: number;
+  EvalFile?: string;
+  'Skill Level'?: number;
+  UCI_LimitStrength?: boolean;
+  UCI_Elo?: number;
+}
+
+// Playing strength for a search. Either a Stockfish skill level (0-20) or a
+// target Elo via UCI_LimitStrength; full strength when neither is given.
+export interface Strength {
+  skill?: number;
+  elo?: number;
+}
+
 export interface AnalysisOptions {
   fen?: string;
   moves?: string[];
@@ -22,6 +48,7 @@ export interface AnalysisOptions {
   depth?: number;
   nodes?: number;
   multipv?: number;
+  strength?: Strength;
   onInfo?: (payload: WorkerInfoEvent) => void;
   signal?: AbortSignal;
 }
@@ -93,7 +120,7 @@ export class EngineWorker {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         cleanup();
-        reject(new Error(`Timed out waiting for line matching predicate after ${timeoutMs}ms`));
+        reject(new EngineTimeoutError(`Timed out waiting for line matching predicate after ${timeoutMs}ms`));
       }, timeoutMs);
 
       const handler = (line: string) => {
@@ -124,7 +151,7 @@ export class EngineWorker {
     return this.readyPromise;
   }
 
-  async configure(options: { Threads?: number; Hash?: number; MultiPV?: number; EvalFile?: string }): Promise<void> {
+  async configure(options: EngineOptions): Promise<void> {
     if (!this.child) await this.init();
     for (const [name, value] of Object.entries(options)) {
       if (value === undefined) continue;
@@ -143,7 +170,7 @@ export class EngineWorker {
 
   async analyze(options: AnalysisOptions): Promise<AnalysisResult> {
     if (!this.child) await this.init();
-    const { fen, moves, movetime, depth, nodes, multipv, onInfo, signal } = options;
+    const { fen, moves, movetime, depth, nodes, multipv, strength, onInfo, signal } = options;
 
     if (signal?.aborted) {
       throw new Error('Analysis aborted');
@@ -154,6 +181,13 @@ export class EngineWorker {
       await this.configure({ MultiPV: multipv });
     }
 
+    // Workers are shared with analysis, so a weakened search is put back to
+    // full strength once it finishes
+    const limited = strength !== undefined && (strength.skill !== undefined || strength.elo !== undefined);
+    if (limited) {
+      await this.configure(strengthOptions(strength));
+    }
+
     const positionCmd = buildPositionCommand(fen, moves);
     this.write(positionCmd);
 
@@ -201,7 +235,7 @@ export class EngineWorker {
     const bestMovePromise = new Promise<AnalysisResult>((resolve, reject) => {
       const timeout = setTimeout(() => {
         cleanup();
-        reject(new Error('Engine search timed out'));
+        reject(new EngineTimeoutError('Engine search timed out'));
       }, DEFAULT_SEARCH_TIMEOUT_MS);
 
       const listener = (line: string) => {
@@ -239,6 +273,9 @@ export class EngineWorker {
       if (multipv !== undefined && previousMultiPv !== multipv) {
         await this.configure({ MultiPV: previousMultiPv });
       }
+      if (limited) {
+        await this.configure(strengthOptions({}));
+      }
     });
 
     return result;
@@ -265,6 +302,13 @@ export class EngineWorker {
   }
 }
 
+export function strengthOptions(strength: Strength): EngineOptions {
+  if (strength.elo !== undefined) {
+    return { 'Skill Level': 20, UCI_LimitStrength: true, UCI_Elo: strength.elo };
+  }
+  return { 'Skill Level': strength.skill ?? 20, UCI_LimitStrength: false };
+}
+
 function buildPositionCommand(fen?: string, moves?: string[]): string {
   if (fen) {
     if (moves && moves.length > 0) {
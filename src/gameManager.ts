@@ -16,6 +16,10 @@ export class GameManager {
     this.pool = pool;
   }
 
+  count(): number {
+    return this.games.size;
+  }
+
   async startGame(gameId: string, initialFen?: string): Promise<GameState> {
     if (this.games.has(gameId)) {
       throw new Error('Game already exists');
@@ -0,0 +1,332 @@
+import EventEmitter from 'node:events';
+import { randomUUID } from 'node:crypto';
+import { Chess } from 'chess.js';
+import { EngineWorker, Strength, strengthOptions } from './engineWorker.js';
+import { uciToMove, validateFen } from './gameManager.js';
+import type { MatchInput, MatchEngineInput } from './api/schema.js';
+
+// Finished matches kept around for GET /match/:id
+const MAX_KEPT_MATCHES = 20;
+
+export interface MatchEngine {
+  name: string;
+  path: string;
+  threads: number;
+  hash: number;
+  movetime: number;
+  strength: Strength;
+}
+
+export type GameResult = '1-0' | '0-1' | '1/2-1/2' | '*';
+
+export type EndReason =
+  | 'checkmate'
+  | 'stalemate'
+  | 'insufficientMaterial'
+  | 'threefoldRepetition'
+  | 'fiftyMoveRule'
+  | 'maxPlies'
+  | 'illegalMove'
+  | 'stopped';
+
+export interface MatchGame {
+  game: number;
+  white: string;
+  black: string;
+  result: GameResult;
+  reason: EndReason;
+  moves: string[];
+  pgn: string;
+}
+
+export interface EngineScore {
+  name: string;
+  points: number;
+  wins: number;
+  draws: number;
+  losses: number;
+}
+
+export type MatchEvent =
+  | { type: 'gameStart'; game: number; white: string; black: string; fen: string }
+  | { type: 'move'; game: number; ply: number; uci: string; san: string; fen: string }
+  | { type: 'gameEnd'; game: number; result: GameResult; reason: EndReason; pgn: string; score: EngineScore[] }
+  | { type: 'matchEnd'; status: MatchStatus; score: EngineScore[]; pgn: string; error?: string };
+
+export type MatchStatus = 'running' | 'finished' | 'stopped' | 'failed';
+
+const TERMINATION: Partial<Record<EndReason, string>> = {
+  maxPlies: 'adjudication',
+  illegalMove: 'rules infraction',
+  stopped: 'unterminated',
+};
+
+// A series of games between two engine configurations. Each side gets its
+// own engine process so the pool stays free for analysis and the two
+// configurations never share hash or options. Progress is emitted as
+// 'event' with a MatchEvent payload.
+export class Match extends EventEmitter {
+  readonly id = randomUUID();
+  readonly createdAt = Date.now();
+  status: MatchStatus = 'running';
+  error?: string;
+  readonly finished: MatchGame[] = [];
+  private current?: { game: number; white: string; black: string; moves: string[]; fen: string };
+  private readonly abortController = new AbortController();
+
+  constructor(
+    readonly engines: [MatchEngine, MatchEngine],
+    readonly games: number,
+    readonly initialFen: string | undefined,
+    readonly maxPlies: number,
+  ) {
+    super();
+  }
+
+  stop() {
+    this.abortController.abort();
+  }
+
+  score(): EngineScore[] {
+    return this.engines.map((engine) => {
+      const entry: EngineScore = { name: engine.name, points: 0, wins: 0, draws: 0, losses: 0 };
+      for (const game of this.finished) {
+        if (game.result === '*' || (game.white !== engine.name && game.black !== engine.name)) continue;
+        if (game.result === '1/2-1/2') {
+          entry.draws += 1;
+          entry.points += 0.5;
+        } else if ((game.result === '1-0') === (game.white === engine.name)) {
+          entry.wins += 1;
+          entry.points += 1;
+        } else {
+          entry.losses += 1;
+        }
+      }
+      return entry;
+    });
+  }
+
+  pgn(): string {
+    return this.finished.map((game) => game.pgn).join('\n\n');
+  }
+
+  snapshot() {
+    return {
+      matchId: this.id,
+      status: this.status,
+      games: this.games,
+      engines: this.engines.map(({ name, threads, hash, movetime, strength }) => ({ name, threads, hash, movetime, ...strength })),
+      score: this.score(),
+      results: this.finished.map(({ game, white, black, result, reason }) => ({ game, white, black, result, reason })),
+      current: this.current ? { ...this.current, moves: [...this.current.moves] } : null,
+      pgn: this.pgn(),
+      error: this.error,
+    };
+  }
+
+  async run(): Promise<void> {
+    const workers = this.engines.map(
+      (engine) => new EngineWorker({ path: engine.path, threads: engine.threads, hash: engine.hash, defaultMultiPv: 1 }),
+    );
+    try {
+      for (const [index, worker] of workers.entries()) {
+        await worker.init();
+        await worker.configure(strengthOptions(this.engines[index].strength));
+      }
+      for (let game = 1; game <= this.games && !this.abortController.signal.aborted; game++) {
+        // Colors alternate so neither configuration keeps the first move
+        const whiteIndex = (game - 1) % 2;
+        await this.playGame(game, [workers[whiteIndex], workers[1 - whiteIndex]], [
+          this.engines[whiteIndex],
+          this.engines[1 - whiteIndex],
+        ]);
+      }
+      this.status = this.abortController.signal.aborted ? 'stopped' : 'finished';
+    } catch (error) {
+      this.status = 'failed';
+      this.error = (error as Error).message;
+    } finally {
+      this.current = undefined;
+      await Promise.all(workers.map((worker) => worker.dispose()));
+    }
+    this.publish({ type: 'matchEnd', status: this.status, score: this.score(), pgn: this.pgn(), error: this.error });
+  }
+
+  private async playGame(game: number, workers: EngineWorker[], sides: MatchEngine[]) {
+    const chess = this.initialFen ? new Chess(this.initialFen) : new Chess();
+    const [white, black] = sides;
+    const moves: string[] = [];
+    this.current = { game, white: white.name, black: black.name, moves, fen: chess.fen() };
+    await Promise.all(workers.map((worker) => worker.newGame()));
+    this.publish({ type: 'gameStart', game, white: white.name, black: black.name, fen: chess.fen() });
+
+    let reason: EndReason | undefined;
+    let result: GameResult = '*';
+    while (!chess.isGameOver()) {
+      if (moves.length >= this.maxPlies) {
+        reason = 'maxPlies';
+        result = '1/2-1/2';
+        break;
+      }
+      const side = chess.turn() === 'w' ? 0 : 1;
+      let bestmove: string;
+      try {
+        ({ bestmove } = await workers[side].analyze({
+          fen: this.initialFen,
+          moves,
+          movetime: sides[side].movetime,
+          multipv: 1,
+          signal: this.abortController.signal,
+        }));
+      } catch (error) {
+        if (!this.abortController.signal.aborted) throw error;
+        reason = 'stopped';
+        break;
+      }
+      let san: string;
+      try {
+        san = chess.move(uciToMove(bestmove)).san;
+      } catch (_) {
+        // An engine that cannot produce a legal move loses the game
+        reason = 'illegalMove';
+        result = side === 0 ? '0-1' : '1-0';
+        break;
+      }
+      moves.push(bestmove);
+      this.current.fen = chess.fen();
+      this.publish({ type: 'move', game, ply: moves.length, uci: bestmove, san, fen: chess.fen() });
+    }
+    if (!reason) {
+      ({ reason, result } = gameOverReason(chess));
+    }
+
+    const pgn = buildMatchPgn(chess, {
+      game,
+      white: white.name,
+      black: black.name,
+      result,
+      reason,
+      initialFen: this.initialFen,
+      startedAt: this.createdAt,
+    });
+    this.finished.push({ game, white: white.name, black: black.name, result, reason, moves: [...moves], pgn });
+    this.publish({ type: 'gameEnd', game, result, reason, pgn, score: this.score() });
+  }
+
+  private publish(event: MatchEvent) {
+    this.emit('event', event);
+  }
+}
+
+function gameOverReason(chess: Chess): { reason: EndReason; result: GameResult } {
+  if (chess.isCheckmate()) {
+    return { reason: 'checkmate', result: chess.turn() === 'w' ? '0-1' : '1-0' };
+  }
+  if (chess.isStalemate()) return { reason: 'stalemate', result: '1/2-1/2' };
+  if (chess.isInsufficientMaterial()) return { reason: 'insufficientMaterial', result: '1/2-1/2' };
+  if (chess.isThreefoldRepetition()) return { reason: 'threefoldRepetition', result: '1/2-1/2' };
+  return { reason: 'fiftyMoveRule', result: '1/2-1/2' };
+}
+
+function buildMatchPgn(
+  chess: Chess,
+  game: { game: number; white: string; black: string; result: GameResult; reason: EndReason; initialFen?: string; startedAt: number },
+): string {
+  const date = new Date(game.startedAt);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  // Rebuild the tags so they come out in Seven Tag Roster order
+  chess.removeHeader('SetUp');
+  chess.removeHeader('FEN');
+  const tags: Array<[string, string]> = [
+    ['Event', 'Engine match'],
+    ['Site', 'LAN'],
+    ['Date', `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`],
+    ['Round', String(game.game)],
+    ['White', game.white],
+    ['Black', game.black],
+    ['Result', game.result],
+    ['Termination', TERMINATION[game.reason] ?? 'normal'],
+  ];
+  if (game.initialFen) {
+    tags.push(['SetUp', '1'], ['FEN', game.initialFen]);
+  }
+  for (const [key, value] of tags) chess.header(key, value);
+  return chess.pgn();
+}
+
+export interface MatchManagerConfig {
+  // Engine binaries a match may use, by name. Requests pick a name, never a
+  // path, so only binaries configured on the server can be started.
+  engines: Record<string, string>;
+  defaultEngine: string;
+}
+
+export class MatchManager {
+  private readonly matches = new Map<string, Match>();
+  private readonly config: MatchManagerConfig;
+
+  constructor(config: MatchManagerConfig) {
+    this.config = config;
+  }
+
+  engineNames(): string[] {
+    return Object.keys(this.config.engines);
+  }
+
+  start(input: MatchInput): Match {
+    if ([...this.matches.values()].some((match) => match.status === 'running')) {
+      throw new Error('A match is already running');
+    }
+    if (input.initialFen) validateFen(input.initialFen);
+    const engines = input.engines.map((engine) => this.resolveEngine(engine)) as [MatchEngine, MatchEngine];
+    if (engines[0].name === engines[1].name) {
+      engines[0].name += ' A';
+      engines[1].name += ' B';
+    }
+    const match = new Match(engines, input.games, input.initialFen, input.maxPlies);
+    this.matches.set(match.id, match);
+    this.prune();
+    void match.run();
+    return match;
+  }
+
+  get(matchId: string): Match {
+    const match = this.matches.get(matchId);
+    if (!match) throw new Error('Match not found');
+    return match;
+  }
+
+  stopAll() {
+    for (const match of this.matches.values()) match.stop();
+  }
+
+  private resolveEngine(input: MatchEngineInput): MatchEngine {
+    const engine = input.engine ?? this.config.defaultEngine;
+    const enginePath = this.config.engines[engine];
+    if (!enginePath) {
+      throw new Error(`Unknown engine "${engine}"; available: ${this.engineNames().join(', ')}`);
+    }
+    const strength: Strength = { skill: input.skill, elo: input.elo };
+    return {
+      name: input.name ?? defaultName(engine, strength),
+      path: enginePath,
+      threads: input.threads,
+      hash: input.hash,
+      movetime: input.movetime,
+      strength,
+    };
+  }
+
+  private prune() {
+    for (const [id, match] of this.matches) {
+      if (this.matches.size <= MAX_KEPT_MATCHES) break;
+      if (match.status !== 'running') this.matches.delete(id);
+    }
+  }
+}
+
+function defaultName(engine: string, strength: Strength): string {
+  if (strength.elo !== undefined) return `${engine} (${strength.elo})`;
+  if (strength.skill !== undefined) return `${engine} (level ${strength.skill})`;
+  return engine;
+}
@@ -0,0 +1,61 @@
+import { Registry, Gauge, Counter, Histogram, collectDefaultMetrics } from 'prom-client';
+import type { EnginePool, AnalysisEvent } from './enginePool.js';
+import type { GameManager } from './gameManager.js';
+
+// Prometheus metrics for the engine server, served at GET /metrics. Each
+// server gets its own registry so several can run in one process (tests).
+export function createMetrics(pool: EnginePool, gameManager: GameManager): Registry {
+  const registry = new Registry();
+  collectDefaultMetrics({ register: registry });
+
+  new Gauge({
+    name: 'engine_pool_workers',
+    help: 'Engine workers in the pool by state (busy workers are held by a game or a search)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      const { busy, idle } = pool.stats();
+      this.set({ state: 'busy' }, busy);
+      this.set({ state: 'idle' }, idle);
+    },
+  });
+
+  new Gauge({
+    name: 'engine_pool_queue_length',
+    help: 'Requests waiting for a free engine worker',
+    registers: [registry],
+    collect() {
+      this.set(pool.stats().queued);
+    },
+  });
+
+  new Gauge({
+    name: 'engine_games_active',
+    help: 'Games with a worker reserved through /game/start',
+    registers: [registry],
+    collect() {
+      this.set(gameManager.count());
+    },
+  });
+
+  const latency = new Histogram({
+    name: 'engine_analysis_duration_seconds',
+    help: 'Time an engine search takes, including waiting for earlier commands on its worker',
+    labelNames: ['outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20],
+    registers: [registry],
+  });
+
+  const timeouts = new Counter({
+    name: 'engine_timeouts_total',
+    help: 'Engine commands that got no answer in time',
+    registers: [registry],
+  });
+
+  pool.on('analysis', (event: AnalysisEvent) => {
+    latency.observe({ outcome: event.outcome }, event.durationMs / 1000);
+  });
+  pool.on('timeout', () => timeouts.inc());
+
+  return registry;
+}
@@ -7,7 +7,9 @@ import pino from 'pino';
 import { WebSocketServer, WebSocket } from 'ws';
 import { EnginePool } from './enginePool.js';
 import { GameManager } from './gameManager.js';
+import { MatchManager, MatchEvent } from './matchManager.js';
 import { registerRoutes } from './api/routes.js';
+import { createMetrics } from './metrics.js';
 
 dotenv.config();
 
@@ -20,6 +22,7 @@ interface AppConfig {
   defaultMultiPv: number;
   defaultMovetime: number;
   poolSize?: number;
+  matchEngines: Record<string, string>;
 }
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -30,12 +33,20 @@ function loadConfig(): AppConfig {
   const hash = Number.parseInt(process.env.ENGINE_HASH_MB ?? '256', 10);
   const defaultMultiPv = Number.parseInt(process.env.ENGINE_MULTIPV_DEFAULT ?? '2', 10);
   const defaultMovetime = 300;
+  // Extra binaries for engine matches as name=path pairs, e.g.
+  // MATCH_ENGINES="sf16=/opt/sf16/stockfish,sf17=/opt/sf17/stockfish"
+  const matchEngines: Record<string, string> = { stockfish: enginePath };
+  for (const entry of (process.env.MATCH_ENGINES ?? '').split(',')) {
+    const [name, enginePathForName] = entry.split('=').map((part) => part.trim());
+    if (name && enginePathForName) matchEngines[name] = enginePathForName;
+  }
   return {
     enginePath,
     threads: Number.isFinite(threads) ? threads : 2,
     hash: Number.isFinite(hash) ? hash : 256,
     defaultMultiPv: Number.isFinite(defaultMultiPv) ? defaultMultiPv : 2,
     defaultMovetime,
+    matchEngines,
   };
 }
 
@@ -49,6 +60,9 @@ export async function createServer() {
   });
   await pool.init();
   const gameManager = new GameManager(pool);
+  const matchManager = new MatchManager({ engines: config.matchEngines, defaultEngine: 'stockfish' });
+  const metrics = createMetrics(pool, gameManager);
+  pool.on('timeout', ({ workerId }: { workerId: number }) => logger.warn({ workerId }, 'Engine timed out'));
 
   const app = express();
   app.use(express.json());
@@ -61,12 +75,15 @@ export async function createServer() {
   registerRoutes(app, {
     pool,
     gameManager,
+    matchManager,
+    metrics,
     defaultMovetime: config.defaultMovetime,
     defaultMultiPv: config.defaultMultiPv,
   });
 
   const server = http.createServer(app);
   const wss = new WebSocketServer({ noServer: true });
+  const matchWss = new WebSocketServer({ noServer: true });
 
   server.on('upgrade', (req, socket, head) => {
     if (!req.url) {
@@ -75,7 +92,8 @@ export async function createServer() {
       return;
     }
     const url = new URL(req.url, 'http://localhost');
-    if (url.pathname !== '/ws/analyze') {
+    const target = url.pathname === '/ws/analyze' ? wss : url.pathname === '/ws/match' ? matchWss : undefined;
+    if (!target) {
       socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
       socket.destroy();
       return;
@@ -86,8 +104,8 @@ export async function createServer() {
       socket.destroy();
       return;
     }
-    wss.handleUpgrade(req, socket, head, (ws) => {
-      wss.emit('connection', ws, req);
+    target.handleUpgrade(req, socket, head, (ws) => {
+      target.emit('connection', ws, req);
     });
   });
 
@@ -193,6 +211,32 @@ export async function createServer() {
     })();
   });
 
+  // Spectate an engine match: a snapshot of the match so far, then every
+  // gameStart/move/gameEnd event until matchEnd closes the socket
+  matchWss.on('connection', (socket: WebSocket, req: http.IncomingMessage) => {
+    const reqUrl = new URL(req.url ?? '/ws/match', 'http://localhost');
+    let match;
+    try {
+      match = matchManager.get(reqUrl.searchParams.get('matchId') ?? '');
+    } catch (error) {
+      socket.send(JSON.stringify({ type: 'error', message: (error as Error).message }));
+      socket.close(1008, 'Match not found');
+      return;
+    }
+    socket.send(JSON.stringify({ type: 'snapshot', ...match.snapshot() }));
+    if (match.status !== 'running') {
+      socket.close(1000, 'match over');
+      return;
+    }
+    const forward = (event: MatchEvent) => {
+      if (socket.readyState !== WebSocket.OPEN) return;
+      socket.send(JSON.stringify(event));
+      if (event.type === 'matchEnd') socket.close(1000, 'match over');
+    };
+    match.on('event', forward);
+    socket.on('close', () => match.off('event', forward));
+  });
+
   const port = Number.parseInt(process.env.PORT ?? '8080', 10);
   const host = process.env.HOST ?? '0.0.0.0';
 
@@ -206,6 +250,7 @@ export async function createServer() {
   };
 
   const stop = async () => {
+    matchManager.stopAll();
     await pool.stopAll();
     await new Promise<void>((resolve, reject) => {
       server.close((err) => {
@@ -225,7 +270,7 @@ export async function createServer() {
     }
   });
 
-  return { app, server, pool, gameManager, start, stop };
+  return { app, server, pool, gameManager, matchManager, start, stop };
 }
 
 function restrictToLan(req: express.Request, res: express.Response, next: express.NextFunction) {
@@ -0,0 +1,91 @@
+import crypto from 'node:crypto';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { sameSecret, bearerToken, requireAdmin } from '../server/auth.js';
+
+const TOKEN = 'a'.repeat(32);
+
+const request = (remoteAddress: string, headers: Record<string, string> = {}) => ({
+  socket: { remoteAddress },
+  get: (name: string) => headers[name.toLowerCase()],
+});
+
+// Runs the admin check; the status it answered with, or 'next' when it let the request through
+const check = (adminToken: string, req: ReturnType<typeof request>) => {
+  let outcome: number | 'next' = 'next';
+  const res = {
+    status(code: number) {
+      outcome = code;
+      return res;
+    },
+    send: () => res,
+  };
+  requireAdmin(adminToken)(req, res, () => {});
+  return outcome;
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('sameSecret', () => {
+  it('matches only the exact secret', () => {
+    expect(sameSecret(TOKEN, TOKEN)).toBe(true);
+    expect(sameSecret('b'.repeat(32), TOKEN)).toBe(false);
+    expect(sameSecret(TOKEN.slice(1), TOKEN)).toBe(false);
+    // Same length in characters, not in bytes
+    expect(sameSecret('é'.repeat(32), TOKEN)).toBe(false);
+  });
+
+  it('never matches a missing token or secret', () => {
+    expect(sameSecret('', '')).toBe(false);
+    expect(sameSecret(undefined, undefined)).toBe(false);
+    expect(sameSecret(TOKEN, '')).toBe(false);
+    expect(sameSecret({ length: 32 }, TOKEN)).toBe(false);
+  });
+
+  it('compares in constant time', () => {
+    const compare = vi.spyOn(crypto, 'timingSafeEqual');
+    sameSecret('b'.repeat(32), TOKEN);
+    expect(compare).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('bearerToken', () => {
+  it('reads the token of a Bearer authorization header', () => {
+    expect(bearerToken(request('127.0.0.1', { authorization: `Bearer ${TOKEN} ` }))).toBe(TOKEN);
+    expect(bearerToken(request('127.0.0.1', { authorization: `Basic ${TOKEN}` }))).toBe('');
+    expect(bearerToken(request('127.0.0.1'))).toBe('');
+  });
+});
+
+describe('requireAdmin', () => {
+  it('lets this machine in without a token', () => {
+    expect(check('', request('127.0.0.1'))).toBe('next');
+    expect(check('', request('::1', { origin: 'http://localhost:5173' }))).toBe('next');
+    expect(check(TOKEN, request('::ffff:127.0.0.1', { origin: 'http://127.0.0.1:3001' }))).toBe('next');
+  });
+
+  it('refuses pages from other sites, even on this machine', () => {
+    expect(check('', request('127.0.0.1', { origin: 'https://evil.example' }))).toBe(401);
+    expect(check('', request('127.0.0.1', { origin: 'http://localhost.evil.example' }))).toBe(401);
+    expect(check('', request('127.0.0.1', { origin: 'null' }))).toBe(401);
+  });
+
+  it('wants the token from other machines', () => {
+    expect(check(TOKEN, request('192.168.1.20'))).toBe(401);
+    expect(check('', request('192.168.1.20'))).toBe(401);
+    expect(check(TOKEN, request('192.168.1.20', { authorization: 'Bearer wrong' }))).toBe(401);
+    expect(check(TOKEN, request('192.168.1.20', { authorization: `Bearer ${TOKEN}` }))).toBe('next');
+  });
+
+  it('refuses a wrong token even from this machine', () => {
+    expect(check(TOKEN, request('127.0.0.1', { authorization: `Bearer ${'b'.repeat(32)}` }))).toBe(401);
+    expect(check('', request('127.0.0.1', { authorization: `Bearer ${TOKEN}` }))).toBe(401);
+  });
+
+  it('checks the token in constant time', () => {
+    const compare = vi.spyOn(crypto, 'timingSafeEqual');
+    check(TOKEN, request('192.168.1.20', { authorization: `Bearer ${'b'.repeat(32)}` }));
+    expect(compare).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { Chess } from 'chess.js';
+import {
+  parseTimeControl,
+  createClock,
+  timeLeft,
+  msUntilFlag,
+  pauseClock,
+  resumeClock,
+  applyMove,
+  clockSnapshot,
+  hasMatingMaterial,
+} from '../server/clock.js';
+
+const DAY_MS = 24 * 3600000;
+
+describe('parseTimeControl', () => {
+  it('reads the three increment kinds', () => {
+    expect(parseTimeControl('5+3')).toEqual({ id: '5+3', mode: 'fischer', initialMs: 300000, bonusMs: 3000 });
+    expect(parseTimeControl('5d3')).toMatchObject({ mode: 'delay', initialMs: 300000, bonusMs: 3000 });
+    expect(parseTimeControl('5b3')).toMatchObject({ mode: 'bronstein', initialMs: 300000, bonusMs: 3000 });
+    expect(parseTimeControl('0.5+0')).toMatchObject({ initialMs: 30000, bonusMs: 0 });
+  });
+
+  it('reads correspondence days', () => {
+    expect(parseTimeControl('3d')).toEqual({ id: '3d', mode: 'correspondence', initialMs: 3 * DAY_MS, bonusMs: 0 });
+  });
+
+  it('treats a missing control as untimed', () => {
+    expect(parseTimeControl(null)).toBeNull();
+    expect(parseTimeControl('')).toBeNull();
+  });
+
+  it('rejects malformed and out of range controls', () => {
+    expect(() => parseTimeControl('5')).toThrow('Invalid time control');
+    expect(() => parseTimeControl('5x3')).toThrow('Invalid time control');
+    expect(() => parseTimeControl('0+3')).toThrow('out of range');
+    expect(() => parseTimeControl('181+0')).toThrow('out of range');
+    expect(() => parseTimeControl('5+601')).toThrow('out of range');
+    expect(() => parseTimeControl('15d')).toThrow('out of range');
+    expect(() => parseTimeControl('0d')).toThrow('out of range');
+  });
+});
+
+describe('clock charging', () => {
+  it('starts on White\'s first move without charging it', () => {
+    const clock = createClock(parseTimeControl('1+0'));
+    expect(msUntilFlag(clock, 'w', 0)).toBeNull();
+    applyMove(clock, 'w', 5000);
+    expect(clock.remaining.w).toBe(60000);
+    expect(timeLeft(clock, 'b', 'b', 8000)).toBe(57000);
+    expect(timeLeft(clock, 'w', 'b', 8000)).toBe(60000);
+  });
+
+  it('adds the Fischer increment after each move', () => {
+    const clock = createClock(parseTimeControl('1+2'));
+    applyMove(clock, 'w', 0);
+    applyMove(clock, 'b', 10000);
+    expect(clock.remaining.b).toBe(52000);
+  });
+
+  it('does not count the simple delay', () => {
+    const clock = createClock(parseTimeControl('1d3'));
+    applyMove(clock, 'w', 0);
+    expect(timeLeft(clock, 'b', 'b', 2000)).toBe(60000);
+    expect(msUntilFlag(clock, 'b', 2000)).toBe(61000);
+    applyMove(clock, 'b', 5000);
+    expect(clock.remaining.b).toBe(58000);
+  });
+
+  it('gives back Bronstein time up to the delay', () => {
+    const clock = createClock(parseTimeControl('1b3'));
+    applyMove(clock, 'w', 0);
+    applyMove(clock, 'b', 2000);
+    expect(clock.remaining.b).toBe(60000);
+    applyMove(clock, 'w', 12000);
+    expect(clock.remaining.w).toBe(53000);
+  });
+
+  it('adds nothing once the mover has flagged', () => {
+    const clock = createClock(parseTimeControl('1+5'));
+    applyMove(clock, 'w', 0);
+    applyMove(clock, 'b', 61000);
+    expect(clock.remaining.b).toBe(-1000);
+  });
+
+  it('tops correspondence clocks back up after every move', () => {
+    const clock = createClock(parseTimeControl('2d'));
+    resumeClock(clock, 0);
+    expect(msUntilFlag(clock, 'w', DAY_MS)).toBe(DAY_MS);
+    applyMove(clock, 'w', DAY_MS);
+    expect(clock.remaining.w).toBe(2 * DAY_MS);
+  });
+
+  it('stops charging while paused', () => {
+    const clock = createClock(parseTimeControl('1+0'));
+    applyMove(clock, 'w', 0);
+    pauseClock(clock, 'b', 4000);
+    expect(msUntilFlag(clock, 'b', 30000)).toBeNull();
+    expect(timeLeft(clock, 'b', 'b', 30000)).toBe(56000);
+    resumeClock(clock, 30000);
+    expect(timeLeft(clock, 'b', 'b', 31000)).toBe(55000);
+  });
+
+  it('snapshots the running side', () => {
+    const clock = createClock(parseTimeControl('1d3'));
+    applyMove(clock, 'w', 0);
+    expect(clockSnapshot(clock, 'b', 1000)).toEqual({
+      control: '1d3',
+      mode: 'delay',
+      white: 60000,
+      black: 60000,
+      running: 'b',
+      delayLeft: 2000,
+      serverTime: 1000,
+    });
+  });
+});
+
+describe('hasMatingMaterial', () => {
+  const canMate = (fen: string, color: string) => hasMatingMaterial(new Chess(fen), color);
+
+  it('counts a pawn or a major piece', () => {
+    expect(canMate('8/8/8/4k3/8/8/4P3/4K3 w - - 0 1', 'w')).toBe(true);
+    expect(canMate('8/8/8/4k3/8/8/8/3RK3 w - - 0 1', 'w')).toBe(true);
+    expect(canMate('8/8/8/4k3/8/8/4P3/4K3 w - - 0 1', 'b')).toBe(false);
+  });
+
+  it('needs two minor pieces against a lone king', () => {
+    expect(canMate('8/8/8/4k3/8/8/8/4K3 w - - 0 1', 'w')).toBe(false);
+    expect(canMate('8/8/8/4k3/8/8/8/3NK3 w - - 0 1', 'w')).toBe(false);
+    expect(canMate('8/8/8/4k3/8/8/8/3BK3 w - - 0 1', 'w')).toBe(false);
+    expect(canMate('8/8/8/4k3/8/8/8/2BNK3 w - - 0 1', 'w')).toBe(true);
+    // FIDE, not US Chess: a mate with two knights is possible, if never forced
+    expect(canMate('8/8/8/4k3/8/8/8/2NNK3 w - - 0 1', 'w')).toBe(true);
+    expect(canMate('8/8/8/4k3/8/8/8/2B1KB2 w - - 0 1', 'w')).toBe(true);
+    // Bishops on squares of one color never mate
+    expect(canMate('8/8/8/4k3/8/8/8/B1B1K3 w - - 0 1', 'w')).toBe(false);
+  });
+
+  it('lets one minor piece mate a king hemmed in by its own pieces', () => {
+    expect(canMate('8/8/4p3/4k3/8/8/8/3NK3 w - - 0 1', 'w')).toBe(true);
+    expect(canMate('8/8/4n3/4k3/8/8/8/3BK3 w - - 0 1', 'w')).toBe(true);
+    expect(canMate('8/8/4r3/4k3/8/8/8/3NK3 w - - 0 1', 'w')).toBe(true);
+  });
+
+  it('finds no mate when only bishops on one square color are left', () => {
+    expect(canMate('8/8/4b3/4k3/8/8/8/3BK3 w - - 0 1', 'w')).toBe(false);
+    expect(canMate('8/8/3b4/4k3/8/8/8/3BK3 w - - 0 1', 'w')).toBe(true);
+  });
+});
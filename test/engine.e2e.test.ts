@@ -1,6 +1,8 @@
 import request from 'supertest';
-import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { Chess } from 'chess.js';
 import { createServer } from '../src/server.js';
+import { EngineWorker, strengthOptions } from '../src/engineWorker.js';
 
 let ctx: Awaited<ReturnType<typeof createServer>>;
 
@@ -67,4 +69,41 @@ Event "Test"
     const sample = analysis.body[0];
     expect(sample).toHaveProperty('classification');
   });
+
+  it('plays a weakened move, then puts the engine back to full strength', async () => {
+    const configure = vi.spyOn(EngineWorker.prototype, 'configure');
+    try {
+      const res = await request(ctx.app)
+        .post('/play')
+        .send({ moves: ['e2e4'], movetime: 100, skill: 3 })
+        .expect(200);
+      const chess = new Chess();
+      chess.move('e4');
+      expect(chess.moves({ verbose: true }).map((m) => m.lan)).toContain(res.body.bestmove);
+      const options = configure.mock.calls.map(([opts]) => opts);
+      expect(options).toContainEqual(strengthOptions({ skill: 3 }));
+      expect(options[options.length - 1]).toEqual(strengthOptions({}));
+    } finally {
+      configure.mockRestore();
+    }
+
+    await request(ctx.app).post('/play').send({ skill: 3, elo: 1500 }).expect(400);
+  });
+
+  it('plays an engine match and scores it', async () => {
+    const started = await request(ctx.app)
+      .post('/match')
+      .send({ games: 1, maxPlies: 20, engines: [{ skill: 0, movetime: 20 }, { movetime: 20 }] })
+      .expect(200);
+    const { matchId } = started.body;
+    let match = started.body;
+    while (match.status === 'running') {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      match = (await request(ctx.app).get(`/match/${matchId}`).expect(200)).body;
+    }
+    expect(match.status).toBe('finished');
+    expect(match.results).toHaveLength(1);
+    expect(match.score[0].points + match.score[1].points).toBe(1);
+    expect(match.pgn).toContain('[Event "Engine match"]');
+  }, 30000);
 });
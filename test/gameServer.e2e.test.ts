@@ -0,0 +1,608 @@
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn, type ChildProcess } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect, beforeAll, beforeEach, afterAll, afterEach } from 'vitest';
+import { io, type Socket } from 'socket.io-client';
+
+const serverDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../server');
+
+let server: ChildProcess;
+let base: string;
+const sockets: Socket[] = [];
+
+const freePort = () =>
+  new Promise<number>((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address() as net.AddressInfo;
+      probe.close(() => resolve(port));
+    });
+  });
+
+// The next `event` on `socket` whose payload passes `match`
+const next = <T = any>(socket: Socket, event: string, match: (payload: T) => boolean = () => true) =>
+  new Promise<T>((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`No matching ${event} event`));
+    }, 5000);
+    const listener = (payload: T) => {
+      if (!match(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    socket.on(event, listener);
+  });
+
+const connect = (url = base) => {
+  const socket = io(url, { transports: ['websocket'], forceNew: true });
+  sockets.push(socket);
+  return socket;
+};
+
+// A room with Hal as White and Ola as Black, both seated
+const startRoom = async (options: Record<string, unknown> = {}) => {
+  const host = connect();
+  const opponent = connect();
+  const created = next<string>(host, 'gameId');
+  host.emit('join', null, { create: true, name: 'Hal', color: 'white', ...options });
+  const gameId = await created;
+  const ready = next(host, 'status', (status) => status === 'ready');
+  opponent.emit('join', gameId, { name: 'Ola' });
+  await ready;
+  return { gameId, host, opponent };
+};
+
+const play = async (socket: Socket, gameId: string, move: string) => {
+  const moved = next(socket, 'position', (p: any) => p.history.some((entry: any) => entry.uci === move));
+  socket.emit('move', { gameId, move });
+  return moved;
+};
+
+// A game server on a free port, once it is listening; `env` adds to the defaults
+const startServer = async (env: Record<string, string> = {}) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: serverDir,
+    env: { ...process.env, PORT: String(port), GAME_STORE: 'memory', RECONNECT_GRACE_MS: '0', ADMIN_TOKEN: '', ...env },
+    stdio: ['ignore', 'pipe', 'ignore'],
+  });
+  await new Promise<void>((resolve, reject) => {
+    child.once('exit', (code) => reject(new Error(`Game server exited with ${code}`)));
+    child.stdout!.on('data', (chunk) => {
+      if (chunk.toString().includes('Server is online')) resolve();
+    });
+  });
+  return { child, url: `http://127.0.0.1:${port}` };
+};
+
+const stopServer = (child: ChildProcess) =>
+  new Promise<void>((resolve) => {
+    if (child.exitCode !== null) {
+      resolve();
+      return;
+    }
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+
+beforeAll(async () => {
+  ({ child: server, url: base } = await startServer());
+});
+
+afterEach(() => {
+  for (const socket of sockets.splice(0)) socket.close();
+});
+
+afterAll(async () => {
+  await stopServer(server);
+});
+
+describe('Game server', () => {
+  it('flags the side to move when their time runs out', async () => {
+    const { gameId, host, opponent } = await startRoom({ timeControl: '0.02+0' });
+    const started = await play(host, gameId, 'e2e4');
+    expect(started.clock).toMatchObject({ control: '0.02+0', running: 'b' });
+    const flagged = await next<any>(opponent, 'position', (p) => p.isGameOver);
+    expect(flagged.result).toEqual({ result: '1-0', reason: 'timeout', winner: 'w' });
+    expect(flagged.clock.black).toBe(0);
+  });
+
+  it('takes back a move once the opponent agrees', async () => {
+    const { gameId, host, opponent } = await startRoom();
+    await play(host, gameId, 'e2e4');
+    await play(opponent, gameId, 'e7e5');
+
+    const asked = next<any>(opponent, 'takebackRequest', (p) => p.request);
+    host.emit('requestUndo', gameId);
+    expect((await asked).request).toEqual({ kind: 'undo', from: 'w', plies: 2 });
+
+    const refused = next<any>(host, 'actionFailed');
+    host.emit('acceptRequest', gameId);
+    expect((await refused).error).toBe('Cannot accept your own request');
+
+    const undone = next<any>(host, 'position', (p) => p.history.length === 0);
+    opponent.emit('acceptRequest', gameId);
+    const position = await undone;
+    expect(position.turn).toBe('w');
+    expect(position.pendingRequest).toBeNull();
+  });
+
+  it('keeps the moves when a takeback is declined', async () => {
+    const { gameId, host, opponent } = await startRoom();
+    await play(host, gameId, 'e2e4');
+    const asked = next(opponent, 'takebackRequest', (p: any) => p.request);
+    host.emit('requestUndo', gameId);
+    await asked;
+    const declined = next<any>(host, 'takebackRequest', (p) => p.declinedBy);
+    opponent.emit('declineRequest', gameId);
+    expect(await declined).toEqual({ request: null, declinedBy: 'b', kind: 'undo' });
+
+    // The request is closed: accepting it now does nothing
+    const refused = next<any>(host, 'actionFailed');
+    host.emit('acceptRequest', gameId);
+    expect((await refused).error).toBe('No request to answer');
+  });
+
+  it('refuses takebacks in rooms that turned them off', async () => {
+    const { gameId, host } = await startRoom({ takebacks: false });
+    await play(host, gameId, 'e2e4');
+    const refused = next<any>(host, 'actionFailed');
+    host.emit('requestUndo', gameId);
+    expect(await refused).toEqual({ action: 'requestUndo', error: 'Takebacks are disabled in this game' });
+  });
+
+  it('resets the board once the opponent agrees', async () => {
+    const { gameId, host, opponent } = await startRoom({ timeControl: '5+0' });
+    await play(host, gameId, 'e2e4');
+    await play(opponent, gameId, 'e7e5');
+
+    const asked = next<any>(host, 'takebackRequest', (p) => p.request);
+    opponent.emit('requestReset', gameId);
+    expect((await asked).request).toEqual({ kind: 'reset', from: 'b', plies: 0 });
+
+    const reset = next<any>(opponent, 'position', (p) => p.history.length === 0);
+    host.emit('acceptRequest', gameId);
+    const position = await reset;
+    expect(position.fen).toBe('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    expect(position.clock).toMatchObject({ white: 300000, black: 300000, running: null });
+  });
+  it('keeps a seated player in their game when they try to join another', async () => {
+    const { gameId, host, opponent } = await startRoom();
+    await play(host, gameId, 'e2e4');
+
+    const refused = next<any>(host, 'joinFailed');
+    host.emit('join', null, { create: true, name: 'Hal' });
+    expect(await refused).toEqual({ reason: 'alreadySeated', error: 'Leave your game first' });
+
+    await play(opponent, gameId, 'e7e5');
+    const position = await play(host, gameId, 'g1f3');
+    expect(position.history).toHaveLength(3);
+  });
+
+  it('lets a spectator go and watch another room', async () => {
+    const first = await startRoom();
+    const second = await startRoom();
+    const watcher = connect();
+    const watching = next<any>(watcher, 'spectating');
+    watcher.emit('join', first.gameId, {});
+    await watching;
+
+    const counted = next<any>(first.host, 'spectators', (p) => p.count === 0);
+    const moved = next<any>(watcher, 'spectating');
+    watcher.emit('join', second.gameId, {});
+    expect(await moved).toEqual({ gameId: second.gameId });
+    await counted;
+  });
+
+  it('holds a correspondence seat through leave and disconnect', async () => {
+    const host = connect();
+    const opponent = connect();
+    const hostSeat = next<any>(host, 'seat');
+    host.emit('join', null, { create: true, name: 'Hal', color: 'white', timeControl: '1d' });
+    const { gameId, token: hostToken } = await hostSeat;
+    const opponentSeat = next<any>(opponent, 'seat');
+    opponent.emit('join', gameId, { name: 'Ola' });
+    const { token: opponentToken } = await opponentSeat;
+    await play(host, gameId, 'e2e4');
+
+    const left = next<any>(opponent, 'terminate');
+    opponent.emit('leave', gameId);
+    expect(await left).toEqual({ reason: 'correspondence' });
+    host.close();
+
+    // Nobody takes the empty chairs while the game is on
+    const stranger = connect();
+    const watching = next<any>(stranger, 'spectating');
+    stranger.emit('join', gameId, { name: 'Eve' });
+    await watching;
+
+    const hostBack = connect();
+    const hostColor = next<string>(hostBack, 'color');
+    hostBack.emit('rejoin', { gameId, token: hostToken });
+    expect(await hostColor).toBe('white');
+    const opponentBack = connect();
+    const status = next<string>(opponentBack, 'status');
+    opponentBack.emit('rejoin', { gameId, token: opponentToken });
+    expect(await status).toBe('ready');
+    const position = await play(opponentBack, gameId, 'e7e5');
+    expect(position.history).toHaveLength(2);
+  });
+});
+
+describe('Profiles', () => {
+  const send = (method: string, url: string, body?: unknown) =>
+    fetch(`${base}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  it('changes a profile only with its key', async () => {
+    const created = await send('POST', '/profiles', { name: 'Keyholder' });
+    const { profile, key } = await created.json();
+    expect(created.status).toBe(201);
+
+    expect((await send('PATCH', `/profiles/${profile.id}`, { name: 'Thief' })).status).toBe(403);
+    expect((await send('PATCH', `/profiles/${profile.id}`, { key: '', name: 'Thief' })).status).toBe(403);
+    expect((await send('PATCH', `/profiles/${profile.id}`, { key: 'f'.repeat(32), name: 'Thief' })).status).toBe(403);
+    const renamed = await send('PATCH', `/profiles/${profile.id}`, { key, name: 'Locksmith' });
+    expect(await renamed.json()).toMatchObject({ id: profile.id, name: 'Locksmith' });
+  });
+
+  it('treats ids inherited from Object.prototype as unknown profiles', async () => {
+    for (const id of ['__proto__', 'constructor', 'hasOwnProperty']) {
+      expect((await send('GET', `/profiles/${id}`)).status).toBe(404);
+      expect((await send('PATCH', `/profiles/${id}`, { name: 'pwned' })).status).toBe(404);
+    }
+    // The server is still up
+    expect((await send('GET', '/profiles')).status).toBe(200);
+  });
+});
+
+describe('Tournaments', () => {
+  it('treats ids inherited from Object.prototype as unknown tournaments', async () => {
+    for (const id of ['__proto__', 'constructor']) {
+      expect((await fetch(`${base}/tournaments/${id}`)).status).toBe(404);
+      const joined = await fetch(`${base}/tournaments/${id}/players`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Mallory' }),
+      });
+      expect(joined.status).toBe(404);
+    }
+    expect((await fetch(`${base}/tournaments`)).status).toBe(200);
+  });
+});
+
+describe('Admin routes', () => {
+  it('answers pages served from this machine, not other sites', async () => {
+    const rooms = (headers: Record<string, string>) => fetch(`${base}/admin/rooms`, { headers });
+    expect((await rooms({})).status).toBe(200);
+    expect((await rooms({ Origin: base })).status).toBe(200);
+    const foreign = await rooms({ Origin: 'https://evil.example' });
+    expect(foreign.status).toBe(401);
+    expect(await foreign.json()).toEqual({ error: 'Admin access only from the server machine' });
+    expect((await rooms({ Authorization: 'Bearer guess' })).status).toBe(401);
+  });
+});
+
+describe('Bot API', () => {
+  const botRequest = (key: string, method: string, url: string, init: RequestInit = {}) =>
+    fetch(`${base}${url}`, { ...init, method, headers: { Authorization: `Bearer ${key}` } });
+
+  const createBot = async (name: string) => {
+    const created = await fetch(`${base}/profiles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    const { profile, key } = await created.json();
+    expect((await botRequest(key, 'POST', '/bot/account/upgrade')).status).toBe(200);
+    return { id: profile.id as string, key: key as string };
+  };
+
+  // The next JSON line of a newline-delimited stream, past keep-alive blank lines
+  const lines = (res: Response) => {
+    const reader = res.body!.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    return async (): Promise<any> => {
+      for (;;) {
+        const end = buffered.indexOf('\n');
+        if (end >= 0) {
+          const line = buffered.slice(0, end).trim();
+          buffered = buffered.slice(end + 1);
+          if (line) return JSON.parse(line);
+          continue;
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error('Stream ended');
+        buffered += value;
+      }
+    };
+  };
+
+  const streams: AbortController[] = [];
+  afterEach(() => {
+    for (const stream of streams.splice(0)) stream.abort();
+  });
+
+  // A game between Hal, who has White, and `bot`, started through a challenge
+  const challenge = async (bot: { id: string; key: string }) => {
+    const online = new AbortController();
+    streams.push(online);
+    const events = lines(await fetch(`${base}/bot/stream/event`, {
+      headers: { Authorization: `Bearer ${bot.key}` },
+      signal: online.signal,
+    }));
+    const human = connect();
+    const pending = next<any>(human, 'challenge', (c) => c.status === 'pending');
+    human.emit('challengeBot', { botId: bot.id, name: 'Hal', color: 'white' });
+    const { id } = await pending;
+    expect(await events()).toMatchObject({ type: 'challenge', challenge: { id } });
+
+    const accepted = await botRequest(bot.key, 'POST', `/bot/challenge/${id}/accept`);
+    const { gameId } = await accepted.json();
+    expect(await events()).toMatchObject({ type: 'gameStart', game: { id: gameId, color: 'black' } });
+    return { gameId, human };
+  };
+
+  it('plays a challenge through to the bot resigning', async () => {
+    const bot = await createBot('RoboPlayer');
+    const { gameId, human } = await challenge(bot);
+
+    const game = new AbortController();
+    streams.push(game);
+    const states = lines(await fetch(`${base}/bot/game/stream/${gameId}`, {
+      headers: { Authorization: `Bearer ${bot.key}` },
+      signal: game.signal,
+    }));
+    expect(await states()).toMatchObject({ type: 'gameFull', initialFen: 'startpos', state: { moves: '' } });
+
+    await play(human, gameId, 'e2e4');
+    expect(await states()).toMatchObject({ type: 'gameState', moves: 'e2e4', status: 'started' });
+    const answered = next<any>(human, 'position', (p) => p.history.length === 2);
+    expect(await (await botRequest(bot.key, 'POST', `/bot/game/${gameId}/move/e7e5`)).json()).toEqual({ ok: true });
+    expect((await answered).history[1].uci).toBe('e7e5');
+    expect(await states()).toMatchObject({ type: 'gameState', moves: 'e2e4 e7e5' });
+
+    const over = next<any>(human, 'position', (p) => p.isGameOver);
+    expect((await botRequest(bot.key, 'POST', `/bot/game/${gameId}/resign`)).status).toBe(200);
+    expect((await over).result).toEqual({ result: '1-0', reason: 'resignation', winner: 'w' });
+    expect(await states()).toMatchObject({ type: 'gameState', status: 'resignation', winner: 'white' });
+    expect((await botRequest(bot.key, 'POST', `/bot/game/${gameId}/resign`)).status).toBe(400);
+  });
+
+  it('refuses illegal moves and moves out of turn', async () => {
+    const bot = await createBot('RoboRefuser');
+    const { gameId, human } = await challenge(bot);
+
+    const early = await botRequest(bot.key, 'POST', `/bot/game/${gameId}/move/e7e5`);
+    expect([early.status, await early.json()]).toEqual([400, { error: 'Not your turn' }]);
+
+    await play(human, gameId, 'e2e4');
+    const illegal = await botRequest(bot.key, 'POST', `/bot/game/${gameId}/move/e7e4`);
+    expect([illegal.status, await illegal.json()]).toEqual([400, { error: 'Illegal move e7e4' }]);
+    const garbled = await botRequest(bot.key, 'POST', `/bot/game/${gameId}/move/Nf6`);
+    expect(garbled.status).toBe(400);
+    expect((await botRequest(bot.key, 'POST', `/bot/game/${gameId}/move/g8f6`)).status).toBe(200);
+  });
+
+  it('keeps bots out of games they do not play in', async () => {
+    const bot = await createBot('RoboOwner');
+    const stranger = await createBot('RoboStranger');
+    const { gameId, human } = await challenge(bot);
+    await play(human, gameId, 'e2e4');
+
+    for (const url of [`/bot/game/${gameId}/move/e7e5`, `/bot/game/${gameId}/resign`, `/bot/game/${gameId}/draw/yes`]) {
+      const refused = await botRequest(stranger.key, 'POST', url);
+      expect([refused.status, await refused.json()]).toEqual([404, { error: 'Game not found' }]);
+    }
+    expect((await botRequest(stranger.key, 'GET', `/bot/game/stream/${gameId}`)).status).toBe(404);
+
+    // Nor may profiles that are not bot accounts, or requests without a token
+    const created = await fetch(`${base}/profiles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'NotABot' }),
+    });
+    const { key } = await created.json();
+    expect((await botRequest(key, 'POST', `/bot/game/${gameId}/resign`)).status).toBe(403);
+    expect((await fetch(`${base}/bot/game/${gameId}/resign`, { method: 'POST' })).status).toBe(401);
+  });
+});
+
+describe('Events feed', () => {
+  const feeds: AbortController[] = [];
+  afterEach(() => {
+    for (const feed of feeds.splice(0)) feed.abort();
+  });
+
+  // Follows GET /events; the returned function gives the next event's data
+  const follow = async (query = '', headers: Record<string, string> = {}) => {
+    const feed = new AbortController();
+    feeds.push(feed);
+    const res = await fetch(`${base}/events${query}`, { headers, signal: feed.signal });
+    const reader = res.body!.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    return async (): Promise<any> => {
+      for (;;) {
+        const end = buffered.indexOf('\n\n');
+        if (end >= 0) {
+          const block = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const data = block.split('\n').find((line) => line.startsWith('data: '));
+          if (data) return JSON.parse(data.slice(6));
+          continue;
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error('Feed ended');
+        buffered += value;
+      }
+    };
+  };
+
+  const until = async (events: () => Promise<any>, match: (event: any) => boolean) => {
+    for (;;) {
+      const event = await events();
+      if (match(event)) return event;
+    }
+  };
+
+  // Hal's new room, waiting for an opponent; private rooms come with their invite code
+  const openRoom = async (options: Record<string, unknown> = {}) => {
+    const host = connect();
+    const created = next<string>(host, 'gameId');
+    const invite = options.private ? next<any>(host, 'invite') : null;
+    host.emit('join', null, { create: true, name: 'Hal', ...options });
+    return { gameId: await created, code: invite ? (await invite).code as string : null };
+  };
+
+  it('leaves private rooms out unless the invite code is given', async () => {
+    const everything = await follow();
+    const hidden = await openRoom({ private: true });
+    const invited = await follow(`?code=${hidden.code}&gameId=${hidden.gameId}`);
+    connect().emit('join', null, { name: 'Ola', code: hidden.code });
+    expect(await invited()).toMatchObject({ type: 'playerJoined', gameId: hidden.gameId, name: 'Ola' });
+
+    // The private room's events came first, so the public feed would have shown them by now
+    const shown = await openRoom();
+    const first = await until(everything, (e) => [hidden.gameId, shown.gameId].includes(e.gameId));
+    expect(first).toMatchObject({ type: 'roomCreated', gameId: shown.gameId });
+  });
+
+  it('replays missed events and resyncs a Last-Event-ID it cannot place', async () => {
+    const feed = await follow();
+    const first = await openRoom();
+    const { id: lastId } = await until(feed, (e) => e.gameId === first.gameId);
+    const second = await openRoom();
+    const hidden = await openRoom({ private: true });
+    await until(feed, (e) => e.gameId === second.gameId);
+
+    const resumed = await follow('', { 'Last-Event-ID': lastId });
+    const missed = await until(resumed, (e) => e.gameId === second.gameId);
+    expect(missed).toMatchObject({ type: 'roomCreated' });
+
+    for (const stale of ['ffffffff-1', 'not-an-id']) {
+      const resync = await (await follow(`?lastEventId=${stale}`))();
+      expect(resync.type).toBe('resync');
+      const ids = resync.rooms.map((room: any) => room.gameId);
+      expect(ids).toEqual(expect.arrayContaining([first.gameId, second.gameId]));
+      expect(ids).not.toContain(hidden.gameId);
+      expect(resync.rooms.find((room: any) => room.gameId === first.gameId)).toMatchObject({
+        state: 'waiting',
+        white: 'Hal',
+        black: null,
+        plies: 0,
+      });
+    }
+  });
+});
+
+describe('Restarts', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let dir: string;
+  let running: ChildProcess | null = null;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vermouth-store-'));
+  });
+
+  afterEach(async () => {
+    if (running) await stopServer(running);
+    running = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Every store in the temp directory, and long enough a grace period for the players to come back
+  const startWithStore = async () => {
+    const started = await startServer({
+      GAME_STORE: 'json',
+      GAME_STORE_FILE: path.join(dir, 'games.json'),
+      GAME_ARCHIVE_FILE: path.join(dir, 'archive.json'),
+      TOURNAMENT_STORE_FILE: path.join(dir, 'tournaments.json'),
+      PROFILE_STORE_FILE: path.join(dir, 'profiles.json'),
+      RECONNECT_GRACE_MS: '60000',
+    });
+    running = started.child;
+    return started.url;
+  };
+
+  it('brings a game back with its position, clock and seats', async () => {
+    let url = await startWithStore();
+    const host = connect(url);
+    const opponent = connect(url);
+    const hostSeat = next<any>(host, 'seat');
+    host.emit('join', null, { create: true, name: 'Hal', color: 'white', timeControl: '5+3' });
+    const { gameId, token: hostToken } = await hostSeat;
+    const opponentSeat = next<any>(opponent, 'seat');
+    opponent.emit('join', gameId, { name: 'Ola' });
+    const { token: opponentToken } = await opponentSeat;
+    await play(host, gameId, 'e2e4');
+    await play(opponent, gameId, 'e7e5');
+    const before = await play(host, gameId, 'g1f3');
+    host.close();
+    opponent.close();
+
+    await stopServer(running!);
+    url = await startWithStore();
+
+    // A wrong token takes no seat, and newcomers can only watch
+    const stranger = connect(url);
+    const refused = next<any>(stranger, 'rejoinFailed');
+    stranger.emit('rejoin', { gameId, token: 'f'.repeat(32) });
+    expect(await refused).toEqual({ gameId, error: 'Seat not found' });
+    const watching = next<any>(stranger, 'spectating');
+    stranger.emit('join', gameId, { name: 'Eve' });
+    await watching;
+
+    const back = connect(url);
+    const color = next<string>(back, 'color');
+    const position = next<any>(back, 'position');
+    back.emit('rejoin', { gameId, token: opponentToken });
+    expect(await color).toBe('black');
+    const restored = await position;
+    expect(restored.fen).toBe(before.fen);
+    expect(restored.history.map((entry: any) => entry.uci)).toEqual(['e2e4', 'e7e5', 'g1f3']);
+    expect(restored.clock.white).toBe(before.clock.white);
+    expect(Math.abs(restored.clock.black - before.clock.black)).toBeLessThan(1000);
+
+    const hostBack = connect(url);
+    const ready = next(hostBack, 'status', (status) => status === 'ready');
+    hostBack.emit('rejoin', { gameId, token: hostToken });
+    await ready;
+    const moved = await play(back, gameId, 'b8c6');
+    expect(moved.history).toHaveLength(4);
+  });
+
+  it('tops up a correspondence clock for a move made after a restart', async () => {
+    let url = await startWithStore();
+    const host = connect(url);
+    const opponent = connect(url);
+    const opponentSeat = next<any>(opponent, 'seat');
+    const created = next<string>(host, 'gameId');
+    host.emit('join', null, { create: true, name: 'Hal', color: 'white', timeControl: '1d' });
+    const gameId = await created;
+    opponent.emit('join', gameId, { name: 'Ola' });
+    const { token } = await opponentSeat;
+    const before = await play(host, gameId, 'e2e4');
+    expect(before.clock).toMatchObject({ white: DAY_MS, running: 'b' });
+
+    await stopServer(running!);
+    url = await startWithStore();
+
+    // Correspondence games go on without the other player connected
+    const back = connect(url);
+    const ready = next(back, 'status', (status) => status === 'ready');
+    back.emit('rejoin', { gameId, token });
+    await ready;
+    const moved = await play(back, gameId, 'e7e5');
+    expect(moved.clock).toMatchObject({ white: expect.any(Number), black: DAY_MS, running: 'w' });
+    expect(DAY_MS - moved.clock.white).toBeLessThan(5000);
+  });
+});
@@ -0,0 +1,50 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { JsonFileGameStore } from '../server/gameStore.js';
+
+let dir: string;
+let file: string;
+
+const written = () => JSON.parse(fs.readFileSync(file, 'utf8')).games;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vermouth-store-'));
+  file = path.join(dir, 'games.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('JsonFileGameStore', () => {
+  it('batches a burst of saves into one write', async () => {
+    const store = new JsonFileGameStore(file, 20);
+    for (let ply = 1; ply <= 50; ply++) store.save({ id: 'ROOM01', moves: Array(ply).fill('e2e4') });
+    store.save({ id: 'ROOM02', moves: [] });
+    expect(fs.existsSync(file)).toBe(false);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(written().ROOM01.moves).toHaveLength(50);
+    expect(Object.keys(written())).toEqual(['ROOM01', 'ROOM02']);
+  });
+
+  it('writes pending changes on flush and reads them back', () => {
+    const store = new JsonFileGameStore(file, 60000);
+    store.save({ id: 'ROOM01', moves: ['d2d4'] });
+    store.save({ id: 'ROOM02', moves: [] });
+    store.remove('ROOM02');
+    store.flush();
+    expect(Object.keys(written())).toEqual(['ROOM01']);
+
+    expect(new JsonFileGameStore(file).loadAll()).toEqual([{ id: 'ROOM01', moves: ['d2d4'] }]);
+  });
+
+  it('leaves the file alone when nothing changed', () => {
+    const store = new JsonFileGameStore(file, 60000);
+    store.remove('NOROOM');
+    store.flush();
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
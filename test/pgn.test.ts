@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { buildPgn } from '../server/pgn.js';
+import { parseTimeControl } from '../server/clock.js';
+
+const finishedAt = new Date(2024, 4, 17, 20, 30).getTime();
+
+const tags = (pgn: string) =>
+  Object.fromEntries([...pgn.matchAll(/^\[(\w+) "(.*)"\]$/gm)].map((m) => [m[1], m[2]]));
+
+describe('buildPgn', () => {
+  it('writes the Seven Tag Roster in order, then the moves', () => {
+    const pgn = buildPgn({
+      startFen: null,
+      moves: ['f2f3', 'e7e5', 'g2g4', 'd8h4'],
+      white: 'Hal',
+      black: 'Ola',
+      result: { result: '0-1', reason: 'checkmate', winner: 'b' },
+      control: parseTimeControl('5+3'),
+      finishedAt,
+    });
+    expect(Object.keys(tags(pgn)).slice(0, 7)).toEqual(['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result']);
+    expect(tags(pgn)).toMatchObject({
+      Event: "Vermouth's Gambit network game",
+      Date: '2024.05.17',
+      Round: '1',
+      White: 'Hal',
+      Black: 'Ola',
+      Result: '0-1',
+      TimeControl: '300+3',
+      Termination: 'normal',
+    });
+    expect(pgn).toMatch(/1\. f3 e5 2\. g4 Qh4# \{Black wins by checkmate\.\} 0-1$/);
+  });
+
+  it('names time forfeits and resignations', () => {
+    const flagged = buildPgn({
+      moves: ['e2e4'],
+      result: { result: '1-0', reason: 'timeout', winner: 'w' },
+      control: parseTimeControl('3d2'),
+      finishedAt,
+    });
+    expect(tags(flagged)).toMatchObject({ White: '?', TimeControl: '3d2', Termination: 'time forfeit' });
+    expect(flagged).toContain('{White wins by time.} 1-0');
+
+    const resigned = buildPgn({ moves: [], result: { result: '1-0', reason: 'resignation', winner: 'w' }, finishedAt });
+    expect(resigned).toContain('{Black resigns.} 1-0');
+    expect(tags(resigned).TimeControl).toBe('-');
+  });
+
+  it('gives correspondence games the seconds per move', () => {
+    const pgn = buildPgn({ moves: ['e2e4'], control: parseTimeControl('3d'), finishedAt });
+    expect(tags(pgn).TimeControl).toBe('*259200');
+  });
+
+  it('records abandoned games and draws', () => {
+    const abandoned = buildPgn({ moves: ['d2d4'], result: { result: '0-1', reason: 'abandoned', winner: 'b' }, finishedAt });
+    expect(tags(abandoned).Termination).toBe('abandoned');
+    expect(abandoned).toContain('{Black wins by abandonment.} 0-1');
+
+    const drawn = buildPgn({ moves: ['d2d4'], result: { result: '1/2-1/2', reason: 'agreement', winner: null }, finishedAt });
+    expect(drawn).toContain('{Draw by agreement.} 1/2-1/2');
+  });
+
+  it('keeps the starting FEN of set-up games', () => {
+    const fen = '4k3/P7/8/8/8/8/8/4K3 w - - 0 1';
+    const pgn = buildPgn({ startFen: fen, moves: ['a7a8q'], event: 'Club night', round: 3, finishedAt });
+    expect(tags(pgn)).toMatchObject({ Event: 'Club night', Round: '3', Result: '*', Termination: 'unterminated', SetUp: '1', FEN: fen });
+    expect(pgn).toMatch(/1\. a8=Q\+ \*$/);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { createProfile, updateProfile, publicProfile, recordGame, forgetGame } from '../server/profiles.js';
+
+const game = (white: any, black: any, result: string, rated = true) => ({
+  archiveId: `${white ? white.name : '-'}-${black ? black.name : '-'}-${result}`,
+  result: { result, reason: 'checkmate' },
+  rated,
+  white,
+  black,
+  whiteName: white ? white.name : 'Guest',
+  blackName: black ? black.name : 'Guest',
+  finishedAt: 1000,
+});
+
+describe('Profiles', () => {
+  it('starts at 1200 with a secret key', () => {
+    const alice = createProfile([], { name: ' Alice ', avatar: '♞' });
+    expect(alice).toMatchObject({ name: 'Alice', avatar: '♞', rating: 1200, games: 0, ratedGames: 0 });
+    expect(alice.key).toMatch(/^[0-9a-f]{32}$/);
+    expect(publicProfile(alice)).not.toHaveProperty('key');
+    expect(publicProfile(alice)).toMatchObject({ provisional: true, bot: false });
+  });
+
+  it('keeps names unique regardless of case', () => {
+    const alice = createProfile([], { name: 'Alice' });
+    const bob = createProfile([alice], { name: 'Bob' });
+    expect(() => createProfile([alice, bob], { name: 'ALICE' })).toThrow('ALICE is already taken');
+    expect(() => updateProfile([alice, bob], bob, { name: 'alice' })).toThrow('already taken');
+    expect(updateProfile([alice, bob], bob, { name: 'bob' }).name).toBe('bob');
+    expect(() => createProfile([], { name: '  ' })).toThrow('Profile name is empty');
+    expect(() => createProfile([], { name: 'Eve', avatar: 'far too long' })).toThrow('Avatar must be a short emoji');
+  });
+});
+
+describe('Elo', () => {
+  it('moves equal ratings by half the provisional K', () => {
+    const alice = createProfile([], { name: 'Alice' });
+    const bob = createProfile([], { name: 'Bob' });
+    recordGame(game(alice, bob, '1-0'));
+    expect([alice.rating, bob.rating]).toEqual([1220, 1180]);
+    expect(alice.history[0]).toMatchObject({ color: 'white', opponent: 'Bob', score: 1, rated: true, ratingBefore: 1200, ratingAfter: 1220 });
+  });
+
+  it('weighs the result by the rating gap', () => {
+    const strong = { ...createProfile([], { name: 'Strong' }), rating: 1600 };
+    const weak = createProfile([], { name: 'Weak' });
+    // Expected score 0.909 for the stronger player
+    recordGame(game(strong, weak, '1/2-1/2'));
+    expect([strong.rating, weak.rating]).toEqual([1584, 1216]);
+  });
+
+  it('uses the smaller K once a player is established', () => {
+    const veteran = { ...createProfile([], { name: 'Veteran' }), ratedGames: 20 };
+    const newcomer = createProfile([], { name: 'Newcomer' });
+    recordGame(game(newcomer, veteran, '1-0'));
+    expect([newcomer.rating, veteran.rating]).toEqual([1220, 1190]);
+    expect(publicProfile(veteran).provisional).toBe(false);
+  });
+
+  it('leaves ratings alone in casual games and against guests', () => {
+    const alice = createProfile([], { name: 'Alice' });
+    const bob = createProfile([], { name: 'Bob' });
+    recordGame(game(alice, bob, '0-1', false));
+    recordGame(game(alice, null, '1-0'));
+    expect([alice.rating, bob.rating]).toEqual([1200, 1200]);
+    expect([alice.games, alice.ratedGames]).toEqual([2, 0]);
+    expect(alice.history[1]).toMatchObject({ opponent: 'Guest', opponentId: null, rated: false, ratingAfter: null });
+  });
+
+  it('forgets casual results only', () => {
+    const alice = createProfile([], { name: 'Alice' });
+    const bob = createProfile([], { name: 'Bob' });
+    const casual = game(alice, bob, '1-0', false);
+    const rated = game(bob, alice, '1-0');
+    recordGame(casual);
+    recordGame(rated);
+    expect(forgetGame(alice, rated.archiveId)).toBe(false);
+    expect(forgetGame(alice, casual.archiveId)).toBe(true);
+    expect(alice.history.map((entry: any) => entry.archiveId)).toEqual([rated.archiveId]);
+    expect(alice.games).toBe(1);
+  });
+});
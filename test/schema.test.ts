@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { eventSchemas, parseEventArgs } from '../server/schema.js';
+
+describe('parseEventArgs', () => {
+  it('passes well-formed payloads through', () => {
+    expect(parseEventArgs('move', [{ gameId: 'ABC123', move: 'e2e4' }])).toEqual({
+      success: true,
+      data: [{ gameId: 'ABC123', move: 'e2e4' }],
+    });
+    expect(parseEventArgs('move', [{ gameId: 'ABC123', move: { from: 'e7', to: 'e8', promotion: 'q' } }]).success).toBe(true);
+    expect(parseEventArgs('join', [null, { create: true, name: 'Hal', timeControl: '5+3', color: 'white' }]).success).toBe(true);
+  });
+
+  it('pads missing arguments and drops extra ones', () => {
+    expect(parseEventArgs('join', [])).toEqual({ success: true, data: [undefined, undefined] });
+    expect(parseEventArgs('resign', ['ABC123', () => {}])).toEqual({ success: true, data: ['ABC123'] });
+    expect(parseEventArgs('listRooms', ['ignored'])).toEqual({ success: true, data: [] });
+  });
+
+  it('names the event and the field that is wrong', () => {
+    expect(parseEventArgs('resign', ['../etc'])).toEqual({ success: false, error: 'Invalid resign: Unknown game id' });
+    expect(parseEventArgs('move', [{ gameId: 'ABC123', move: { from: 'e9', to: 'e8' } }]).error).toMatch(/^Invalid move: move/);
+    expect(parseEventArgs('join', [null, { color: 'green' }]).error).toMatch(/^Invalid join: color: /);
+    expect(parseEventArgs('chat', [{ gameId: 'ABC123', text: 'x'.repeat(2001) }]).error).toMatch(/^Invalid chat: text: /);
+    expect(parseEventArgs('promote', [{ gameId: 'ABC123', piece: 'k' }]).success).toBe(false);
+  });
+
+  it('refuses events it does not know', () => {
+    expect(parseEventArgs('becomeAdmin', [])).toEqual({ success: false, error: 'Unknown event becomeAdmin' });
+  });
+
+  it('has a schema for every event the server handles', () => {
+    expect(Object.keys(eventSchemas).sort()).toEqual([
+      'acceptDraw', 'acceptRequest', 'cancelChallenge', 'challengeBot', 'chat', 'claimDraw', 'claimName',
+      'declineDraw', 'declineRequest', 'emoji', 'join', 'leave', 'listRooms', 'move', 'myGames', 'offerDraw',
+      'promote', 'rejoin', 'requestReset', 'requestUndo', 'resign',
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { parseSetup, replayMoves } from '../server/setup.js';
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+describe('parseSetup', () => {
+  it('leaves normal games alone', () => {
+    expect(parseSetup()).toBeNull();
+    expect(parseSetup({ fen: '  ', pgn: '' })).toBeNull();
+  });
+
+  it('takes a FEN as the starting position', () => {
+    const fen = '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1';
+    expect(parseSetup({ fen: ` ${fen} ` })).toEqual({ startFen: fen, moves: [] });
+  });
+
+  it('rejects positions that cannot be played', () => {
+    expect(() => parseSetup({ fen: 'not a fen' })).toThrow(/Invalid FEN/);
+    expect(() => parseSetup({ fen: '4r2k/8/8/8/8/8/8/4K3 b - - 0 1' })).toThrow('The side not to move is in check');
+    expect(() => parseSetup({ fen: '7k/5Q2/6K1/8/8/8/8/8 b - - 0 1' })).toThrow('The game is already over in that position');
+  });
+
+  it('continues a PGN from its last move', () => {
+    const setup = parseSetup({ pgn: '1. e4 e5 2. Nf3 Nc6 3. Bb5 *' });
+    expect(setup).toEqual({ startFen: null, moves: ['e2e4', 'e7e5', 'g1f3', 'b8c6', 'f1b5'] });
+  });
+
+  it('keeps the FEN a PGN starts from, and promotions', () => {
+    const fen = '4k3/P7/8/8/8/8/8/4K3 w - - 0 1';
+    const setup = parseSetup({ pgn: `[SetUp "1"]\n[FEN "${fen}"]\n\n1. a8=Q+ Kd7 *` });
+    expect(setup).toEqual({ startFen: fen, moves: ['a7a8q', 'e8d7'] });
+    expect(replayMoves(setup!.startFen, setup!.moves).fen()).toBe('Q7/3k4/8/8/8/8/8/4K3 w - - 1 2');
+  });
+
+  it('prefers the PGN when both are given', () => {
+    expect(parseSetup({ fen: '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1', pgn: '1. d4 *' })).toEqual({ startFen: null, moves: ['d2d4'] });
+  });
+
+  it('rejects unreadable and finished PGNs', () => {
+    expect(() => parseSetup({ pgn: '1. e4 e5 2. Ke3 Ke6 3. Kz9 *' })).toThrow(/^Invalid PGN/);
+    expect(() => parseSetup({ pgn: '1. f3 e5 2. g4 Qh4# 0-1' })).toThrow('The game is already over in that position');
+    expect(() => parseSetup({ pgn: ' '.repeat(10) + 'x'.repeat(100000) })).toThrow('PGN is too long');
+  });
+});
+
+describe('replayMoves', () => {
+  it('plays UCI moves from the standard position', () => {
+    expect(replayMoves(null, []).fen()).toBe(START);
+    expect(replayMoves(null, ['e2e4', 'c7c5']).history()).toEqual(['e4', 'c5']);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createTournament,
+  addPlayer,
+  startTournament,
+  pairNextRound,
+  recordResult,
+  publicTournament,
+  standings,
+} from '../server/tournament.js';
+
+const field = (format: string, names: string[], rounds?: number) => {
+  const t = createTournament({ name: 'Test', format, rounds });
+  for (const name of names) addPlayer(t, name);
+  startTournament(t);
+  return t;
+};
+
+const idOf = (t: any, name: string) => t.players.find((p: any) => p.name === name).id;
+
+// Enter every board of the last round: the better seed wins, or draws when asked
+const finishRound = (t: any, draws = false) => {
+  const round = t.rounds[t.rounds.length - 1];
+  const seed = (id: string) => t.players.findIndex((p: any) => p.id === id);
+  for (const p of round.pairings) {
+    if (p.result) continue;
+    const result = draws ? '1/2-1/2' : seed(p.white) < seed(p.black) ? '1-0' : '0-1';
+    recordResult(t, round.number, p.board, result);
+  }
+};
+
+const meetings = (t: any) =>
+  t.rounds.flatMap((r: any) => r.pairings.filter((p: any) => p.black).map((p: any) => [p.white, p.black].sort().join('-')));
+
+describe('Round-robin', () => {
+  it('has everyone meet everyone once', () => {
+    const t = field('roundRobin', ['A', 'B', 'C', 'D']);
+    expect(t.totalRounds).toBe(3);
+    for (let r = 0; r < 3; r++) {
+      pairNextRound(t);
+      finishRound(t);
+    }
+    expect(new Set(meetings(t)).size).toBe(6);
+    expect(t.status).toBe('finished');
+    expect(() => pairNextRound(t)).toThrow('Tournament is not running');
+  });
+
+  it('gives every player of an odd field one bye worth nothing', () => {
+    const t = field('roundRobin', ['A', 'B', 'C']);
+    const byes: string[] = [];
+    for (let r = 0; r < 3; r++) {
+      const round = pairNextRound(t);
+      byes.push(...round.pairings.filter((p: any) => p.result === 'bye').map((p: any) => p.white));
+      finishRound(t);
+    }
+    expect(byes.sort()).toEqual(t.players.map((p: any) => p.id).sort());
+    expect(standings(t).map((row: any) => row.points)).toEqual([2, 1, 0]);
+  });
+
+  it('waits for every result before pairing the next round', () => {
+    const t = field('roundRobin', ['A', 'B', 'C', 'D']);
+    pairNextRound(t);
+    expect(() => pairNextRound(t)).toThrow('Round 1 is not finished');
+  });
+});
+
+describe('Swiss', () => {
+  it('pairs by score without rematches', () => {
+    const t = field('swiss', ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'], 3);
+    for (let r = 0; r < 3; r++) {
+      pairNextRound(t);
+      finishRound(t);
+    }
+    expect(new Set(meetings(t)).size).toBe(12);
+    // The only two players on 2/2 meet on top board in the last round
+    const [top] = t.rounds[2].pairings;
+    expect([top.white, top.black].sort()).toEqual([idOf(t, 'A'), idOf(t, 'B')].sort());
+  });
+
+  it('never gives a player the same color three times running', () => {
+    const t = field('swiss', ['A', 'B', 'C', 'D', 'E', 'F'], 5);
+    for (let r = 0; r < 5; r++) {
+      pairNextRound(t);
+      finishRound(t, r % 2 === 1);
+    }
+    for (const player of t.players) {
+      const colors = t.rounds
+        .map((r: any) => r.pairings.find((p: any) => p.white === player.id || p.black === player.id))
+        .map((p: any) => (p.white === player.id ? 'w' : 'b'))
+        .join('');
+      expect(colors).not.toMatch(/www|bbb/);
+    }
+  });
+
+  it('gives the bye to the lowest-ranked player who has not had one', () => {
+    const t = field('swiss', ['A', 'B', 'C', 'D', 'E'], 3);
+    const byes: string[] = [];
+    for (let r = 0; r < 3; r++) {
+      const round = pairNextRound(t);
+      byes.push(round.pairings.find((p: any) => p.result === 'bye').white);
+      finishRound(t);
+    }
+    expect(byes[0]).toBe(idOf(t, 'E'));
+    expect(new Set(byes).size).toBe(3);
+    // A Swiss bye scores like a win
+    const e = standings(t).find((row: any) => row.name === 'E');
+    expect(e.points).toBe(1);
+  });
+
+  it('limits the rounds to what a round-robin would need', () => {
+    expect(field('swiss', ['A', 'B', 'C', 'D'], 9).totalRounds).toBe(3);
+    expect(field('swiss', ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I']).totalRounds).toBe(4);
+  });
+});
+
+describe('Results', () => {
+  it('refuses to change a result or score a bye', () => {
+    const t = field('roundRobin', ['A', 'B', 'C']);
+    const round = pairNextRound(t);
+    const game = round.pairings.find((p: any) => p.black);
+    const bye = round.pairings.find((p: any) => p.result === 'bye');
+    expect(() => recordResult(t, 1, game.board, '2-0')).toThrow('Result must be');
+    recordResult(t, 1, game.board, '1-0');
+    expect(() => recordResult(t, 1, game.board, '0-1')).toThrow('This board already has a result');
+    expect(() => recordResult(t, 1, bye.board, '1-0')).toThrow('This board is a bye');
+    expect(() => recordResult(t, 2, 1, '1-0')).toThrow('Pairing not found');
+  });
+
+  it('keeps the key and seat tokens out of the public view', () => {
+    const t = field('swiss', ['A', 'B']);
+    const shown = publicTournament(t);
+    expect(shown).not.toHaveProperty('key');
+    expect(shown.players[0]).toEqual({ id: t.players[0].id, name: 'A' });
+    expect(t.players[0].token).toMatch(/^[0-9a-f]{32}$/);
+  });
+});
+
+describe('Standings', () => {
+  // A, B, C and D; results given as [white, black, result] per round
+  const played = (format: string, rounds: [string, string, string][][]) => {
+    const t = createTournament({ format });
+    for (const name of ['A', 'B', 'C', 'D']) addPlayer(t, name);
+    t.rounds = rounds.map((games, i) => ({
+      number: i + 1,
+      pairings: games.map(([white, black, result], board) => ({
+        board: board + 1,
+        white: idOf(t, white),
+        black: idOf(t, black),
+        result,
+      })),
+    }));
+    return standings(t);
+  };
+
+  it('adds up Buchholz and Sonneborn-Berger', () => {
+    const rows = played('roundRobin', [
+      [['A', 'B', '1-0'], ['C', 'D', '1/2-1/2']],
+      [['D', 'A', '0-1'], ['B', 'C', '1-0']],
+      [['A', 'C', '1/2-1/2'], ['B', 'D', '0-1']],
+    ]);
+    // B and C tie on points and Buchholz; C drew the stronger players
+    expect(rows.map((row: any) => [row.name, row.points, row.buchholz, row.sonnebornBerger])).toEqual([
+      ['A', 2.5, 3.5, 3],
+      ['D', 1.5, 4.5, 1.5],
+      ['C', 1, 5, 2],
+      ['B', 1, 5, 1],
+    ]);
+  });
+
+  it('breaks Swiss ties by Buchholz before seeding', () => {
+    const rows = played('swiss', [
+      [['A', 'B', '1-0'], ['D', 'C', '1-0']],
+      [['A', 'D', '1-0'], ['C', 'B', '1-0']],
+    ]);
+    expect(rows.map((row: any) => row.name)).toEqual(['A', 'D', 'C', 'B']);
+    expect(rows[1].buchholz).toBeGreaterThan(rows[2].buchholz);
+  });
+});